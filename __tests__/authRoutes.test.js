@@ -0,0 +1,19 @@
+const authRoutes = require('../routes/auth');
+
+// Routes déclarées sur le routeur (chemin -> méthodes)
+const listRoutes = (router) => router.stack
+  .filter(layer => layer.route)
+  .map(layer => `${Object.keys(layer.route.methods).join(',').toUpperCase()} ${layer.route.path}`);
+
+describe('routes/auth: chargement du module', () => {
+  test('le routeur se charge et expose les routes du client', () => {
+    const routes = listRoutes(authRoutes);
+    
+    expect(routes).toEqual(expect.arrayContaining([
+      'POST /validate-key',
+      'POST /check-session',
+      'POST /reset-hwid',
+      'POST /transfer-request'
+    ]));
+  });
+});
@@ -0,0 +1,69 @@
+const License = require('../models/License');
+const Plan = require('../models/Plan');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const gracePlan = new Plan({
+  name: 'monthly',
+  features: ['aimbot', 'esp', 'lobby_manager'],
+  gracePeriodDays: 3,
+  graceFeatures: ['lobby_manager']
+});
+const strictPlan = new Plan({ name: 'weekly', features: ['aimbot'], gracePeriodDays: 0 });
+
+const buildLicense = (expiresInDays) => new License({
+  keyHash: 'a'.repeat(64),
+  keyPrefix: 'KEY-ABCDE',
+  product: 'nizua',
+  licenseType: 'monthly',
+  features: ['aimbot', 'esp', 'lobby_manager'],
+  expiresAt: expiresInDays === null ? null : new Date(Date.now() + expiresInDays * DAY_MS)
+});
+
+describe('License.getGraceStatus', () => {
+  test('une licence non expirée n\'est pas en période de grâce', () => {
+    expect(buildLicense(5).getGraceStatus(gracePlan)).toEqual({
+      inGracePeriod: false,
+      graceEndsAt: null,
+      graceRemainingSeconds: null
+    });
+  });
+  
+  test('une licence expirée depuis moins que la grâce du plan reste utilisable', () => {
+    const license = buildLicense(-1);
+    const grace = license.getGraceStatus(gracePlan);
+    
+    expect(grace.inGracePeriod).toBe(true);
+    expect(grace.graceEndsAt.getTime()).toBe(license.expiresAt.getTime() + 3 * DAY_MS);
+    expect(grace.graceRemainingSeconds).toBeGreaterThan(2 * 24 * 60 * 60 - 5);
+    expect(grace.graceRemainingSeconds).toBeLessThanOrEqual(2 * 24 * 60 * 60);
+  });
+  
+  test('au-delà de la grâce, la licence n\'est plus utilisable', () => {
+    expect(buildLicense(-4).getGraceStatus(gracePlan).inGracePeriod).toBe(false);
+  });
+  
+  test('sans grâce prévue par le plan (ou sans plan), aucune période de grâce', () => {
+    expect(buildLicense(-1).getGraceStatus(strictPlan).inGracePeriod).toBe(false);
+    expect(buildLicense(-1).getGraceStatus(null).inGracePeriod).toBe(false);
+  });
+  
+  test('une licence à vie n\'a pas de fin de grâce', () => {
+    expect(buildLicense(null).getGraceEndsAt(gracePlan)).toBeNull();
+  });
+});
+
+describe('License.getEffectiveFeatures', () => {
+  test('toutes les fonctionnalités hors période de grâce', () => {
+    expect(buildLicense(5).getEffectiveFeatures(gracePlan)).toEqual(['aimbot', 'esp', 'lobby_manager']);
+  });
+  
+  test('fonctionnalités réduites pendant la période de grâce', () => {
+    expect(buildLicense(-1).getEffectiveFeatures(gracePlan)).toEqual(['lobby_manager']);
+  });
+  
+  test('sans fonctionnalités de grâce définies, la licence garde les siennes', () => {
+    const plan = new Plan({ name: 'monthly', gracePeriodDays: 3 });
+    expect(buildLicense(-1).getEffectiveFeatures(plan)).toEqual(['aimbot', 'esp', 'lobby_manager']);
+  });
+});
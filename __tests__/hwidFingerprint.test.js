@@ -0,0 +1,143 @@
+const hwidFingerprint = require('../services/hwidFingerprint');
+const License = require('../models/License');
+
+const FINGERPRINT = {
+  board: 'b1',
+  cpu: 'c1',
+  bios: 'x1',
+  disk: 'd1',
+  gpu: 'g1',
+  nic: 'n1',
+  ram: 'r1'
+};
+
+const buildLicense = (devices = []) => new License({
+  keyHash: 'a'.repeat(64),
+  keyPrefix: 'KEY-ABCDE',
+  product: 'nizua',
+  licenseType: 'monthly',
+  maxDevices: 2,
+  expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  devices
+});
+
+describe('hwidFingerprint: similarité pondérée', () => {
+  const previousWeights = process.env.HWID_COMPONENT_WEIGHTS;
+  const previousThreshold = process.env.HWID_MATCH_THRESHOLD;
+  
+  afterEach(() => {
+    process.env.HWID_COMPONENT_WEIGHTS = previousWeights;
+    process.env.HWID_MATCH_THRESHOLD = previousThreshold;
+    if (previousWeights === undefined) delete process.env.HWID_COMPONENT_WEIGHTS;
+    if (previousThreshold === undefined) delete process.env.HWID_MATCH_THRESHOLD;
+  });
+  
+  test('deux empreintes identiques ont une similarité de 1', () => {
+    expect(hwidFingerprint.computeSimilarity(FINGERPRINT, { ...FINGERPRINT })).toEqual({ score: 1, changed: [] });
+  });
+  
+  test('un composant changé retire son poids du score', () => {
+    const similarity = hwidFingerprint.computeSimilarity(FINGERPRINT, { ...FINGERPRINT, gpu: 'g2' });
+    
+    // Poids total 14, GPU = 1
+    expect(similarity.score).toBe(0.929);
+    expect(similarity.changed).toEqual(['gpu']);
+  });
+  
+  test('un composant stable pèse davantage', () => {
+    const board = hwidFingerprint.computeSimilarity(FINGERPRINT, { ...FINGERPRINT, board: 'b2' });
+    const ram = hwidFingerprint.computeSimilarity(FINGERPRINT, { ...FINGERPRINT, ram: 'r2' });
+    
+    expect(board.score).toBeLessThan(ram.score);
+  });
+  
+  test('un composant absent compte comme changé', () => {
+    const withoutRam = { ...FINGERPRINT };
+    delete withoutRam.ram;
+    
+    expect(hwidFingerprint.computeSimilarity(FINGERPRINT, withoutRam).changed).toEqual(['ram']);
+  });
+  
+  test('une empreinte stockée (Map) est comparée comme un objet', () => {
+    const stored = new Map(Object.entries(FINGERPRINT));
+    expect(hwidFingerprint.computeSimilarity(stored, FINGERPRINT).score).toBe(1);
+  });
+  
+  test('les poids et le seuil sont configurables', () => {
+    process.env.HWID_COMPONENT_WEIGHTS = JSON.stringify({ gpu: 10 });
+    process.env.HWID_MATCH_THRESHOLD = '0.5';
+    
+    expect(hwidFingerprint.computeSimilarity(FINGERPRINT, { ...FINGERPRINT, gpu: 'g2' }).score).toBe(0.565);
+    expect(hwidFingerprint.getThreshold()).toBe(0.5);
+  });
+  
+  test('une configuration invalide reprend les valeurs par défaut', () => {
+    process.env.HWID_COMPONENT_WEIGHTS = '{invalide';
+    process.env.HWID_MATCH_THRESHOLD = '2';
+    
+    expect(hwidFingerprint.getWeights()).toEqual(hwidFingerprint.DEFAULT_WEIGHTS);
+    expect(hwidFingerprint.getThreshold()).toBe(0.7);
+  });
+});
+
+describe('hwidFingerprint: validation de l\'empreinte envoyée', () => {
+  test('accepte un objet de composants hachés', () => {
+    expect(hwidFingerprint.isValidFingerprint(FINGERPRINT)).toBe(true);
+  });
+  
+  test('refuse les formes invalides', () => {
+    expect(hwidFingerprint.isValidFingerprint(null)).toBe(false);
+    expect(hwidFingerprint.isValidFingerprint([])).toBe(false);
+    expect(hwidFingerprint.isValidFingerprint({})).toBe(false);
+    expect(hwidFingerprint.isValidFingerprint({ 'Board!': 'b1' })).toBe(false);
+    expect(hwidFingerprint.isValidFingerprint({ board: 42 })).toBe(false);
+    expect(hwidFingerprint.isValidFingerprint({ board: 'x'.repeat(129) })).toBe(false);
+  });
+});
+
+describe('License.matchDevice: machine reconnue malgré un composant changé', () => {
+  const device = { hwid: 'HWID-ANCIEN-0001', slot: 0, fingerprint: FINGERPRINT };
+  
+  test('le même HWID avec une empreinte proche signale la dérive', () => {
+    const license = buildLicense([device]);
+    const { device: matched, drift, mismatch } = license.matchDevice('HWID-ANCIEN-0001', { ...FINGERPRINT, gpu: 'g2' });
+    
+    expect(matched.hwid).toBe('HWID-ANCIEN-0001');
+    expect(drift).toMatchObject({ previousHwid: 'HWID-ANCIEN-0001', changed: ['gpu'] });
+    expect(mismatch).toBeNull();
+  });
+  
+  test('le même HWID avec une empreinte sous le seuil est refusé', () => {
+    const license = buildLicense([device]);
+    const { drift, mismatch } = license.matchDevice('HWID-ANCIEN-0001', { board: 'b2', cpu: 'c2' });
+    
+    expect(drift).toBeNull();
+    expect(mismatch.score).toBeLessThan(hwidFingerprint.getThreshold());
+  });
+  
+  test('un nouveau HWID ne reprend pas un siège sur la seule empreinte', () => {
+    const license = buildLicense([device]);
+    const { device: matched } = license.matchDevice('HWID-NOUVEAU-0002', { ...FINGERPRINT, gpu: 'g2' });
+    
+    expect(matched).toBeNull();
+  });
+  
+  test('un nouveau HWID reprend son siège avec la preuve de l\'ancienne machine', () => {
+    const license = buildLicense([device]);
+    const { device: matched, drift } = license.matchDevice('HWID-NOUVEAU-0002', { ...FINGERPRINT, gpu: 'g2' }, {
+      provenHwid: 'HWID-ANCIEN-0001'
+    });
+    
+    expect(matched.slot).toBe(0);
+    expect(drift.previousHwid).toBe('HWID-ANCIEN-0001');
+  });
+  
+  test('la preuve ne suffit pas si l\'empreinte est sous le seuil', () => {
+    const license = buildLicense([device]);
+    const { device: matched } = license.matchDevice('HWID-NOUVEAU-0002', { board: 'b2', cpu: 'c2' }, {
+      provenHwid: 'HWID-ANCIEN-0001'
+    });
+    
+    expect(matched).toBeNull();
+  });
+});
@@ -0,0 +1,27 @@
+const LicenseEvent = require('../models/LicenseEvent');
+
+describe('LicenseEvent.record: motif trop long', () => {
+  beforeEach(() => {
+    // Validation du schéma comme lors d'un enregistrement réel
+    jest.spyOn(LicenseEvent.prototype, 'save').mockImplementation(async function() {
+      await this.validate();
+      return this;
+    });
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  test('un motif trop long est tronqué au lieu de faire échouer l\'écriture', async () => {
+    const event = await LicenseEvent.record('a'.repeat(64), 'status_changed', { reason: 'x'.repeat(2500) });
+    
+    expect(event.reason).toBe('x'.repeat(1000));
+  });
+  
+  test('un motif court est conservé tel quel', async () => {
+    const event = await LicenseEvent.record('a'.repeat(64), 'extended', { reason: 'geste commercial' });
+    
+    expect(event.reason).toBe('geste commercial');
+  });
+});
@@ -0,0 +1,82 @@
+const licenseKeys = require('../services/licenseKeys');
+
+const { ALPHABET } = licenseKeys;
+
+// Remplace le caractère à la position donnée par un autre caractère de l'alphabet
+const replaceAt = (key, index, char) => key.substring(0, index) + char + key.substring(index + 1);
+
+describe('licenseKeys: caractère de contrôle', () => {
+  test('une clé générée a un caractère de contrôle valide', () => {
+    for (let i = 0; i < 200; i++) {
+      const key = licenseKeys.generateKey();
+      expect(licenseKeys.buildKeyPattern().test(key)).toBe(true);
+      expect(licenseKeys.hasValidChecksum(key)).toBe(true);
+    }
+  });
+  
+  test('le format du produit est respecté', () => {
+    const format = { prefix: 'NZA', groups: 6, groupLength: 4 };
+    const key = licenseKeys.generateKey(format);
+    
+    expect(licenseKeys.buildKeyPattern(format).test(key)).toBe(true);
+    expect(licenseKeys.hasValidChecksum(key)).toBe(true);
+  });
+  
+  test('toute erreur de saisie sur un caractère est détectée', () => {
+    const key = licenseKeys.generateKey();
+    
+    for (let index = key.indexOf('-') + 1; index < key.length; index++) {
+      if (key[index] === '-') continue;
+      
+      for (const char of ALPHABET) {
+        if (char === key[index]) continue;
+        expect(licenseKeys.hasValidChecksum(replaceAt(key, index, char))).toBe(false);
+      }
+    }
+  });
+  
+  test('l\'inversion de deux caractères voisins différents est détectée', () => {
+    const key = licenseKeys.generateKey();
+    const chars = key.split('');
+    
+    for (let index = key.indexOf('-') + 1; index < chars.length - 1; index++) {
+      if (chars[index] === '-' || chars[index + 1] === '-' || chars[index] === chars[index + 1]) continue;
+      
+      const swapped = [...chars];
+      [swapped[index], swapped[index + 1]] = [swapped[index + 1], swapped[index]];
+      expect(licenseKeys.hasValidChecksum(swapped.join(''))).toBe(false);
+    }
+  });
+  
+  test('le caractère de contrôle complète le corps de la clé', () => {
+    const body = 'ABCDE12345FGHJK67890MNPQ';
+    const key = `KEY-${(body + licenseKeys.computeCheckCharacter(body)).match(/.{5}/g).join('-')}`;
+    
+    expect(licenseKeys.hasValidChecksum(key)).toBe(true);
+    expect(licenseKeys.computeCheckCharacter('ABCI')).toBeNull();
+  });
+  
+  test('les anciennes clés sans contrôle restent acceptées', () => {
+    expect(licenseKeys.hasValidChecksum('KEY-AB12-CD34-EF56-GH78')).toBe(true);
+    expect(licenseKeys.isLegacyKey('KEY-AB12-CD34-EF56-GH78')).toBe(true);
+  });
+  
+  test('un format inconnu est refusé', () => {
+    expect(licenseKeys.hasValidChecksum('pas-une-cle')).toBe(false);
+    expect(licenseKeys.hasValidChecksum('KEY-ABCDE')).toBe(false);
+  });
+});
+
+describe('licenseKeys: affichage masqué', () => {
+  test('le nombre de groupes masqués suit la clé', () => {
+    const key = licenseKeys.generateKey({ prefix: 'NZA', groups: 6, groupLength: 4 });
+    const prefix = licenseKeys.getDisplayPrefix(key);
+    
+    expect(licenseKeys.countKeyGroups(key)).toBe(6);
+    expect(licenseKeys.maskKey(prefix, 6)).toBe(`${prefix}-****-****-****-****-****`);
+  });
+  
+  test('le format par défaut est utilisé sans nombre de groupes', () => {
+    expect(licenseKeys.maskKey('KEY-ABCDE')).toBe('KEY-ABCDE-*****-*****-*****');
+  });
+});
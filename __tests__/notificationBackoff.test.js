@@ -0,0 +1,70 @@
+const Notification = require('../models/Notification');
+
+const MINUTE_MS = 60 * 1000;
+
+// Notification dont la sauvegarde est simulée (aucune base n'est nécessaire)
+const buildNotification = (attempts, maxAttempts = 5) => {
+  const notification = new Notification({
+    type: 'license_expiring',
+    channel: 'email',
+    recipient: 'client@example.com',
+    attempts,
+    maxAttempts
+  });
+  jest.spyOn(notification, 'save').mockResolvedValue(notification);
+  return notification;
+};
+
+// Délai planifié avant le prochain essai
+const retryDelayAfter = async (attempts, maxAttempts) => {
+  const notification = buildNotification(attempts, maxAttempts);
+  const before = Date.now();
+  await notification.markFailed(new Error('SMTP indisponible'));
+  return notification.nextAttemptAt.getTime() - before;
+};
+
+describe('Notification.markFailed: backoff exponentiel', () => {
+  test('le délai double à chaque essai: 1, 2, 4, 8 minutes', async () => {
+    const delays = [];
+    for (const attempts of [1, 2, 3, 4]) {
+      delays.push(await retryDelayAfter(attempts, 20));
+    }
+    
+    [1, 2, 4, 8].forEach((minutes, index) => {
+      expect(delays[index]).toBeGreaterThanOrEqual(minutes * MINUTE_MS);
+      expect(delays[index]).toBeLessThan(minutes * MINUTE_MS + 1000);
+    });
+  });
+  
+  test('le délai est plafonné à 6 heures', async () => {
+    const delay = await retryDelayAfter(15, 20);
+    
+    expect(delay).toBeGreaterThanOrEqual(6 * 60 * MINUTE_MS);
+    expect(delay).toBeLessThan(6 * 60 * MINUTE_MS + 1000);
+  });
+  
+  test('la notification reste en attente tant que des essais restent', async () => {
+    const notification = buildNotification(2);
+    await notification.markFailed(new Error('Connexion refusée'));
+    
+    expect(notification.status).toBe('pending');
+    expect(notification.lastError).toBe('Connexion refusée');
+    expect(notification.save).toHaveBeenCalled();
+  });
+  
+  test('abandon après le nombre maximum d\'essais', async () => {
+    const notification = buildNotification(5);
+    const nextAttemptAt = notification.nextAttemptAt;
+    await notification.markFailed('Refusé');
+    
+    expect(notification.status).toBe('failed');
+    expect(notification.nextAttemptAt).toBe(nextAttemptAt);
+  });
+  
+  test('le message d\'erreur enregistré est tronqué', async () => {
+    const notification = buildNotification(1);
+    await notification.markFailed(new Error('x'.repeat(1000)));
+    
+    expect(notification.lastError).toHaveLength(500);
+  });
+});
@@ -0,0 +1,115 @@
+const express = require('express');
+const SigningKey = require('../models/SigningKey');
+const License = require('../models/License');
+const offlineLicenseService = require('../services/OfflineLicenseService');
+const offlineRoutes = require('../routes/offline');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Clé de signature générée en mémoire (aucune base n'est nécessaire)
+const signingKey = SigningKey.generate();
+
+const buildLicense = () => {
+  const license = new License({
+    keyHash: 'a'.repeat(64),
+    keyPrefix: 'KEY-ABCDE',
+    product: 'nizua',
+    licenseType: 'monthly',
+    features: ['aimbot', 'esp'],
+    expiresAt: new Date(Date.now() + 30 * DAY_MS)
+  });
+  license.$locals.plainKey = 'KEY-ABCDE-FGHJK-MNPQR-STVWX';
+  return license;
+};
+
+// Remplace le premier caractère d'une partie encodée en base64url (le dernier peut ne porter que du bourrage)
+const alter = (value) => (value.startsWith('A') ? 'B' : 'A') + value.slice(1);
+
+beforeEach(() => {
+  jest.spyOn(SigningKey, 'getActiveKey').mockResolvedValue(signingKey);
+  jest.spyOn(SigningKey, 'findById').mockImplementation(async (kid) => (kid === signingKey._id ? signingKey : null));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('OfflineLicenseService: signature puis vérification', () => {
+  test('un document émis par le service est valide', async () => {
+    const { document, kid } = await offlineLicenseService.issue(buildLicense(), 'HWID-0000000001');
+    const result = await offlineLicenseService.verify(document);
+    
+    expect(kid).toBe(signingKey._id);
+    expect(result.valid).toBe(true);
+    expect(result.payload).toMatchObject({ kid: signingKey._id, hwid: 'HWID-0000000001', features: ['aimbot', 'esp'] });
+  });
+  
+  test('un document modifié est refusé', async () => {
+    const { document } = await offlineLicenseService.issue(buildLicense(), 'HWID-0000000001');
+    const [payload, signature] = document.split('.');
+    
+    expect((await offlineLicenseService.verify(`${payload}.${alter(signature)}`)).reason).toBe('signature_invalid');
+  });
+  
+  test('un document d\'une clé inconnue est refusé', async () => {
+    const payload = Buffer.from(JSON.stringify({ kid: '0123456789abcdef' })).toString('base64url');
+    expect((await offlineLicenseService.verify(`${payload}.signature`)).reason).toBe('unknown_kid');
+  });
+  
+  test('un document illisible est refusé sans erreur', async () => {
+    const invalidKid = Buffer.from(JSON.stringify({ kid: { $ne: null } })).toString('base64url');
+    
+    expect((await offlineLicenseService.verify('sans-point')).reason).toBe('malformed');
+    expect((await offlineLicenseService.verify('%%%.signature')).reason).toBe('malformed');
+    expect((await offlineLicenseService.verify(`${invalidKid}.signature`)).reason).toBe('malformed');
+  });
+});
+
+describe('POST /api/offline/verify', () => {
+  let server;
+  let baseUrl;
+  
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/offline', offlineRoutes);
+    
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/offline`;
+  });
+  
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+  
+  const verify = async (body) => {
+    const response = await fetch(`${baseUrl}/verify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  
+  test('un document signé est reconnu, sans renvoyer la clé', async () => {
+    const { document } = await offlineLicenseService.issue(buildLicense(), 'HWID-0000000001');
+    const { status, body } = await verify({ document });
+    
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ success: true, valid: true, kid: signingKey._id, hwid: 'HWID-0000000001' });
+    expect(body.key).toBeUndefined();
+  });
+  
+  test('un document illisible renvoie valid: false', async () => {
+    const { status, body } = await verify({ document: 'abc.def' });
+    
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ success: true, valid: false, reason: 'malformed' });
+  });
+  
+  test('un document absent est refusé', async () => {
+    const { status, body } = await verify({});
+    
+    expect(status).toBe(400);
+    expect(body.reason).toBe('invalid_document');
+  });
+});
@@ -0,0 +1,97 @@
+const express = require('express');
+const License = require('../models/License');
+const AuditLog = require('../models/AuditLog');
+const WebhookEvent = require('../models/WebhookEvent');
+const orderWebhookService = require('../services/OrderWebhookService');
+const webhookRoutes = require('../routes/webhooks');
+
+const KEY_HASH = 'a'.repeat(64);
+const PLAIN_KEY = 'KEY-ABCDE-FGHJK-MNPQR-STVWX';
+
+const buildLicense = () => new License({
+  keyHash: KEY_HASH,
+  keyPrefix: 'KEY-ABCDE',
+  product: 'nizua',
+  licenseType: 'monthly',
+  expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
+});
+
+const buildEvent = (status) => new WebhookEvent({
+  eventType: 'order.paid',
+  orderId: 'CMD-1001',
+  idempotencyKey: 'order.paid:CMD-1001',
+  rawBody: '{}',
+  status,
+  licenseKey: status === 'processed' ? KEY_HASH : null
+});
+
+describe('POST /api/webhooks/orders: clé renvoyée une seule fois', () => {
+  const previousSecret = process.env.WEBHOOK_SECRET;
+  let server;
+  let baseUrl;
+  
+  beforeAll(async () => {
+    process.env.WEBHOOK_SECRET = 'secret-webhook-de-test';
+    
+    const app = express();
+    app.use(express.json({
+      verify: (req, res, buf) => { req.rawBody = buf; }
+    }));
+    app.use('/api/webhooks', webhookRoutes);
+    
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/webhooks`;
+  });
+  
+  afterAll(() => {
+    if (previousSecret === undefined) delete process.env.WEBHOOK_SECRET;
+    else process.env.WEBHOOK_SECRET = previousSecret;
+    
+    return new Promise(resolve => server.close(resolve));
+  });
+  
+  beforeEach(() => {
+    jest.spyOn(AuditLog.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  const deliver = async () => {
+    const rawBody = JSON.stringify({ type: 'order.paid', data: { orderId: 'CMD-1001', plan: 'basic' } });
+    const response = await fetch(`${baseUrl}/orders`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Webhook-Signature': orderWebhookService.sign(rawBody) },
+      body: rawBody
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  
+  test('la première livraison renvoie la clé en clair', async () => {
+    const event = buildEvent('received');
+    const license = buildLicense();
+    license.$locals.plainKey = PLAIN_KEY;
+    
+    jest.spyOn(orderWebhookService, 'record').mockResolvedValue({ event, duplicate: false });
+    jest.spyOn(WebhookEvent, 'claimForProcessing').mockResolvedValue(event);
+    jest.spyOn(orderWebhookService, 'process').mockResolvedValue({ license, created: true });
+    
+    const { status, body } = await deliver();
+    
+    expect(status).toBe(201);
+    expect(body).toMatchObject({ success: true, duplicate: false, orderId: 'CMD-1001', licenseKey: PLAIN_KEY });
+  });
+  
+  test('un doublon ne reçoit que la référence de la licence', async () => {
+    jest.spyOn(orderWebhookService, 'record').mockResolvedValue({ event: buildEvent('processed'), duplicate: true });
+    jest.spyOn(License, 'findByKeyHash').mockResolvedValue(buildLicense());
+    
+    const { status, body } = await deliver();
+    
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ success: true, duplicate: true, orderId: 'CMD-1001', licenseKey: null, keyHash: KEY_HASH });
+    expect(body.maskedKey).toMatch(/^KEY-ABCDE-\*/);
+  });
+});
@@ -0,0 +1,116 @@
+const License = require('../models/License');
+const Plan = require('../models/Plan');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const monthly = new Plan({ name: 'monthly', features: ['a'], defaultDurationDays: 30, price: 30, maxDevices: 1 });
+const premium = new Plan({ name: 'premium', features: ['a', 'b'], defaultDurationDays: 30, price: 60, maxDevices: 3 });
+const free = new Plan({ name: 'free', features: ['a'], defaultDurationDays: 7, price: 0 });
+
+// Licence dont la sauvegarde est simulée (aucune base n'est nécessaire)
+const buildLicense = (data = {}) => {
+  const license = new License({
+    keyHash: 'a'.repeat(64),
+    keyPrefix: 'KEY-ABCDE',
+    product: 'nizua',
+    licenseType: 'monthly',
+    features: ['a'],
+    expiresAt: new Date(Date.now() + 10 * DAY_MS),
+    ...data
+  });
+  jest.spyOn(license, 'save').mockResolvedValue(license);
+  return license;
+};
+
+const remainingDays = (license) => (license.expiresAt.getTime() - Date.now()) / DAY_MS;
+
+describe('Plan.getDailyRate', () => {
+  test('prix rapporté à la durée par défaut', () => {
+    expect(monthly.getDailyRate()).toBe(1);
+    expect(premium.getDailyRate()).toBe(2);
+  });
+  
+  test('un plan non tarifé n\'a pas de tarif journalier', () => {
+    expect(free.getDailyRate()).toBeNull();
+  });
+});
+
+describe('License.changePlan: prorata', () => {
+  test('mode value: le temps restant est converti au tarif du nouveau plan', async () => {
+    const license = buildLicense();
+    const result = await license.changePlan(premium, monthly, { proration: 'value' });
+    
+    expect(result.proration).toBe('value');
+    expect(remainingDays(license)).toBeCloseTo(5, 2);
+    expect(license.licenseType).toBe('premium');
+    expect(license.features).toEqual(['a', 'b']);
+    expect(license.maxDevices).toBe(3);
+  });
+  
+  test('mode value vers un plan moins cher: le temps restant augmente', async () => {
+    const license = buildLicense({ licenseType: 'premium' });
+    await license.changePlan(monthly, premium, { proration: 'value' });
+    
+    expect(remainingDays(license)).toBeCloseTo(20, 2);
+  });
+  
+  test('mode value sans prix: le temps restant est conservé', async () => {
+    const license = buildLicense();
+    const result = await license.changePlan(free, monthly, { proration: 'value' });
+    
+    expect(result.proration).toBe('keep');
+    expect(remainingDays(license)).toBeCloseTo(10, 2);
+  });
+  
+  test('mode reset: durée par défaut du nouveau plan', async () => {
+    const license = buildLicense();
+    await license.changePlan(free, monthly, { proration: 'reset' });
+    
+    expect(remainingDays(license)).toBeCloseTo(7, 2);
+  });
+  
+  test('une licence à vie le reste', async () => {
+    const license = buildLicense({ expiresAt: null });
+    const result = await license.changePlan(premium, monthly, { proration: 'value' });
+    
+    expect(result.proration).toBe('keep');
+    expect(license.expiresAt).toBeNull();
+  });
+  
+  test('une licence suspendue convertit son temps restant gelé', async () => {
+    const license = buildLicense({
+      status: 'suspended',
+      suspension: { suspendedAt: new Date(), remainingMs: 10 * DAY_MS }
+    });
+    const expiresAt = license.expiresAt;
+    await license.changePlan(premium, monthly, { proration: 'value' });
+    
+    expect(license.suspension.remainingMs).toBe(5 * DAY_MS);
+    expect(license.expiresAt).toBe(expiresAt);
+  });
+  
+  test('les sièges déjà occupés sont conservés', async () => {
+    const license = buildLicense({
+      maxDevices: 3,
+      devices: [{ hwid: 'HWID-0000000001', slot: 0 }, { hwid: 'HWID-0000000002', slot: 1 }]
+    });
+    await license.changePlan(monthly, premium, { proration: 'keep' });
+    
+    expect(license.maxDevices).toBe(2);
+  });
+  
+  test('le changement est repris dans l\'historique des plans', async () => {
+    const license = buildLicense();
+    const previousExpiresAt = license.expiresAt;
+    await license.changePlan(premium, monthly, { proration: 'value', reason: 'upgrade' });
+    
+    expect(license.planHistory).toHaveLength(1);
+    expect(license.planHistory[0]).toMatchObject({
+      from: 'monthly',
+      to: 'premium',
+      proration: 'value',
+      previousExpiresAt,
+      reason: 'upgrade'
+    });
+  });
+});
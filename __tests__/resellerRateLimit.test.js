@@ -0,0 +1,39 @@
+const express = require('express');
+const Reseller = require('../models/Reseller');
+
+process.env.RESELLER_RATE_LIMIT_MAX = '2';
+
+const resellerRoutes = require('../routes/reseller');
+
+describe('API revendeurs: limitation des tentatives', () => {
+  let server;
+  let baseUrl;
+  
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/reseller', resellerRoutes);
+    
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/reseller`;
+  });
+  
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  test('changer de clé API à chaque requête ne contourne pas la limite', async () => {
+    jest.spyOn(Reseller, 'findByApiKey').mockResolvedValue(null);
+    
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      const response = await fetch(`${baseUrl}/me`, { headers: { 'X-Reseller-API-Key': `cle-devinee-${i}` } });
+      statuses.push(response.status);
+    }
+    
+    expect(statuses).toEqual([401, 401, 429]);
+  });
+});
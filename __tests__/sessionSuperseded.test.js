@@ -0,0 +1,98 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'secret-de-test';
+
+const authRoutes = require('../routes/auth');
+
+const HWID = 'HWID-0000000001';
+
+// Session révoquée par une connexion plus récente (politique kick_oldest)
+const buildSupersededSession = () => {
+  const sessionToken = jwt.sign({ licenseKey: 'a'.repeat(64), hwid: HWID }, process.env.JWT_SECRET, { expiresIn: '7d' });
+  
+  return new Session({
+    sessionToken,
+    licenseKey: 'a'.repeat(64),
+    hwid: HWID,
+    expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+    status: 'revoked',
+    revokedReason: 'superseded'
+  });
+};
+
+describe('Session remplacée par une connexion plus récente', () => {
+  let server;
+  let baseUrl;
+  let session;
+  let auditLogs;
+  
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', authRoutes);
+    
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  });
+  
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+  
+  beforeEach(() => {
+    session = buildSupersededSession();
+    auditLogs = [];
+    
+    jest.spyOn(Session, 'findByToken').mockResolvedValue(session);
+    
+    // Le journal d'audit est validé (enum des événements) comme lors d'un enregistrement réel
+    jest.spyOn(AuditLog.prototype, 'save').mockImplementation(async function() {
+      await this.validate();
+      auditLogs.push(this);
+      return this;
+    });
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  const post = async (path, body, headers = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  
+  test('check-session signale la session remplacée', async () => {
+    const { status, body } = await post('/check-session', { sessionToken: session.sessionToken, hwid: HWID });
+    
+    expect(status).toBe(200);
+    expect(body).toEqual({ valid: false, reason: 'session_superseded' });
+    expect(auditLogs.map(log => log.eventType)).toEqual(['session_validation_failed']);
+  });
+  
+  test('une route protégée refuse la session remplacée', async () => {
+    const { status, body } = await post('/logout', {}, { Authorization: `Bearer ${session.sessionToken}` });
+    
+    expect(status).toBe(401);
+    expect(body.reason).toBe('session_superseded');
+    expect(auditLogs.map(log => log.eventType)).toEqual(['session_validation_failed']);
+  });
+  
+  test('une session encore active n\'est pas signalée comme remplacée', async () => {
+    session.status = 'active';
+    session.revokedReason = null;
+    jest.spyOn(session, 'updateActivity').mockResolvedValue(session);
+    jest.spyOn(Session, 'findActiveByLicense').mockResolvedValue([session]);
+    
+    const { body } = await post('/check-session', { sessionToken: session.sessionToken, hwid: 'HWID-AUTRE-0002' });
+    
+    expect(body).toEqual({ valid: false, reason: 'hwid_mismatch' });
+    expect(auditLogs.map(log => log.eventType)).toEqual(['session_validation_failed']);
+  });
+});
@@ -4,15 +4,36 @@ const crypto = require('crypto');
 const License = require('../models/License');
 const Session = require('../models/Session');
 const AuditLog = require('../models/AuditLog');
+const Reseller = require('../models/Reseller');
 const logger = require('../config/logger');
+const { KEY_PATTERN, REDEEM_CODE_PATTERN, hasValidChecksum } = require('../services/licenseKeys');
+const { isValidFingerprint } = require('../services/hwidFingerprint');
+
+// Produit envoyé par le client (body.product ou en-tête X-Product)
+const PRODUCT_SLUG_PATTERN = /^[a-zA-Z0-9_-]{2,32}$/;
+
+// Accepter les requêtes dans une fenêtre de 5 minutes
+const checkTimestampWindow = (value) => {
+  const timestamp = new Date(value);
+  const now = new Date();
+  const diff = Math.abs(now - timestamp);
+  
+  if (diff > 5 * 60 * 1000) {
+    throw new Error('Timestamp trop ancien ou futur');
+  }
+  return true;
+};
 
 // Validation des entrées pour la validation de clé
 const validateKeyRequest = [
   body('key')
     .notEmpty()
     .withMessage('Clé de licence requise')
-    .matches(/^KEY-[A-Z0-9]{4}-[A-Z0-9]{4}-[A-Z0-9]{4}-[A-Z0-9]{4}$/)
-    .withMessage('Format de clé invalide'),
+    .matches(KEY_PATTERN)
+    .withMessage('Format de clé invalide')
+    .bail()
+    .custom(hasValidChecksum)
+    .withMessage('Clé invalide, vérifiez la saisie'),
   
   body('hwid')
     .notEmpty()
@@ -23,22 +44,33 @@ const validateKeyRequest = [
   body('timestamp')
     .isISO8601()
     .withMessage('Timestamp invalide')
-    .custom((value) => {
-      const timestamp = new Date(value);
-      const now = new Date();
-      const diff = Math.abs(now - timestamp);
-      
-      // Accepter les requêtes dans une fenêtre de 5 minutes
-      if (diff > 5 * 60 * 1000) {
-        throw new Error('Timestamp trop ancien ou futur');
-      }
-      return true;
-    }),
+    .custom(checkTimestampWindow),
   
   body('signature')
     .optional()
     .isLength({ min: 32 })
-    .withMessage('Signature invalide')
+    .withMessage('Signature invalide'),
+  
+  body('offline')
+    .optional()
+    .isBoolean()
+    .withMessage('Option hors-ligne invalide')
+    .toBoolean(),
+  
+  body('product')
+    .optional()
+    .matches(PRODUCT_SLUG_PATTERN)
+    .withMessage('Produit invalide'),
+  
+  body('fingerprint')
+    .optional()
+    .custom(isValidFingerprint)
+    .withMessage('Empreinte matérielle invalide'),
+  
+  body('previousSessionToken')
+    .optional()
+    .isString()
+    .withMessage('Token de session précédente invalide')
 ];
 
 // Validation des entrées pour la vérification de session
@@ -52,6 +84,110 @@ const validateSessionRequest = [
     .withMessage('HWID requis')
 ];
 
+// Validation des entrées pour le reset HWID en libre-service
+const validateHwidResetRequest = [
+  body('key')
+    .notEmpty()
+    .withMessage('Clé de licence requise')
+    .matches(KEY_PATTERN)
+    .withMessage('Format de clé invalide'),
+  
+  body('sessionToken')
+    .notEmpty()
+    .withMessage('Token de session requis')
+];
+
+// Validation des entrées pour le renouvellement par clé
+const validateRenewRequest = [
+  body('key')
+    .notEmpty()
+    .withMessage('Clé de licence requise')
+    .matches(KEY_PATTERN)
+    .withMessage('Format de clé invalide'),
+  
+  body('renewalKey')
+    .notEmpty()
+    .withMessage('Clé de renouvellement requise')
+    .matches(KEY_PATTERN)
+    .withMessage('Format de clé de renouvellement invalide')
+    .bail()
+    .custom(hasValidChecksum)
+    .withMessage('Clé de renouvellement invalide, vérifiez la saisie')
+];
+
+// Validation des entrées pour la demande d'essai gratuit
+const validateTrialRequest = [
+  body('hwid')
+    .notEmpty()
+    .withMessage('HWID requis')
+    .isLength({ min: 10, max: 128 })
+    .withMessage('HWID invalide'),
+  
+  body('timestamp')
+    .isISO8601()
+    .withMessage('Timestamp invalide')
+    .custom(checkTimestampWindow),
+  
+  body('product')
+    .optional()
+    .matches(PRODUCT_SLUG_PATTERN)
+    .withMessage('Produit invalide')
+];
+
+// Validation des entrées pour l'utilisation d'un code cadeau/activation
+const validateRedeemRequest = [
+  body('code')
+    .notEmpty()
+    .withMessage('Code requis')
+    .customSanitizer(value => String(value).toUpperCase().trim())
+    .matches(REDEEM_CODE_PATTERN)
+    .withMessage('Format de code invalide'),
+  
+  body('hwid')
+    .notEmpty()
+    .withMessage('HWID requis')
+    .isLength({ min: 10, max: 128 })
+    .withMessage('HWID invalide'),
+  
+  body('key')
+    .optional()
+    .matches(KEY_PATTERN)
+    .withMessage('Format de clé invalide'),
+  
+  body('product')
+    .optional()
+    .matches(PRODUCT_SLUG_PATTERN)
+    .withMessage('Produit invalide')
+];
+
+// Validation des entrées pour une demande de transfert de licence
+const validateTransferRequest = [
+  body('key')
+    .notEmpty()
+    .withMessage('Clé de licence requise')
+    .matches(KEY_PATTERN)
+    .withMessage('Format de clé invalide'),
+  
+  body('sessionToken')
+    .notEmpty()
+    .withMessage('Token de session requis'),
+  
+  body('targetHwid')
+    .optional()
+    .isLength({ min: 10, max: 128 })
+    .withMessage('HWID cible invalide'),
+  
+  body('targetOwner')
+    .optional()
+    .isEmail()
+    .withMessage('Propriétaire cible invalide (email attendu)')
+    .normalizeEmail(),
+  
+  body()
+    .custom(value => Boolean(value.targetHwid || value.targetOwner))
+    .withMessage('HWID ou propriétaire cible requis')
+];
+
 // Middleware de validation des erreurs
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -156,6 +292,39 @@ const requireAdminAuth = (req, res, next) => {
   next();
 };
 
+// Middleware d'authentification revendeur (clé API propre à chaque revendeur)
+const requireResellerAuth = async (req, res, next) => {
+  try {
+    const apiKey = req.headers['x-reseller-api-key'];
+    const reseller = apiKey ? await Reseller.findByApiKey(apiKey) : null;
+    
+    if (!reseller) {
+      logger.security('Tentative d\'accès revendeur non autorisée', {
+        ip: req.ip,
+        apiKey: apiKey ? 'présente' : 'manquante',
+        userAgent: req.get('User-Agent')
+      });
+      
+      return res.status(401).json({
+        success: false,
+        error: 'Accès non autorisé',
+        reason: 'reseller_auth_required'
+      });
+    }
+    
+    req.reseller = reseller;
+    next();
+    
+  } catch (error) {
+    logger.error('Erreur authentification revendeur:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur interne du serveur',
+      reason: 'server_error'
+    });
+  }
+};
+
 // Middleware de vérification de session JWT
 const verifySession = async (req, res, next) => {
   try {
@@ -176,17 +345,19 @@ const verifySession = async (req, res, next) => {
     const session = await Session.findByToken(token);
     
     if (!session || !session.isActive()) {
+      const superseded = Boolean(session && session.isSuperseded());
+      
       await AuditLog.logEvent('session_validation_failed', {
         sessionToken: token,
         hwid: decoded.hwid,
         ipAddress: req.ip,
-        message: 'Session invalide ou expirée'
+        message: superseded ? 'Session remplacée par une connexion plus récente' : 'Session invalide ou expirée'
       });
       
       return res.status(401).json({
         success: false,
         error: 'Session invalide ou expirée',
-        reason: 'session_invalid'
+        reason: superseded ? 'session_superseded' : 'session_invalid'
       });
     }
     
@@ -224,8 +395,14 @@ const verifySession = async (req, res, next) => {
 module.exports = {
   validateKeyRequest,
   validateSessionRequest,
+  validateHwidResetRequest,
+  validateRenewRequest,
+  validateTrialRequest,
+  validateRedeemRequest,
+  validateTransferRequest,
   handleValidationErrors,
   verifySignature,
   requireAdminAuth,
+  requireResellerAuth,
   verifySession
 };
\ No newline at end of file
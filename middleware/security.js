@@ -29,7 +29,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Admin-API-Key']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Admin-API-Key', 'X-Reseller-API-Key']
 };
 
 // Rate limiting pour la validation de clés - plus permissif pour Render
@@ -88,6 +88,52 @@ const keyValidationLimiter = rateLimit({
   }
 });
 
+// Rate limiting pour l'utilisation des codes cadeaux/activation (anti-énumération)
+const redeemLimiter = rateLimit({
+  windowMs: parseInt(process.env.REDEEM_RATE_LIMIT_WINDOW_MS) || 60 * 60 * 1000, // 1 heure
+  max: parseInt(process.env.REDEEM_RATE_LIMIT_MAX_ATTEMPTS) || 10,
+  trustProxy: true,
+  keyGenerator: (req) => {
+    return req.ip || req.connection.remoteAddress || 'unknown';
+  },
+  message: {
+    success: false,
+    error: 'Trop de tentatives d\'utilisation de code',
+    reason: 'rate_limit_exceeded'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: async (req, res) => {
+    logger.security('Rate limit dépassé pour utilisation de code', {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    
+    try {
+      await AuditLog.logEvent('rate_limit_exceeded', {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        message: 'Limite de tentatives d\'utilisation de code dépassée',
+        severity: 'warning',
+        details: {
+          endpoint: req.originalUrl,
+          limit: parseInt(process.env.REDEEM_RATE_LIMIT_MAX_ATTEMPTS) || 10,
+          window: parseInt(process.env.REDEEM_RATE_LIMIT_WINDOW_MS) || 60 * 60 * 1000
+        }
+      });
+    } catch (error) {
+      logger.error('Erreur lors de l\'audit log:', error);
+    }
+    
+    res.status(429).json({
+      success: false,
+      error: 'Trop de tentatives d\'utilisation de code',
+      reason: 'rate_limit_exceeded',
+      retryAfter: Math.ceil((parseInt(process.env.REDEEM_RATE_LIMIT_WINDOW_MS) || 60 * 60 * 1000) / 1000)
+    });
+  }
+});
+
 // Rate limiting général - plus permissif pour Render
 const generalLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -127,6 +173,36 @@ const adminLimiter = rateLimit({
   }
 });
 
+// Rate limiting pour l'API revendeurs, par IP: appliqué avant l'authentification,
+// une clé API non vérifiée ne doit pas ouvrir un nouveau compteur
+const resellerLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.RESELLER_RATE_LIMIT_MAX) || 300,
+  trustProxy: true,
+  keyGenerator: (req) => {
+    return req.ip || req.connection.remoteAddress || 'unknown';
+  },
+  message: {
+    success: false,
+    error: 'Trop de requêtes revendeur',
+    reason: 'reseller_rate_limit_exceeded'
+  }
+});
+
+// Rate limiting par revendeur authentifié (à placer après requireResellerAuth)
+const resellerAccountLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.RESELLER_RATE_LIMIT_MAX) || 300,
+  keyGenerator: (req) => {
+    return `reseller:${req.reseller._id}`;
+  },
+  message: {
+    success: false,
+    error: 'Trop de requêtes revendeur',
+    reason: 'reseller_rate_limit_exceeded'
+  }
+});
+
 // Middleware de détection d'activité suspecte - adapté pour Render
 const detectSuspiciousActivity = async (req, res, next) => {
   try {
@@ -244,8 +320,11 @@ const requestLogger = (req, res, next) => {
 module.exports = {
   corsOptions,
   keyValidationLimiter,
+  redeemLimiter,
   generalLimiter,
   adminLimiter,
+  resellerLimiter,
+  resellerAccountLimiter,
   detectSuspiciousActivity,
   helmetConfig,
   requestLogger
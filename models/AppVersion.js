@@ -1,9 +1,11 @@
 const mongoose = require('mongoose');
+const Product = require('./Product');
 
 const appVersionSchema = new mongoose.Schema({
+  // Un document par produit: l'identifiant est le slug du produit
   _id: {
     type: String,
-    default: 'current_version'
+    default: () => Product.getDefaultSlug()
   },
   
   // Version actuelle (format: v1.0.0)
@@ -174,21 +176,21 @@ appVersionSchema.methods.determineVersionType = function(commitMessage) {
 };
 
 // Méthodes statiques
-appVersionSchema.statics.getCurrentVersion = function() {
-  return this.findById('current_version');
+appVersionSchema.statics.getCurrentVersion = function(product = Product.getDefaultSlug()) {
+  return this.findById(product);
 };
 
-appVersionSchema.statics.initializeVersion = async function() {
-  const existing = await this.findById('current_version');
+appVersionSchema.statics.initializeVersion = async function(product = Product.getDefaultSlug()) {
+  const existing = await this.findById(product);
   
   if (!existing) {
     const version = new this({
-      _id: 'current_version',
+      _id: product,
       version: 'v1.0.0',
       buildNumber: 1
     });
     await version.save();
-    console.log('✅ Version initiale créée: v1.0.0');
+    console.log(`✅ Version initiale créée pour ${product}: v1.0.0`);
     return version;
   }
   
@@ -10,10 +10,30 @@ const auditLogSchema = new mongoose.Schema({
       'key_validation_failed',
       'session_created',
       'session_validated',
+      'session_validation_failed',
       'session_expired',
       'session_revoked',
       'key_created',
       'key_banned',
+      'key_expired',
+      'hwid_reset',
+      'hwid_drift',
+      'license_extended',
+      'license_suspended',
+      'license_resumed',
+      'license_plan_changed',
+      'trial_issued',
+      'trial_refused',
+      'code_created',
+      'code_redeemed',
+      'code_redeem_failed',
+      'transfer_requested',
+      'transfer_approved',
+      'transfer_rejected',
+      'webhook_received',
+      'webhook_rejected',
+      'hwid_flagged',
+      'hwid_flag_reviewed',
       'suspicious_activity',
       'rate_limit_exceeded',
       'admin_action',
@@ -23,7 +43,7 @@ const auditLogSchema = new mongoose.Schema({
     ]
   },
   
-  // Clé de licence concernée (si applicable)
+  // Licence concernée (empreinte de la clé, License.keyHash, si applicable)
   licenseKey: {
     type: String,
     default: null
@@ -53,6 +73,23 @@ const auditLogSchema = new mongoose.Schema({
     default: null
   },
   
+  // Auteur de l'action (admin, revendeur, système), null pour les clients
+  actor: {
+    type: {
+      type: String,
+      enum: ['admin', 'reseller', 'system'],
+      default: null
+    },
+    id: {
+      type: String,
+      default: null
+    },
+    name: {
+      type: String,
+      default: null
+    }
+  },
+  
   // Détails de l'événement
   details: {
     type: mongoose.Schema.Types.Mixed,
@@ -90,6 +127,7 @@ auditLogSchema.index({ licenseKey: 1 });
 auditLogSchema.index({ hwid: 1 });
 auditLogSchema.index({ ipAddress: 1 });
 auditLogSchema.index({ severity: 1 });
+auditLogSchema.index({ 'actor.type': 1, 'actor.id': 1, timestamp: -1 });
 
 // Méthodes statiques
 auditLogSchema.statics.logEvent = function(eventType, data) {
@@ -100,6 +138,7 @@ auditLogSchema.statics.logEvent = function(eventType, data) {
     sessionToken: data.sessionToken || null,
     ipAddress: data.ipAddress || 'unknown',
     userAgent: data.userAgent || null,
+    actor: data.actor || undefined,
     details: data.details || {},
     message: data.message || eventType,
     severity: data.severity || 'info'
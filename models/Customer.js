@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const customerSchema = new mongoose.Schema({
+  // Email du client (identifiant unique, aussi repris dans metadata.owner des licences)
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    maxlength: 254,
+    match: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+  },
+  
+  displayName: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: 100
+  },
+  
+  // Langue des notifications (null = NOTIFICATION_DEFAULT_LOCALE)
+  locale: {
+    type: String,
+    enum: ['fr', 'en', null],
+    default: null
+  },
+  
+  // Notes du support
+  notes: {
+    type: String,
+    default: '',
+    maxlength: 5000
+  }
+}, {
+  timestamps: true,
+  collection: 'customers'
+});
+
+customerSchema.index({ email: 1 }, { unique: true });
+customerSchema.index({ displayName: 1 });
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Méthodes statiques
+customerSchema.statics.findByEmail = function(email) {
+  return this.findOne({ email: String(email).toLowerCase().trim() });
+};
+
+// Retrouve le client par email ou le crée (transferts, création de licence)
+customerSchema.statics.findOrCreateByEmail = function(email, data = {}) {
+  const normalized = String(email).toLowerCase().trim();
+  
+  return this.findOneAndUpdate(
+    { email: normalized },
+    { $setOnInsert: { email: normalized, ...data } },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+// Recherche partielle sur l'email ou le nom affiché
+customerSchema.statics.buildSearchFilter = function(query) {
+  if (!query) return {};
+  
+  const pattern = new RegExp(escapeRegex(String(query).trim()), 'i');
+  return { $or: [{ email: pattern }, { displayName: pattern }] };
+};
+
+module.exports = mongoose.model('Customer', customerSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const hwidFlagSchema = new mongoose.Schema({
+  // Machine signalée
+  hwid: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  
+  // Licence sur laquelle la machine était liée (empreinte de la clé)
+  licenseKey: {
+    type: String,
+    default: null
+  },
+  
+  orderId: {
+    type: String,
+    default: null
+  },
+  
+  reason: {
+    type: String,
+    enum: ['refund', 'chargeback', 'manual'],
+    required: true
+  },
+  
+  // open: à examiner, confirmed: fraude avérée, cleared: levé
+  status: {
+    type: String,
+    enum: ['open', 'confirmed', 'cleared'],
+    default: 'open'
+  },
+  
+  note: {
+    type: String,
+    default: ''
+  },
+  
+  reviewedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'hwid_flags'
+});
+
+hwidFlagSchema.index({ hwid: 1, status: 1 });
+hwidFlagSchema.index({ status: 1, createdAt: -1 });
+hwidFlagSchema.index({ hwid: 1, orderId: 1, reason: 1 }, { unique: true });
+
+// Méthodes statiques
+// Signale toutes les machines liées à une licence (un seul signalement par machine, commande et motif)
+hwidFlagSchema.statics.flagLicenseDevices = async function(license, { reason, orderId = null, note = '' }) {
+  const hwids = license.devices.map(device => device.hwid);
+  
+  await Promise.all(hwids.map(hwid => this.updateOne(
+    { hwid, orderId, reason },
+    { $setOnInsert: { hwid, orderId, reason, licenseKey: license.keyHash, note } },
+    { upsert: true }
+  )));
+  
+  return hwids;
+};
+
+hwidFlagSchema.statics.findOpenByHWID = function(hwid) {
+  return this.find({ hwid, status: 'open' });
+};
+
+module.exports = mongoose.model('HwidFlag', hwidFlagSchema);
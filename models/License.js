@@ -1,22 +1,99 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const licenseKeys = require('../services/licenseKeys');
+const hwidFingerprint = require('../services/hwidFingerprint');
+const Product = require('./Product');
 
-const licenseSchema = new mongoose.Schema({
-  // Clé de licence (format: KEY-XXXX-XXXX-XXXX-XXXX)
-  key: {
+// Machine liée à une licence (un siège)
+const deviceSchema = new mongoose.Schema({
+  hwid: {
     type: String,
     required: true,
+    trim: true
+  },
+  
+  // Numéro du siège occupé (0 à maxDevices - 1)
+  slot: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  
+  // Libellé libre (ex: "PC bureau")
+  label: {
+    type: String,
+    default: '',
     trim: true,
-    uppercase: true,
-    match: /^KEY-[A-Z0-9]{4}-[A-Z0-9]{4}-[A-Z0-9]{4}-[A-Z0-9]{4}$/
+    maxlength: 100
+  },
+  
+  firstSeen: {
+    type: Date,
+    default: Date.now
+  },
+  
+  lastSeen: {
+    type: Date,
+    default: Date.now
   },
   
-  // HWID lié à cette clé (null si jamais utilisé)
+  // Empreinte structurée envoyée par le client (composant -> valeur hachée), voir hwidFingerprint
+  fingerprint: {
+    type: Map,
+    of: String,
+    default: undefined
+  }
+}, { _id: false });
+
+const licenseSchema = new mongoose.Schema({
+  // Empreinte HMAC de la clé de licence: la clé en clair n'est jamais stockée
+  keyHash: {
+    type: String,
+    required: true,
+    match: licenseKeys.KEY_HASH_PATTERN
+  },
+  
+  // Début de la clé conservé pour l'affichage: préfixe produit et premier groupe (KEY-XXXXX)
+  keyPrefix: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  
+  // Nombre de groupes de la clé (format du produit), pour l'affichage masqué
+  keyGroups: {
+    type: Number,
+    default: null
+  },
+  
+  // Produit auquel la clé donne accès (slug, voir Product)
+  product: {
+    type: String,
+    default: () => Product.getDefaultSlug(),
+    lowercase: true,
+    trim: true
+  },
+  
+  // HWID principal lié à cette clé (premier siège, null si jamais utilisé)
   hwid: {
     type: String,
     default: null,
     trim: true
   },
   
+  // Nombre de machines autorisées simultanément sur cette clé
+  maxDevices: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  
+  // Machines liées à cette clé
+  devices: {
+    type: [deviceSchema],
+    default: []
+  },
+  
   // Indique si la clé a été utilisée/liée à un HWID
   used: {
     type: Boolean,
@@ -29,12 +106,36 @@ const licenseSchema = new mongoose.Schema({
     default: Date.now
   },
   
-  // Date d'expiration de la clé
+  // Date d'expiration de la clé (null = licence à vie)
   expiresAt: {
     type: Date,
-    required: true
+    default: null
   },
   
+  // Durée achetée en jours (utilisée quand la clé sert de clé de renouvellement)
+  durationDays: {
+    type: Number,
+    default: null
+  },
+  
+  // Historique des prolongations
+  renewalHistory: [{
+    _id: false,
+    days: Number,
+    previousExpiresAt: Date,
+    newExpiresAt: Date,
+    // admin, renewal_key, ...
+    source: String,
+    reference: {
+      type: String,
+      default: null
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
   // Statut de la clé
   status: {
     type: String,
@@ -42,6 +143,34 @@ const licenseSchema = new mongoose.Schema({
     default: 'active'
   },
   
+  // Suspension en cours: temps restant gelé et réactivation programmée
+  suspension: {
+    suspendedAt: {
+      type: Date,
+      default: null
+    },
+    // Temps restant avant expiration au moment de la suspension
+    remainingMs: {
+      type: Number,
+      default: null
+    },
+    // Réactivation automatique (null = manuelle)
+    resumeAt: {
+      type: Date,
+      default: null
+    },
+    reason: {
+      type: String,
+      default: ''
+    },
+    // Auteur de la suspension: un revendeur ne peut lever que les siennes
+    by: {
+      type: String,
+      enum: ['admin', 'reseller', 'system'],
+      default: 'admin'
+    }
+  },
+  
   // Nombre de tentatives d'utilisation (pour anti-abus)
   attempts: {
     type: Number,
@@ -66,19 +195,104 @@ const licenseSchema = new mongoose.Schema({
     default: null
   },
   
-  // Type de licence (basic, premium, etc.)
+  // Type de licence: nom du plan (voir le modèle Plan)
   licenseType: {
     type: String,
-    enum: ['demo', 'basic', 'premium', 'enterprise'],
+    trim: true,
+    lowercase: true,
     default: 'basic'
   },
   
-  // Fonctionnalités autorisées
+  // Fonctionnalités autorisées (par défaut celles du plan)
   features: [{
     type: String,
-    enum: ['lobby_manager', 'controller', 'anti_afk', 'movement', 'premium_features']
+    trim: true
   }],
   
+  // Incrémenté à chaque changement de droits: les sessions plus anciennes sont réémises
+  entitlementsVersion: {
+    type: Number,
+    default: 0
+  },
+  
+  // Historique des changements de plan
+  planHistory: [{
+    _id: false,
+    from: String,
+    to: String,
+    // value, keep, reset
+    proration: String,
+    previousExpiresAt: Date,
+    newExpiresAt: Date,
+    reason: {
+      type: String,
+      default: ''
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
+  // Sessions simultanées autorisées (null = valeur du plan)
+  maxConcurrentSessions: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  
+  // Politique au-delà de la limite (null = valeur du plan)
+  sessionPolicy: {
+    type: String,
+    enum: ['reject', 'kick_oldest', null],
+    default: null
+  },
+  
+  // Historique des réinitialisations HWID en libre-service
+  hwidResets: [{
+    _id: false,
+    hwid: String,
+    ip: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
+  // Chaîne de possession: transferts approuvés de machine ou de propriétaire
+  custodyChain: [{
+    _id: false,
+    transferId: mongoose.Schema.Types.ObjectId,
+    fromHwid: String,
+    toHwid: String,
+    fromOwner: String,
+    toOwner: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
+  // Lot de génération (null si créée individuellement)
+  batchId: {
+    type: String,
+    default: null
+  },
+  
+  // Revendeur ayant créé la licence (null si vendue en direct)
+  reseller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reseller',
+    default: null
+  },
+  
+  // Compte client propriétaire
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  
   // Métadonnées supplémentaires
   metadata: {
     // Source de la clé (manual, generated, purchased, etc.)
@@ -87,32 +301,113 @@ const licenseSchema = new mongoose.Schema({
       default: 'manual'
     },
     
-    // Notes administratives
+    // Notes saisies par le support (les changements de licence sont tracés dans LicenseEvent)
     notes: {
       type: String,
       default: ''
     },
     
+    // Propriétaire de la licence (email du client rattaché, ou identifiant libre)
+    owner: {
+      type: String,
+      default: null
+    },
+    
     // ID de commande ou transaction (si applicable)
     orderId: {
       type: String,
       default: null
+    },
+    
+    // Licence prolongée (empreinte) lorsque cette clé a servi de clé de renouvellement
+    redeemedInto: {
+      type: String,
+      default: null
+    },
+    
+    // Libellé du lot de génération (si applicable)
+    batchLabel: {
+      type: String,
+      default: null
     }
   }
 }, {
   timestamps: true,
-  collection: 'licenses'
+  collection: 'licenses',
+  toJSON: { virtuals: ['maskedKey'] }
 });
 
 // Index pour optimiser les recherches
-licenseSchema.index({ key: 1 });
+licenseSchema.index({ keyHash: 1 }, { unique: true });
+licenseSchema.index({ keyPrefix: 1 });
+licenseSchema.index({ product: 1, status: 1 });
 licenseSchema.index({ hwid: 1 });
+licenseSchema.index({ 'devices.hwid': 1 });
 licenseSchema.index({ status: 1 });
 licenseSchema.index({ expiresAt: 1 });
+licenseSchema.index({ batchId: 1 });
+licenseSchema.index({ customer: 1 });
+licenseSchema.index({ reseller: 1, createdAt: -1 });
+licenseSchema.index({ status: 1, 'suspension.resumeAt': 1 });
+
+// Clé masquée pour les vues d'administration
+licenseSchema.virtual('maskedKey').get(function() {
+  return this.keyPrefix ? licenseKeys.maskKey(this.keyPrefix, this.keyGroups || undefined) : null;
+});
+
+// Clé en clair, connue uniquement en mémoire: à la génération, ou quand la licence a été retrouvée par sa clé
+licenseSchema.virtual('plainKey').get(function() {
+  return this.$locals.plainKey || null;
+});
+
+// Clés antérieures au multi-poste: reprendre le HWID unique comme premier siège
+licenseSchema.post('init', function(doc) {
+  if (doc.hwid && doc.devices.length === 0) {
+    const seenAt = doc.lastAttempt || doc.createdAt;
+    doc.devices.push({ hwid: doc.hwid, slot: 0, firstSeen: seenAt, lastSeen: seenAt });
+  }
+});
 
 // Méthodes du modèle
+licenseSchema.methods.isLifetime = function() {
+  return !this.expiresAt;
+};
+
 licenseSchema.methods.isExpired = function() {
-  return new Date() > this.expiresAt;
+  return !this.isLifetime() && new Date() > this.expiresAt;
+};
+
+// Fin de la période de grâce du plan après expiration (null si le plan n'en prévoit pas)
+licenseSchema.methods.getGraceEndsAt = function(plan = null) {
+  if (this.isLifetime() || !plan || !plan.gracePeriodDays) return null;
+  return new Date(this.expiresAt.getTime() + plan.gracePeriodDays * 24 * 60 * 60 * 1000);
+};
+
+// Licence expirée mais encore utilisable pendant la période de grâce de son plan
+licenseSchema.methods.getGraceStatus = function(plan = null) {
+  const graceEndsAt = this.getGraceEndsAt(plan);
+  const inGracePeriod = this.isExpired() && Boolean(graceEndsAt) && new Date() < graceEndsAt;
+  
+  return {
+    inGracePeriod,
+    graceEndsAt: inGracePeriod ? graceEndsAt : null,
+    graceRemainingSeconds: inGracePeriod ? Math.ceil((graceEndsAt - Date.now()) / 1000) : null
+  };
+};
+
+// Fonctionnalités accordées: limitées aux fonctionnalités de grâce du plan pendant la période de grâce
+licenseSchema.methods.getEffectiveFeatures = function(plan = null) {
+  if (!this.getGraceStatus(plan).inGracePeriod || !plan.graceFeatures) return this.features;
+  return this.features.filter(feature => plan.graceFeatures.includes(feature));
+};
+
+// État repris dans l'historique (valeurs avant/après d'un événement)
+licenseSchema.methods.getTimelineState = function() {
+  return {
+    status: this.status,
+    expiresAt: this.expiresAt,
+    resumeAt: this.suspension ? this.suspension.resumeAt : null
+  };
 };
 
 licenseSchema.methods.isActive = function() {
@@ -123,10 +418,400 @@ licenseSchema.methods.canBeUsed = function() {
   return this.isActive() && (!this.used || this.hwid);
 };
 
-licenseSchema.methods.bindToHWID = function(hwid) {
-  this.hwid = hwid;
-  this.used = true;
-  this.lastAttempt = new Date();
+licenseSchema.methods.findDevice = function(hwid) {
+  return this.devices.find(device => device.hwid === hwid) || null;
+};
+
+licenseSchema.methods.hasFreeSeat = function() {
+  return this.devices.length < this.maxDevices;
+};
+
+licenseSchema.methods.nextFreeSlot = function() {
+  const usedSlots = new Set(this.devices.map(device => device.slot));
+  let slot = 0;
+  while (usedSlots.has(slot)) slot++;
+  return slot;
+};
+
+// Machine correspondant à une validation: par HWID, sinon par empreinte proche de la machine
+// dont le client a prouvé occuper le siège (provenHwid, HWID de sa session précédente).
+// drift décrit les composants changés depuis la dernière empreinte (null si aucun changement);
+// mismatch signale un HWID connu dont l'empreinte est sous le seuil de similarité
+licenseSchema.methods.matchDevice = function(hwid, fingerprint = null, { provenHwid = null } = {}) {
+  const device = this.findDevice(hwid);
+  const threshold = hwidFingerprint.getThreshold();
+  
+  if (!fingerprint) return { device, drift: null, mismatch: null };
+  
+  if (device) {
+    if (!device.fingerprint || device.fingerprint.size === 0) return { device, drift: null, mismatch: null };
+    
+    const similarity = hwidFingerprint.computeSimilarity(device.fingerprint, fingerprint);
+    
+    if (similarity.score < threshold) {
+      return { device, drift: null, mismatch: similarity };
+    }
+    
+    return {
+      device,
+      drift: similarity.changed.length > 0 ? { previousHwid: hwid, ...similarity } : null,
+      mismatch: null
+    };
+  }
+  
+  // L'empreinte envoyée par le client ne suffit pas à reprendre le siège d'une autre machine
+  const candidates = provenHwid ? this.devices.filter(candidate => candidate.hwid === provenHwid) : [];
+  const closest = hwidFingerprint.findClosestDevice(candidates, fingerprint, threshold);
+  if (!closest) return { device: null, drift: null, mismatch: null };
+  
+  return {
+    device: closest.device,
+    drift: { previousHwid: closest.device.hwid, score: closest.score, changed: closest.changed },
+    mismatch: null
+  };
+};
+
+// Lie une nouvelle machine à la clé sur le premier siège libre. L'ajout est atomique et limité
+// au nombre de sièges: deux validations simultanées ne peuvent pas prendre le même dernier siège.
+// Renvoie null si plus aucun siège n'est libre (ou si la machine vient d'être liée)
+licenseSchema.methods.bindToHWID = async function(hwid, label = '', fingerprint = null) {
+  const now = new Date();
+  const slot = this.nextFreeSlot();
+  
+  const updated = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      'devices.hwid': { $ne: hwid },
+      'devices.slot': { $ne: slot },
+      $expr: { $lt: [{ $size: '$devices' }, '$maxDevices'] }
+    },
+    {
+      $push: {
+        devices: {
+          hwid,
+          slot,
+          label,
+          firstSeen: now,
+          lastSeen: now,
+          ...(fingerprint && { fingerprint })
+        }
+      },
+      $set: { used: true, lastAttempt: now }
+    },
+    { new: true, lean: true }
+  );
+  
+  if (!updated) return null;
+  
+  // Premier siège occupé: HWID principal de la clé
+  if (!updated.hwid) {
+    await this.constructor.updateOne({ _id: this._id, hwid: null }, { $set: { hwid } });
+    updated.hwid = hwid;
+  }
+  
+  // Reprendre l'état enregistré sans marquer le document comme modifié
+  this.init(updated);
+  return this;
+};
+
+licenseSchema.methods.touchDevice = function(hwid, fingerprint = null) {
+  const device = this.findDevice(hwid);
+  if (device) {
+    device.lastSeen = new Date();
+    if (fingerprint) device.fingerprint = fingerprint;
+  }
+  return this.save();
+};
+
+// Même machine dont des composants ont changé: conserver le siège, mettre à jour HWID et empreinte
+licenseSchema.methods.applyHwidDrift = function(device, hwid, fingerprint) {
+  if (this.hwid === device.hwid) this.hwid = hwid;
+  
+  device.hwid = hwid;
+  device.fingerprint = fingerprint;
+  device.lastSeen = new Date();
+  this.lastAttempt = device.lastSeen;
+  return this.save();
+};
+
+// Libère le siège occupé par une machine
+licenseSchema.methods.releaseDevice = function(hwid) {
+  this.devices = this.devices.filter(device => device.hwid !== hwid);
+  
+  if (this.hwid === hwid) {
+    this.hwid = this.devices.length > 0 ? this.devices[0].hwid : null;
+  }
+  this.used = this.devices.length > 0;
+  return this.save();
+};
+
+// Limite de sessions simultanées effective (licence, sinon plan)
+licenseSchema.methods.getSessionLimit = function(plan = null) {
+  return {
+    maxSessions: this.maxConcurrentSessions || (plan ? plan.maxConcurrentSessions : null),
+    policy: this.sessionPolicy || (plan ? plan.sessionPolicy : 'reject')
+  };
+};
+
+// Licence bannie ou suspendue: aucune action en libre-service n'est permise
+licenseSchema.methods.isBlocked = function() {
+  return this.status === 'banned' || this.status === 'suspended';
+};
+
+licenseSchema.methods.isSuspensionFrozen = function() {
+  return Boolean(this.suspension && this.suspension.suspendedAt);
+};
+
+// Suspend la licence en gelant le temps restant (une suspension en cours n'est pas réinitialisée)
+licenseSchema.methods.suspend = function({ reason = '', resumeAt = null, by = 'admin' } = {}) {
+  const now = new Date();
+  
+  if (!this.isSuspensionFrozen()) {
+    this.suspension = {
+      suspendedAt: now,
+      remainingMs: this.isLifetime() ? null : Math.max(0, this.expiresAt.getTime() - now.getTime()),
+      resumeAt,
+      reason,
+      by
+    };
+  } else {
+    this.suspension.resumeAt = resumeAt;
+    this.suspension.by = by;
+    if (reason) this.suspension.reason = reason;
+  }
+  
+  this.status = 'suspended';
+  return this.save();
+};
+
+// Réactive la licence et restaure le temps restant gelé à la suspension
+licenseSchema.methods.resume = function() {
+  const previousExpiresAt = this.expiresAt;
+  
+  if (this.isSuspensionFrozen()) {
+    // Une licence à vie n'a pas de temps restant à restaurer
+    if (this.suspension.remainingMs !== null) {
+      this.expiresAt = new Date(Date.now() + this.suspension.remainingMs);
+    }
+    this.suspension = { suspendedAt: null, remainingMs: null, resumeAt: null, reason: '', by: 'admin' };
+  }
+  
+  this.status = 'active';
+  return this.save().then(license => ({ license, previousExpiresAt }));
+};
+
+// Durée de la clé en jours (calculée pour les clés créées avant le champ durationDays)
+licenseSchema.methods.getDurationDays = function() {
+  if (this.durationDays) return this.durationDays;
+  if (this.isLifetime()) return null;
+  return Math.max(1, Math.round((this.expiresAt - this.createdAt) / (1000 * 60 * 60 * 24)));
+};
+
+// Prolonge la licence: cumul sur l'expiration si encore valide, sinon à partir d'aujourd'hui
+licenseSchema.methods.extend = function(days, { source = 'admin', reference = null } = {}) {
+  if (this.isLifetime()) {
+    throw new Error('Une licence à vie ne peut pas être prolongée');
+  }
+  
+  const now = new Date();
+  const previousExpiresAt = this.expiresAt;
+  
+  if (this.isSuspensionFrozen()) {
+    // Licence suspendue: les jours s'ajoutent au temps restant gelé, restauré par resume()
+    this.suspension.remainingMs += days * 24 * 60 * 60 * 1000;
+    this.expiresAt = new Date(now.getTime() + this.suspension.remainingMs);
+  } else {
+    const base = this.status !== 'expired' && previousExpiresAt > now ? previousExpiresAt : now;
+    this.expiresAt = new Date(base.getTime() + days * 24 * 60 * 60 * 1000);
+  }
+  
+  if (this.status === 'expired') {
+    this.status = 'active';
+  }
+  
+  this.renewalHistory.push({
+    days,
+    previousExpiresAt,
+    newExpiresAt: this.expiresAt,
+    source,
+    reference,
+    at: now
+  });
+  
+  return this.save();
+};
+
+// Convertit la licence en licence à vie (réactive une licence expirée)
+licenseSchema.methods.makeLifetime = function({ source = 'admin', reference = null } = {}) {
+  const previousExpiresAt = this.expiresAt;
+  
+  this.expiresAt = null;
+  this.durationDays = null;
+  
+  if (this.status === 'expired') {
+    this.status = 'active';
+  }
+  
+  // Le temps restant gelé d'une suspension n'a plus d'objet
+  if (this.isSuspensionFrozen()) {
+    this.suspension.remainingMs = null;
+  }
+  
+  this.renewalHistory.push({
+    days: null,
+    previousExpiresAt,
+    newExpiresAt: null,
+    source,
+    reference,
+    at: new Date()
+  });
+  
+  return this.save();
+};
+
+// Change le plan de la licence et recalcule le temps restant selon le mode de prorata:
+// value (conversion au prix journalier des plans), keep (expiration inchangée),
+// reset (durée par défaut du nouveau plan à partir d'aujourd'hui)
+licenseSchema.methods.changePlan = function(plan, previousPlan = null, { proration = null, reason = '' } = {}) {
+  const now = new Date();
+  const previousExpiresAt = this.expiresAt;
+  let mode = proration || process.env.PLAN_CHANGE_PRORATION || 'value';
+  
+  // Une licence à vie le reste quel que soit le plan
+  if (this.isLifetime()) {
+    mode = 'keep';
+  } else {
+    const frozen = this.isSuspensionFrozen();
+    const remainingMs = frozen
+      ? this.suspension.remainingMs
+      : Math.max(0, this.expiresAt.getTime() - now.getTime());
+    const oldRate = previousPlan ? previousPlan.getDailyRate() : null;
+    const newRate = plan.getDailyRate();
+    
+    // Sans prix sur les deux plans, la conversion de valeur n'a pas de sens
+    if (mode === 'value' && (!oldRate || !newRate)) {
+      mode = 'keep';
+    }
+    
+    let newRemainingMs = remainingMs;
+    if (mode === 'value') {
+      newRemainingMs = Math.round(remainingMs * oldRate / newRate);
+    } else if (mode === 'reset') {
+      newRemainingMs = plan.defaultDurationDays * 24 * 60 * 60 * 1000;
+    }
+    
+    if (frozen) {
+      this.suspension.remainingMs = newRemainingMs;
+    } else {
+      this.expiresAt = new Date(now.getTime() + newRemainingMs);
+    }
+  }
+  
+  const previousType = this.licenseType;
+  this.licenseType = plan.name;
+  this.features = [...plan.features];
+  this.maxDevices = Math.max(plan.maxDevices, this.devices.length);
+  this.entitlementsVersion = (this.entitlementsVersion || 0) + 1;
+  
+  this.planHistory.push({
+    from: previousType,
+    to: plan.name,
+    proration: mode,
+    previousExpiresAt,
+    newExpiresAt: this.expiresAt,
+    reason,
+    at: now
+  });
+  
+  return this.save().then(license => ({ license, previousExpiresAt, proration: mode }));
+};
+
+// Vérifie si un reset HWID en libre-service est autorisé (délai + quota sur 30 jours glissants)
+licenseSchema.methods.getHwidResetAvailability = function() {
+  // 0 est une valeur valide (aucun délai, aucun reset): seule une valeur absente ou invalide prend le défaut
+  const cooldownHours = parseInt(process.env.HWID_RESET_COOLDOWN_HOURS);
+  const configuredLimit = parseInt(process.env.HWID_RESET_MONTHLY_LIMIT);
+  const cooldownMs = (Number.isNaN(cooldownHours) ? 24 : cooldownHours) * 60 * 60 * 1000;
+  const monthlyLimit = Number.isNaN(configuredLimit) ? 2 : configuredLimit;
+  const now = Date.now();
+  const windowStart = now - 30 * 24 * 60 * 60 * 1000;
+  
+  const recentResets = this.hwidResets
+    .filter(reset => reset.at.getTime() >= windowStart)
+    .sort((a, b) => a.at - b.at);
+  const lastReset = recentResets[recentResets.length - 1];
+  
+  if (lastReset && now - lastReset.at.getTime() < cooldownMs) {
+    return {
+      allowed: false,
+      reason: 'reset_cooldown',
+      retryAt: new Date(lastReset.at.getTime() + cooldownMs),
+      remaining: Math.max(0, monthlyLimit - recentResets.length)
+    };
+  }
+  
+  if (recentResets.length >= monthlyLimit) {
+    return {
+      allowed: false,
+      reason: 'reset_quota_exceeded',
+      retryAt: new Date(recentResets[recentResets.length - monthlyLimit].at.getTime() + 30 * 24 * 60 * 60 * 1000),
+      remaining: 0
+    };
+  }
+  
+  return {
+    allowed: true,
+    remaining: monthlyLimit - recentResets.length
+  };
+};
+
+// Libère la machine et enregistre le reset dans l'historique
+licenseSchema.methods.resetHWID = function(hwid, ip = null) {
+  this.hwidResets.push({ hwid, ip, at: new Date() });
+  return this.releaseDevice(hwid);
+};
+
+// Applique un transfert approuvé: remplace la machine et/ou le propriétaire
+licenseSchema.methods.applyTransfer = function(transfer) {
+  const fromHwid = transfer.fromHwid || (this.devices.length === 1 ? this.devices[0].hwid : null);
+  const entry = {
+    transferId: transfer._id,
+    fromHwid,
+    toHwid: transfer.toHwid,
+    fromOwner: this.metadata.owner,
+    toOwner: transfer.toOwner || this.metadata.owner,
+    at: new Date()
+  };
+  
+  if (transfer.toHwid && !this.findDevice(transfer.toHwid)) {
+    const device = fromHwid ? this.findDevice(fromHwid) : null;
+    
+    if (device) {
+      // Conserver le siège et son libellé, seule la machine change
+      const now = new Date();
+      device.hwid = transfer.toHwid;
+      device.firstSeen = now;
+      device.lastSeen = now;
+      if (this.hwid === fromHwid) this.hwid = transfer.toHwid;
+    } else {
+      this.devices.push({ hwid: transfer.toHwid, slot: this.nextFreeSlot() });
+      if (!this.hwid) this.hwid = transfer.toHwid;
+      this.used = true;
+    }
+  }
+  
+  if (transfer.toOwner) {
+    this.metadata.owner = transfer.toOwner;
+  }
+  
+  this.custodyChain.push(entry);
+  return this.save();
+};
+
+// Rattache la licence à un client (null pour la détacher)
+licenseSchema.methods.assignCustomer = function(customer) {
+  this.customer = customer ? customer._id : null;
+  this.metadata.owner = customer ? customer.email : null;
   return this.save();
 };
 
@@ -157,7 +842,7 @@ licenseSchema.methods.incrementAttempts = function(ip = null, fromStoredKey = fa
   
   // Vérifier si on doit reset les tentatives (quotidiennement)
   if (this.shouldResetAttempts()) {
-    console.log('🔄 Reset quotidien des tentatives pour la clé:', this.key.substring(0, 8) + '...');
+    console.log('🔄 Reset quotidien des tentatives pour la clé:', this.keyPrefix + '...');
     this.attempts = 0;
     this.lastAttemptsReset = new Date();
   }
@@ -166,37 +851,122 @@ licenseSchema.methods.incrementAttempts = function(ip = null, fromStoredKey = fa
   this.lastAttempt = new Date();
   if (ip) this.lastIP = ip;
   
-  console.log(`📊 Tentatives pour ${this.key.substring(0, 8)}...: ${this.attempts}`);
+  console.log(`📊 Tentatives pour ${this.keyPrefix}...: ${this.attempts}`);
   
   return this.save();
 };
 
 // Méthodes statiques
-licenseSchema.statics.generateKey = function() {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  const segments = [];
-  
-  for (let i = 0; i < 4; i++) {
-    let segment = '';
-    for (let j = 0; j < 4; j++) {
-      segment += chars.charAt(Math.floor(Math.random() * chars.length));
+licenseSchema.statics.generateKey = function(format) {
+  return licenseKeys.generateKey(format);
+};
+
+licenseSchema.statics.hashKey = function(key) {
+  return licenseKeys.hashKey(key);
+};
+
+// Champs stockés pour une clé en clair
+licenseSchema.statics.buildKeyFields = function(key) {
+  return {
+    keyHash: licenseKeys.hashKey(key),
+    keyPrefix: licenseKeys.getDisplayPrefix(key),
+    keyGroups: licenseKeys.countKeyGroups(key)
+  };
+};
+
+// Produit actif d'une nouvelle licence (produit par défaut si non précisé)
+licenseSchema.statics.resolveProduct = async function(slug) {
+  const product = await Product.resolve(slug);
+  if (!product) {
+    throw new Error(`Produit inconnu ou inactif: ${slug || Product.getDefaultSlug()}`);
+  }
+  return product;
+};
+
+// Crée une licence avec une clé générée au format de son produit, en régénérant la clé en cas de collision.
+// La clé en clair n'est disponible que sur le document retourné (license.plainKey).
+licenseSchema.statics.createWithUniqueKey = async function(data, maxAttempts = 5) {
+  const product = await this.resolveProduct(data.product);
+  
+  for (let attempt = 1; ; attempt++) {
+    const key = product.generateKey();
+    const license = new this({ ...data, product: product.slug, ...this.buildKeyFields(key) });
+    license.$locals.plainKey = key;
+    
+    try {
+      return await license.save();
+    } catch (error) {
+      const isKeyCollision = error.code === 11000 && error.keyPattern && error.keyPattern.keyHash;
+      if (!isKeyCollision || attempt >= maxAttempts) throw error;
     }
-    segments.push(segment);
   }
+};
+
+// Crée un lot de licences en une seule insertion, avec des clés uniques
+licenseSchema.statics.createBatch = async function(count, data, maxAttempts = 3) {
+  const batchId = `BATCH-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  const product = await this.resolveProduct(data.product);
   
-  return `KEY-${segments.join('-')}`;
+  for (let attempt = 1; ; attempt++) {
+    const keys = new Map();
+    const addKey = () => {
+      let key;
+      do { key = product.generateKey(); } while (keys.has(this.hashKey(key)));
+      keys.set(this.hashKey(key), key);
+    };
+    while (keys.size < count) addKey();
+    
+    // Remplacer les clés déjà présentes en base
+    const existing = await this.find({ keyHash: { $in: [...keys.keys()] } }).select('keyHash');
+    for (const { keyHash } of existing) {
+      keys.delete(keyHash);
+      addKey();
+    }
+    
+    try {
+      const licenses = await this.insertMany([...keys.values()].map(key => ({ ...data, product: product.slug, ...this.buildKeyFields(key), batchId })));
+      licenses.forEach(license => { license.$locals.plainKey = keys.get(license.keyHash); });
+      return licenses;
+    } catch (error) {
+      // Collision concurrente: annuler l'insertion partielle et recommencer
+      await this.deleteMany({ batchId });
+      if (error.code !== 11000 || attempt >= maxAttempts) throw error;
+    }
+  }
+};
+
+// Recherche par clé en clair (comparaison des empreintes); la clé reste connue sur le document
+licenseSchema.statics.findByKey = async function(key) {
+  const license = await this.findOne({ keyHash: licenseKeys.hashKey(key) });
+  if (license) license.$locals.plainKey = licenseKeys.normalizeKey(key);
+  return license;
+};
+
+licenseSchema.statics.findByKeyHash = function(keyHash) {
+  return this.findOne({ keyHash });
+};
+
+// Référence utilisée par les routes d'administration: clé complète ou empreinte
+licenseSchema.statics.toKeyHash = function(reference) {
+  const value = String(reference).trim();
+  return licenseKeys.KEY_HASH_PATTERN.test(value) ? value : licenseKeys.hashKey(value);
 };
 
-licenseSchema.statics.findByKey = function(key) {
-  return this.findOne({ key: key.toUpperCase().trim() });
+licenseSchema.statics.findByReference = function(reference) {
+  const value = String(reference).trim();
+  return licenseKeys.KEY_HASH_PATTERN.test(value) ? this.findByKeyHash(value) : this.findByKey(value);
 };
 
 licenseSchema.statics.findByHWID = function(hwid) {
-  return this.findOne({ hwid: hwid.trim() });
+  const trimmed = hwid.trim();
+  return this.findOne({ $or: [{ hwid: trimmed }, { 'devices.hwid': trimmed }] });
 };
 
 licenseSchema.statics.getActiveCount = function() {
-  return this.countDocuments({ status: 'active', expiresAt: { $gt: new Date() } });
+  return this.countDocuments({
+    status: 'active',
+    $or: [{ expiresAt: { $gt: new Date() } }, { expiresAt: null }]
+  });
 };
 
 module.exports = mongoose.model('License', licenseSchema);
\ No newline at end of file
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+// Étapes de l'historique d'une licence
+const LICENSE_EVENT_TYPES = [
+  'created',
+  'bound',
+  'status_changed',
+  'extended',
+  'hwid_reset',
+  'transferred',
+  'note_added'
+];
+
+// Longueur maximale du motif conservé dans l'historique
+const REASON_MAX_LENGTH = 1000;
+
+const licenseEventSchema = new mongoose.Schema({
+  // Licence concernée (empreinte de la clé)
+  licenseKey: {
+    type: String,
+    required: true
+  },
+  
+  type: {
+    type: String,
+    enum: LICENSE_EVENT_TYPES,
+    required: true
+  },
+  
+  // Auteur de l'événement (client pour les actions faites depuis le loader)
+  actor: {
+    type: {
+      type: String,
+      enum: ['admin', 'reseller', 'system', 'client'],
+      default: 'system'
+    },
+    id: {
+      type: String,
+      default: null
+    },
+    name: {
+      type: String,
+      default: null
+    }
+  },
+  
+  reason: {
+    type: String,
+    default: '',
+    maxlength: REASON_MAX_LENGTH
+  },
+  
+  // Valeurs avant et après l'événement (ex: { status, expiresAt })
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  
+  // Texte d'une note ajoutée par le support
+  note: {
+    type: String,
+    default: null,
+    maxlength: 5000
+  },
+  
+  ipAddress: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  collection: 'license_events'
+});
+
+licenseEventSchema.index({ licenseKey: 1, createdAt: -1 });
+licenseEventSchema.index({ type: 1, createdAt: -1 });
+
+// Le motif est tronqué plutôt que refusé: l'événement est écrit après la modification de la licence
+const toEntry = (license, type, { actor = null, reason = '', before = null, after = null, note = null, ipAddress = null }) => ({
+  licenseKey: typeof license === 'string' ? license : license.keyHash,
+  type,
+  actor: actor || undefined,
+  reason: reason ? String(reason).slice(0, REASON_MAX_LENGTH) : '',
+  before,
+  after,
+  note,
+  ipAddress
+});
+
+// Méthodes statiques
+// Ajoute un événement à l'historique d'une licence (document ou empreinte de clé)
+licenseEventSchema.statics.record = function(license, type, data = {}) {
+  return new this(toEntry(license, type, data)).save();
+};
+
+// Création d'une ou plusieurs licences: l'état initial est repris dans "after" (complété par data.after)
+licenseEventSchema.statics.recordCreated = function(licenses, data = {}) {
+  const list = Array.isArray(licenses) ? licenses : [licenses];
+  
+  return this.insertMany(list.map(license => toEntry(license, 'created', {
+    ...data,
+    after: {
+      product: license.product,
+      licenseType: license.licenseType,
+      maxDevices: license.maxDevices,
+      status: license.status,
+      expiresAt: license.expiresAt,
+      owner: license.metadata.owner,
+      ...data.after
+    }
+  })));
+};
+
+// Même événement pour plusieurs licences (lots); data peut dépendre de la licence
+licenseEventSchema.statics.recordMany = function(licenses, type, data = {}) {
+  if (licenses.length === 0) return Promise.resolve([]);
+  return this.insertMany(licenses.map(license =>
+    toEntry(license, type, typeof data === 'function' ? data(license) : data)
+  ));
+};
+
+// Historique paginé d'une licence, du plus récent au plus ancien
+licenseEventSchema.statics.getTimeline = async function(licenseKey, { page = 1, limit = 50, type = null } = {}) {
+  const filter = { licenseKey };
+  if (type) filter.type = type;
+  
+  const [events, total] = await Promise.all([
+    this.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-__v -licenseKey'),
+    this.countDocuments(filter)
+  ]);
+  
+  return { events, total };
+};
+
+module.exports = mongoose.model('LicenseEvent', licenseEventSchema);
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const licenseTransferSchema = new mongoose.Schema({
+  // Empreinte de la clé (License.keyHash)
+  licenseKey: {
+    type: String,
+    required: true
+  },
+  
+  // Origine de la demande
+  requestedBy: {
+    type: String,
+    enum: ['customer', 'admin'],
+    required: true
+  },
+  
+  // Machine à remplacer (null = siège unique de la licence)
+  fromHwid: {
+    type: String,
+    default: null
+  },
+  
+  // Nouvelle machine (null si seul le propriétaire change)
+  toHwid: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  
+  fromOwner: {
+    type: String,
+    default: null
+  },
+  
+  // Nouveau propriétaire (null si seule la machine change)
+  toOwner: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  
+  reason: {
+    type: String,
+    default: ''
+  },
+  
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'expired'],
+    default: 'pending'
+  },
+  
+  // Une demande non traitée avant cette date expire
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  
+  requestIp: {
+    type: String,
+    default: null
+  },
+  
+  decidedAt: {
+    type: Date,
+    default: null
+  },
+  
+  decisionNote: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true,
+  collection: 'license_transfers'
+});
+
+licenseTransferSchema.index({ licenseKey: 1, status: 1 });
+licenseTransferSchema.index({ status: 1, expiresAt: 1 });
+
+// Méthodes du modèle
+licenseTransferSchema.methods.isPending = function() {
+  return this.status === 'pending' && new Date() < this.expiresAt;
+};
+
+// Méthodes statiques
+licenseTransferSchema.statics.getRequestTTL = function() {
+  return (parseInt(process.env.TRANSFER_REQUEST_TTL_HOURS) || 72) * 60 * 60 * 1000;
+};
+
+licenseTransferSchema.statics.findPendingForLicense = function(licenseKey) {
+  return this.findOne({
+    licenseKey,
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Passe les demandes non traitées à temps au statut "expired"
+licenseTransferSchema.statics.expirePending = function() {
+  return this.updateMany(
+    { status: 'pending', expiresAt: { $lte: new Date() } },
+    { status: 'expired', decidedAt: new Date() }
+  );
+};
+
+module.exports = mongoose.model('LicenseTransfer', licenseTransferSchema);
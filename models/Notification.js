@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+
+// Événements notifiés aux clients (un modèle de message par type et par langue)
+const NOTIFICATION_TYPES = [
+  'license_expiring',
+  'license_expired',
+  'license_renewed',
+  'hwid_reset',
+  'license_banned',
+  'license_suspended',
+  'license_reactivated',
+  'test'
+];
+
+const notificationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  
+  // Transport utilisé pour l'envoi (email: SMTP, webhook: HTTP générique)
+  channel: {
+    type: String,
+    enum: ['email', 'webhook'],
+    required: true
+  },
+  
+  // Adresse email ou URL du webhook
+  recipient: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  
+  locale: {
+    type: String,
+    enum: ['fr', 'en'],
+    default: 'fr'
+  },
+  
+  // Message rendu à la mise en file: un nouvel essai renvoie exactement le même contenu
+  subject: {
+    type: String,
+    default: ''
+  },
+  
+  text: {
+    type: String,
+    default: ''
+  },
+  
+  // Données de l'événement (variables du modèle, corps du webhook)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  
+  // Licence concernée (empreinte de la clé)
+  licenseKey: {
+    type: String,
+    default: null
+  },
+  
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  
+  // Évite d'envoyer deux fois le même rappel (ex: rappel J-3 d'une même échéance)
+  dedupeKey: {
+    type: String,
+    default: undefined
+  },
+  
+  // pending: en attente d'envoi ou de nouvel essai, failed: abandonné après maxAttempts
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: 1
+  },
+  
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  
+  lastError: {
+    type: String,
+    default: null
+  },
+  
+  sentAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'notifications'
+});
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ licenseKey: 1, createdAt: -1 });
+notificationSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+
+// Délai avant le prochain essai: 1 min, 2 min, 4 min... plafonné à 6 h
+const getRetryDelayMs = (attempts) => Math.min(60 * 1000 * 2 ** Math.max(0, attempts - 1), 6 * 60 * 60 * 1000);
+
+// Méthodes du modèle
+notificationSchema.methods.markSent = function() {
+  this.status = 'sent';
+  this.sentAt = new Date();
+  this.lastError = null;
+  return this.save();
+};
+
+// Échec d'envoi: nouvel essai avec backoff exponentiel, abandon après maxAttempts
+notificationSchema.methods.markFailed = function(error) {
+  this.lastError = String(error && error.message ? error.message : error).substring(0, 500);
+  
+  if (this.attempts >= this.maxAttempts) {
+    this.status = 'failed';
+  } else {
+    this.status = 'pending';
+    this.nextAttemptAt = new Date(Date.now() + getRetryDelayMs(this.attempts));
+  }
+  
+  return this.save();
+};
+
+// Méthodes statiques
+// Met une notification en file (null si un envoi identique existe déjà)
+notificationSchema.statics.enqueue = async function(data) {
+  try {
+    return await new this(data).save();
+  } catch (error) {
+    if (error.code === 11000 && data.dedupeKey) return null;
+    throw error;
+  }
+};
+
+// Réserve la prochaine notification à envoyer (un envoi bloqué plus de 5 minutes peut être repris)
+notificationSchema.statics.claimNext = function() {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - 5 * 60 * 1000);
+  
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', updatedAt: { $lt: staleBefore } }
+      ]
+    },
+    { status: 'sending', $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// Remet en file une notification abandonnée (nouvelle série d'essais)
+notificationSchema.statics.requeue = function(id) {
+  return this.findOneAndUpdate(
+    { _id: id, status: 'failed' },
+    { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lastError: null },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
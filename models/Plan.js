@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+
+const planSchema = new mongoose.Schema({
+  // Identifiant du plan, utilisé comme licenseType sur les licences
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9_-]{2,32}$/
+  },
+  
+  displayName: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  
+  // Fonctionnalités accordées par défaut
+  features: {
+    type: [String],
+    default: []
+  },
+  
+  // Durée par défaut des licences créées sur ce plan
+  defaultDurationDays: {
+    type: Number,
+    default: 30,
+    min: 1
+  },
+  
+  // Durée des sessions (JWT) émises à la validation
+  sessionDurationDays: {
+    type: Number,
+    default: 7,
+    min: 1
+  },
+  
+  // Nombre de machines par licence
+  maxDevices: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  
+  // Sessions simultanées par licence (null = illimité)
+  maxConcurrentSessions: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  
+  // Au-delà de la limite: refuser la nouvelle session ou révoquer la plus ancienne
+  sessionPolicy: {
+    type: String,
+    enum: ['reject', 'kick_oldest'],
+    default: 'kick_oldest'
+  },
+  
+  // Prix de référence pour defaultDurationDays (prorata lors des changements de plan, 0 = non tarifé)
+  price: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  
+  // Période de grâce après expiration: la validation reste acceptée (0 = aucune)
+  gracePeriodDays: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  
+  // Fonctionnalités conservées pendant la période de grâce (non défini = toutes)
+  graceFeatures: {
+    type: [String],
+    default: undefined
+  },
+  
+  // Plan utilisable pour les essais gratuits
+  trialEligible: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Un plan inactif ne peut plus servir à créer de licences
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  collection: 'plans'
+});
+
+planSchema.index({ name: 1 }, { unique: true });
+
+// Méthodes statiques
+planSchema.statics.findByName = function(name) {
+  return this.findOne({ name: String(name).toLowerCase().trim() });
+};
+
+planSchema.statics.findActiveByName = function(name) {
+  return this.findOne({ name: String(name).toLowerCase().trim(), active: true });
+};
+
+planSchema.statics.getTrialPlan = function() {
+  const name = process.env.TRIAL_PLAN || 'demo';
+  return this.findOne({ name, trialEligible: true, active: true });
+};
+
+// Valeur d'une journée sur ce plan (null si le plan n'est pas tarifé)
+planSchema.methods.getDailyRate = function() {
+  return this.price > 0 ? this.price / this.defaultDurationDays : null;
+};
+
+// Méthode pour initialiser les plans historiques
+planSchema.statics.initializeDefaults = async function() {
+  // Pas de limite de sessions simultanées par défaut: un admin l'active plan par plan
+  const defaults = [
+    {
+      name: 'demo',
+      displayName: 'Démo',
+      features: ['lobby_manager'],
+      defaultDurationDays: 3,
+      sessionDurationDays: 1,
+      trialEligible: true
+    },
+    {
+      name: 'basic',
+      displayName: 'Basic',
+      features: ['lobby_manager', 'controller']
+    },
+    {
+      name: 'premium',
+      displayName: 'Premium',
+      features: ['lobby_manager', 'controller', 'anti_afk', 'movement', 'premium_features']
+    },
+    {
+      name: 'enterprise',
+      displayName: 'Enterprise',
+      features: ['lobby_manager', 'controller', 'anti_afk', 'movement', 'premium_features'],
+      maxDevices: 5
+    }
+  ];
+  
+  for (const plan of defaults) {
+    const existing = await this.findByName(plan.name);
+    
+    if (!existing) {
+      await new this(plan).save();
+      console.log(`✅ Plan par défaut initialisé: ${plan.name}`);
+    }
+  }
+};
+
+module.exports = mongoose.model('Plan', planSchema);
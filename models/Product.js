@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const licenseKeys = require('../services/licenseKeys');
+
+const productSchema = new mongoose.Schema({
+  // Identifiant du produit, porté par les licences, sessions, versions et paramètres
+  slug: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9_-]{2,32}$/
+  },
+  
+  displayName: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  
+  // Préfixe des clés du produit (KEY-..., TOOL-...)
+  keyPrefix: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+    match: /^[A-Z][A-Z0-9]{1,7}$/
+  },
+  
+  // Nombre et longueur des groupes après le préfixe (le dernier caractère est le contrôle)
+  keyFormat: {
+    groups: {
+      type: Number,
+      default: 4,
+      min: 2,
+      max: 8
+    },
+    groupLength: {
+      type: Number,
+      default: 5,
+      min: 4,
+      max: 8
+    }
+  },
+  
+  // Accepte encore les clés à l'ancien format KEY-XXXX-XXXX-XXXX-XXXX
+  acceptLegacyKeys: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Dépôt GitHub des releases du client (mises à jour)
+  github: {
+    owner: {
+      type: String,
+      default: null,
+      trim: true
+    },
+    repo: {
+      type: String,
+      default: null,
+      trim: true
+    },
+    assetName: {
+      type: String,
+      default: null,
+      trim: true
+    }
+  },
+  
+  // Un produit inactif ne peut plus servir à créer de licences
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  collection: 'products'
+});
+
+productSchema.index({ slug: 1 }, { unique: true });
+productSchema.index({ keyPrefix: 1 }, { unique: true });
+
+// Méthodes du modèle
+productSchema.methods.getKeyFormat = function() {
+  return {
+    prefix: this.keyPrefix,
+    groups: this.keyFormat.groups,
+    groupLength: this.keyFormat.groupLength
+  };
+};
+
+// Vérifie qu'une clé a le format de ce produit (sans accès à la base)
+productSchema.methods.matchesKey = function(key) {
+  if (this.acceptLegacyKeys && licenseKeys.isLegacyKey(key)) return true;
+  return licenseKeys.buildKeyPattern(this.getKeyFormat()).test(key);
+};
+
+productSchema.methods.generateKey = function() {
+  return licenseKeys.generateKey(this.getKeyFormat());
+};
+
+productSchema.methods.hasGithubRepo = function() {
+  return Boolean(this.github && this.github.owner && this.github.repo);
+};
+
+// Méthodes statiques
+// Produit utilisé quand le client ou l'admin n'en précise pas (clients historiques)
+productSchema.statics.getDefaultSlug = function() {
+  return (process.env.DEFAULT_PRODUCT || 'nizua-loader').toLowerCase();
+};
+
+productSchema.statics.findBySlug = function(slug) {
+  return this.findOne({ slug: String(slug).toLowerCase().trim() });
+};
+
+productSchema.statics.findActiveBySlug = function(slug) {
+  return this.findOne({ slug: String(slug).toLowerCase().trim(), active: true });
+};
+
+// Produit actif demandé, ou produit par défaut si aucun n'est précisé
+productSchema.statics.resolve = function(slug) {
+  return this.findActiveBySlug(slug || this.getDefaultSlug());
+};
+
+// Méthode pour initialiser le produit historique
+productSchema.statics.initializeDefaults = async function() {
+  const slug = this.getDefaultSlug();
+  const existing = await this.findBySlug(slug);
+  
+  if (!existing) {
+    await new this({
+      slug,
+      displayName: 'Nizua Loader',
+      keyPrefix: licenseKeys.DEFAULT_KEY_FORMAT.prefix,
+      keyFormat: {
+        groups: licenseKeys.DEFAULT_KEY_FORMAT.groups,
+        groupLength: licenseKeys.DEFAULT_KEY_FORMAT.groupLength
+      },
+      acceptLegacyKeys: true,
+      github: {
+        owner: process.env.GITHUB_REPO_OWNER || null,
+        repo: process.env.GITHUB_REPO_NAME || null,
+        assetName: 'Nizua-Loader.zip'
+      }
+    }).save();
+    console.log(`✅ Produit par défaut initialisé: ${slug}`);
+  }
+};
+
+module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const licenseKeys = require('../services/licenseKeys');
+
+const redeemCodeSchema = new mongoose.Schema({
+  // Code à saisir par le client (format: GIFT-XXXX-XXXX-XXXX)
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+    match: licenseKeys.REDEEM_CODE_PATTERN
+  },
+  
+  // new_license: crée une licence du plan; extend: ajoute des jours à une clé existante
+  type: {
+    type: String,
+    required: true,
+    enum: ['new_license', 'extend']
+  },
+  
+  // Plan de la licence créée (new_license) ou plan requis pour la prolongation (extend, optionnel)
+  plan: {
+    type: String,
+    default: null,
+    lowercase: true,
+    trim: true
+  },
+  
+  // Jours ajoutés (extend) ou durée de la licence créée (new_license, défaut du plan si null)
+  days: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  
+  status: {
+    type: String,
+    enum: ['unused', 'redeemed', 'disabled'],
+    default: 'unused'
+  },
+  
+  // Date limite d'utilisation du code (null = sans limite)
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Libellé du lot (revendeur, giveaway...)
+  label: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  
+  // Utilisation du code
+  redeemedAt: {
+    type: Date,
+    default: null
+  },
+  
+  redeemedBy: {
+    hwid: String,
+    ipAddress: String,
+    userAgent: String
+  },
+  
+  // Licence créée ou prolongée (empreinte de la clé)
+  licenseKey: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'redeem_codes'
+});
+
+redeemCodeSchema.index({ code: 1 }, { unique: true });
+redeemCodeSchema.index({ status: 1, createdAt: -1 });
+redeemCodeSchema.index({ label: 1 });
+
+// Méthodes du modèle
+redeemCodeSchema.methods.isExpired = function() {
+  return this.expiresAt !== null && new Date() > this.expiresAt;
+};
+
+// Statut présenté au client
+redeemCodeSchema.methods.getRedemptionStatus = function() {
+  if (this.status === 'unused' && this.isExpired()) return 'expired';
+  return this.status;
+};
+
+// Méthodes statiques
+redeemCodeSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code).toUpperCase().trim() });
+};
+
+// Crée un lot de codes uniques en une insertion
+redeemCodeSchema.statics.createMany = async function(count, data, maxAttempts = 3) {
+  const codes = new Set();
+  
+  while (codes.size < count) {
+    while (codes.size < count) codes.add(licenseKeys.generateRedeemCode());
+    
+    const existing = await this.find({ code: { $in: [...codes] } }).distinct('code');
+    existing.forEach(code => codes.delete(code));
+  }
+  
+  try {
+    return await this.insertMany([...codes].map(code => ({ ...data, code })), { ordered: false });
+  } catch (error) {
+    // Collision concurrente: conserver les codes insérés et compléter le lot
+    if (error.code !== 11000 || maxAttempts <= 1) throw error;
+    
+    const inserted = error.insertedDocs || [];
+    const rest = await this.createMany(count - inserted.length, data, maxAttempts - 1);
+    return inserted.concat(rest);
+  }
+};
+
+// Réserve le code de façon atomique (une seule utilisation possible)
+redeemCodeSchema.statics.claim = function(code, redeemedBy) {
+  return this.findOneAndUpdate(
+    {
+      code,
+      status: 'unused',
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    },
+    {
+      status: 'redeemed',
+      redeemedAt: new Date(),
+      redeemedBy
+    },
+    { new: true }
+  );
+};
+
+// Annule une réservation si la suite de l'utilisation a échoué
+redeemCodeSchema.statics.release = function(code) {
+  return this.updateOne(
+    { code, status: 'redeemed', licenseKey: null },
+    { status: 'unused', redeemedAt: null, redeemedBy: {} }
+  );
+};
+
+module.exports = mongoose.model('RedeemCode', redeemCodeSchema);
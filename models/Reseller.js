@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const API_KEY_PREFIX = 'rsk_';
+
+const resellerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+  
+  // Empreinte SHA-256 de la clé API (la clé en clair n'est renvoyée qu'à sa création)
+  apiKeyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  
+  // Début de la clé API, pour l'identifier sans la révéler
+  apiKeyPrefix: {
+    type: String,
+    required: true
+  },
+  
+  // Nombre total de licences achetées
+  quota: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  
+  // Nombre de licences déjà créées sur le quota
+  used: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  
+  // Plans vendables (vide = tous les plans actifs)
+  allowedPlans: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  
+  status: {
+    type: String,
+    enum: ['active', 'disabled'],
+    default: 'active'
+  },
+  
+  notes: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true,
+  collection: 'resellers'
+});
+
+resellerSchema.index({ apiKeyHash: 1 }, { unique: true });
+resellerSchema.index({ status: 1 });
+
+// Méthodes du modèle
+resellerSchema.methods.getRemainingQuota = function() {
+  return Math.max(0, this.quota - this.used);
+};
+
+resellerSchema.methods.canSellPlan = function(planName) {
+  return this.allowedPlans.length === 0 || this.allowedPlans.includes(planName);
+};
+
+// Identité reprise dans les entrées d'audit
+resellerSchema.methods.toActor = function() {
+  return { type: 'reseller', id: String(this._id), name: this.name };
+};
+
+// Remplace la clé API; retourne la nouvelle clé en clair
+resellerSchema.methods.rotateApiKey = async function() {
+  const apiKey = this.constructor.generateApiKey();
+  this.apiKeyHash = this.constructor.hashApiKey(apiKey);
+  this.apiKeyPrefix = apiKey.substring(0, API_KEY_PREFIX.length + 6);
+  await this.save();
+  return apiKey;
+};
+
+// Méthodes statiques
+resellerSchema.statics.generateApiKey = function() {
+  return API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+};
+
+resellerSchema.statics.hashApiKey = function(apiKey) {
+  return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+};
+
+// Crée un revendeur et retourne sa clé API en clair
+resellerSchema.statics.createWithApiKey = async function(data) {
+  const apiKey = this.generateApiKey();
+  const reseller = await new this({
+    ...data,
+    apiKeyHash: this.hashApiKey(apiKey),
+    apiKeyPrefix: apiKey.substring(0, API_KEY_PREFIX.length + 6)
+  }).save();
+  
+  return { reseller, apiKey };
+};
+
+resellerSchema.statics.findByApiKey = function(apiKey) {
+  return this.findOne({ apiKeyHash: this.hashApiKey(apiKey), status: 'active' });
+};
+
+// Réserve des licences sur le quota de façon atomique (null si quota insuffisant)
+resellerSchema.statics.reserveQuota = function(resellerId, count) {
+  return this.findOneAndUpdate(
+    {
+      _id: resellerId,
+      status: 'active',
+      $expr: { $lte: [{ $add: ['$used', count] }, '$quota'] }
+    },
+    { $inc: { used: count } },
+    { new: true }
+  );
+};
+
+// Rend au quota des licences réservées mais non créées
+resellerSchema.statics.releaseQuota = function(resellerId, count) {
+  return this.updateOne({ _id: resellerId }, { $inc: { used: -count } });
+};
+
+module.exports = mongoose.model('Reseller', resellerSchema);
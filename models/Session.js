@@ -7,13 +7,19 @@ const sessionSchema = new mongoose.Schema({
     required: true
   },
   
-  // Clé de licence associée
+  // Licence associée (empreinte de la clé, License.keyHash)
   licenseKey: {
     type: String,
     required: true,
     ref: 'License'
   },
   
+  // Produit du client qui a ouvert la session (slug, voir Product)
+  product: {
+    type: String,
+    default: null
+  },
+  
   // HWID de la session
   hwid: {
     type: String,
@@ -39,6 +45,12 @@ const sessionSchema = new mongoose.Schema({
     default: 'active'
   },
   
+  // Motif de révocation (logout, superseded, ...)
+  revokedReason: {
+    type: String,
+    default: null
+  },
+  
   // Dernière activité
   lastActivity: {
     type: Date,
@@ -100,16 +112,31 @@ sessionSchema.methods.updateActivity = function(ip = null) {
   return this.save();
 };
 
-sessionSchema.methods.revoke = function() {
+sessionSchema.methods.revoke = function(reason = null) {
   this.status = 'revoked';
+  this.revokedReason = reason;
   return this.save();
 };
 
+// Session remplacée par une plus récente (limite de sessions simultanées)
+sessionSchema.methods.isSuperseded = function() {
+  return this.status === 'revoked' && this.revokedReason === 'superseded';
+};
+
 // Méthodes statiques
 sessionSchema.statics.findByToken = function(token) {
   return this.findOne({ sessionToken: token });
 };
 
+// Sessions actives d'une licence, de la plus ancienne à la plus récente
+sessionSchema.statics.findActiveByLicense = function(licenseKey) {
+  return this.find({
+    licenseKey,
+    status: 'active',
+    expiresAt: { $gt: new Date() }
+  }).sort({ createdAt: 1 });
+};
+
 sessionSchema.statics.findActiveByHWID = function(hwid) {
   return this.find({ 
     hwid: hwid, 
@@ -118,6 +145,14 @@ sessionSchema.statics.findActiveByHWID = function(hwid) {
   });
 };
 
+// Révoque les sessions actives d'une licence (optionnellement pour une seule machine)
+sessionSchema.statics.revokeForLicense = function(licenseKey, hwid = null, reason = null) {
+  const filter = { licenseKey, status: 'active' };
+  if (hwid) filter.hwid = hwid;
+  
+  return this.updateMany(filter, { status: 'revoked', revokedReason: reason });
+};
+
 sessionSchema.statics.cleanupExpired = function() {
   return this.deleteMany({ 
     $or: [
@@ -1,12 +1,17 @@
 const mongoose = require('mongoose');
+const Product = require('./Product');
 
 const settingSchema = new mongoose.Schema({
   // ID utilisateur (HWID) ou "default" pour les paramètres par défaut
   id: {
     type: String,
-    required: true,
-    unique: true,
-    index: true
+    required: true
+  },
+  
+  // Produit concerné: chaque client a ses propres paramètres par défaut
+  product: {
+    type: String,
+    default: () => Product.getDefaultSlug()
   },
   
   // Paramètres Anti-AFK
@@ -117,28 +122,31 @@ const settingSchema = new mongoose.Schema({
   collection: 'settings'
 });
 
+settingSchema.index({ product: 1, id: 1 }, { unique: true });
+
 // Méthodes statiques
-settingSchema.statics.getDefaultSettings = function() {
-  return this.findOne({ id: 'default' });
+settingSchema.statics.getDefaultSettings = function(product = Product.getDefaultSlug()) {
+  return this.findOne({ id: 'default', product });
 };
 
-settingSchema.statics.getUserSettings = async function(userId) {
-  let userSettings = await this.findOne({ id: userId });
+settingSchema.statics.getUserSettings = async function(userId, product = Product.getDefaultSlug()) {
+  let userSettings = await this.findOne({ id: userId, product });
   
   if (!userSettings) {
-    // Si l'utilisateur n'a pas de paramètres, créer à partir des défauts
-    const defaultSettings = await this.getDefaultSettings();
+    // Si l'utilisateur n'a pas de paramètres, créer à partir des défauts du produit
+    const defaultSettings = await this.getDefaultSettings(product);
     
     if (defaultSettings) {
       userSettings = new this({
         id: userId,
+        product,
         AntiAFK: { ...defaultSettings.AntiAFK },
         Movement: { ...defaultSettings.Movement }
       });
       await userSettings.save();
     } else {
       // Si pas de défauts non plus, créer avec les valeurs par défaut du schéma
-      userSettings = new this({ id: userId });
+      userSettings = new this({ id: userId, product });
       await userSettings.save();
     }
   }
@@ -146,15 +154,15 @@ settingSchema.statics.getUserSettings = async function(userId) {
   return userSettings;
 };
 
-settingSchema.statics.resetUserToDefault = async function(userId) {
-  const defaultSettings = await this.getDefaultSettings();
+settingSchema.statics.resetUserToDefault = async function(userId, product = Product.getDefaultSlug()) {
+  const defaultSettings = await this.getDefaultSettings(product);
   
   if (!defaultSettings) {
     throw new Error('Paramètres par défaut non trouvés');
   }
   
   const userSettings = await this.findOneAndUpdate(
-    { id: userId },
+    { id: userId, product },
     {
       AntiAFK: { ...defaultSettings.AntiAFK },
       Movement: { ...defaultSettings.Movement }
@@ -169,12 +177,13 @@ settingSchema.statics.resetUserToDefault = async function(userId) {
 };
 
 // Méthode pour initialiser les paramètres par défaut
-settingSchema.statics.initializeDefaults = async function() {
-  const existing = await this.findOne({ id: 'default' });
+settingSchema.statics.initializeDefaults = async function(product = Product.getDefaultSlug()) {
+  const existing = await this.getDefaultSettings(product);
   
   if (!existing) {
     const defaultSettings = new this({
       id: 'default',
+      product,
       AntiAFK: {
         delay_between_buttons: 2,
         interval: 60.6,
@@ -206,7 +215,7 @@ settingSchema.statics.initializeDefaults = async function() {
     });
     
     await defaultSettings.save();
-    console.log('✅ Paramètres par défaut initialisés');
+    console.log(`✅ Paramètres par défaut initialisés: ${product}`);
   }
 };
 
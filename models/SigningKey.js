@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const signingKeySchema = new mongoose.Schema({
+  // Identifiant de la clé (kid), dérivé de l'empreinte de la clé publique
+  _id: {
+    type: String,
+    required: true
+  },
+  
+  algorithm: {
+    type: String,
+    enum: ['Ed25519'],
+    default: 'Ed25519'
+  },
+  
+  // Clé publique (PEM, SPKI) publiée aux clients
+  publicKey: {
+    type: String,
+    required: true
+  },
+  
+  // Clé privée (PEM, PKCS8) - jamais exposée
+  privateKey: {
+    type: String,
+    required: true,
+    select: false
+  },
+  
+  // Une seule clé active signe les nouveaux documents
+  status: {
+    type: String,
+    enum: ['active', 'retired'],
+    default: 'active'
+  },
+  
+  retiredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'signing_keys'
+});
+
+signingKeySchema.index({ status: 1 });
+
+// Méthodes statiques
+signingKeySchema.statics.generate = function() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const publicPem = publicKey.export({ type: 'spki', format: 'pem' });
+  const kid = crypto
+    .createHash('sha256')
+    .update(publicKey.export({ type: 'spki', format: 'der' }))
+    .digest('hex')
+    .substring(0, 16);
+  
+  return new this({
+    _id: kid,
+    publicKey: publicPem,
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' })
+  });
+};
+
+signingKeySchema.statics.getActiveKey = function() {
+  return this.findOne({ status: 'active' })
+    .select('+privateKey')
+    .sort({ createdAt: -1 });
+};
+
+signingKeySchema.statics.initializeActiveKey = async function() {
+  const existing = await this.getActiveKey();
+  
+  if (!existing) {
+    const key = this.generate();
+    await key.save();
+    console.log(`✅ Clé de signature hors-ligne créée: ${key._id}`);
+    return key;
+  }
+  
+  return existing;
+};
+
+// Retire la clé active et en génère une nouvelle
+signingKeySchema.statics.rotate = async function() {
+  const key = this.generate();
+  await key.save();
+  
+  await this.updateMany(
+    { status: 'active', _id: { $ne: key._id } },
+    { status: 'retired', retiredAt: new Date() }
+  );
+  
+  return key;
+};
+
+// Clés publiques encore utiles: l'active et les retirées dont des documents peuvent être valides
+signingKeySchema.statics.getPublishedKeys = function(retentionMs) {
+  return this.find({
+    $or: [
+      { status: 'active' },
+      { status: 'retired', retiredAt: { $gt: new Date(Date.now() - retentionMs) } }
+    ]
+  }).sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('SigningKey', signingKeySchema);
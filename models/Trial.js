@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const net = require('net');
+
+const trialSchema = new mongoose.Schema({
+  // HWID ayant obtenu l'essai (un seul essai par machine)
+  hwid: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  
+  // Plage IP de la demande (/24 en IPv4, /64 en IPv6)
+  ipRange: {
+    type: String,
+    required: true
+  },
+  
+  ipAddress: {
+    type: String,
+    required: true
+  },
+  
+  // Licence d'essai émise (empreinte de la clé)
+  licenseKey: {
+    type: String,
+    default: null
+  },
+  
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  
+  // Conversion vers une licence payante sur la même machine
+  convertedAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Empreinte de la clé de la licence payante
+  convertedKey: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: false,
+  collection: 'trials'
+});
+
+trialSchema.index({ hwid: 1 }, { unique: true });
+trialSchema.index({ ipRange: 1, createdAt: -1 });
+trialSchema.index({ convertedAt: 1 });
+
+// Méthodes statiques
+trialSchema.statics.getIpRange = function(ip) {
+  const address = String(ip || '').replace(/^::ffff:/, '');
+  
+  if (net.isIPv4(address)) {
+    return address.split('.').slice(0, 3).join('.') + '.0/24';
+  }
+  
+  if (net.isIPv6(address)) {
+    // Développer la notation "::" avant de garder les 4 premiers groupes
+    const [head, tail = ''] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const missing = address.includes('::') ? 8 - headGroups.length - tailGroups.length : 0;
+    const groups = [...headGroups, ...new Array(missing).fill('0'), ...tailGroups];
+    
+    return groups.slice(0, 4).map(group => parseInt(group, 16).toString(16)).join(':') + '::/64';
+  }
+  
+  return address || 'unknown';
+};
+
+trialSchema.statics.hasRecentTrialFromRange = function(ipRange, windowHours) {
+  return this.exists({
+    ipRange,
+    createdAt: { $gte: new Date(Date.now() - windowHours * 60 * 60 * 1000) }
+  });
+};
+
+// Marque l'essai de cette machine comme converti vers une clé payante
+trialSchema.statics.markConverted = function(hwid, licenseKey) {
+  return this.updateOne(
+    { hwid, convertedAt: null },
+    { convertedAt: new Date(), convertedKey: licenseKey }
+  );
+};
+
+module.exports = mongoose.model('Trial', trialSchema);
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const webhookEventSchema = new mongoose.Schema({
+  // Type d'événement (order.paid, ...)
+  eventType: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  
+  // Identifiant fourni par l'émetteur (facultatif)
+  eventId: {
+    type: String,
+    default: null
+  },
+  
+  orderId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  
+  // Clé d'idempotence: un seul traitement par type d'événement et commande
+  idempotencyKey: {
+    type: String,
+    required: true
+  },
+  
+  // Corps brut tel que reçu et signé, conservé pour rejouer l'événement
+  rawBody: {
+    type: String,
+    required: true
+  },
+  
+  signature: {
+    type: String,
+    default: null
+  },
+  
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'failed'],
+    default: 'received'
+  },
+  
+  // Licence créée ou concernée par l'événement (empreinte de la clé)
+  licenseKey: {
+    type: String,
+    default: null
+  },
+  
+  error: {
+    type: String,
+    default: null
+  },
+  
+  // Nombre de réceptions (les retries de l'émetteur incrémentent ce compteur)
+  deliveries: {
+    type: Number,
+    default: 1
+  },
+  
+  // Nombre de traitements (première réception, retries après échec, rejeux admin)
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  
+  processedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'webhook_events'
+});
+
+webhookEventSchema.index({ idempotencyKey: 1 }, { unique: true });
+webhookEventSchema.index({ orderId: 1 });
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+
+// Méthodes du modèle
+webhookEventSchema.methods.getPayload = function() {
+  return JSON.parse(this.rawBody);
+};
+
+// Méthodes statiques
+webhookEventSchema.statics.buildIdempotencyKey = function(eventType, orderId) {
+  return `${eventType}:${orderId}`;
+};
+
+// Réserve le traitement d'un événement (un traitement bloqué plus d'une minute peut être repris)
+webhookEventSchema.statics.claimForProcessing = function(id) {
+  const staleBefore = new Date(Date.now() - 60 * 1000);
+  
+  return this.findOneAndUpdate(
+    {
+      _id: id,
+      $or: [
+        { status: { $in: ['received', 'failed'] } },
+        { status: 'processing', updatedAt: { $lt: staleBefore } }
+      ]
+    },
+    { status: 'processing', $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -1,13 +1,89 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const License = require('../models/License');
 const Session = require('../models/Session');
 const AuditLog = require('../models/AuditLog');
+const SigningKey = require('../models/SigningKey');
+const Trial = require('../models/Trial');
+const Plan = require('../models/Plan');
+const Product = require('../models/Product');
+const LicenseTransfer = require('../models/LicenseTransfer');
+const Customer = require('../models/Customer');
+const WebhookEvent = require('../models/WebhookEvent');
+const HwidFlag = require('../models/HwidFlag');
+const LicenseEvent = require('../models/LicenseEvent');
+const Notification = require('../models/Notification');
+const expiryService = require('../services/LicenseExpiryService');
+const orderWebhookService = require('../services/OrderWebhookService');
+const notificationService = require('../services/NotificationService');
 const logger = require('../config/logger');
 const { requireAdminAuth } = require('../middleware/auth');
 const { adminLimiter } = require('../middleware/security');
 
 const router = express.Router();
 
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE) || 1000;
+const MAX_DEVICES_PER_LICENSE = parseInt(process.env.MAX_DEVICES_PER_LICENSE) || 100;
+
+// Auteur des événements de l'historique des licences pour les actions faites par l'API admin
+const ADMIN_ACTOR = { type: 'admin' };
+
+// Colonnes de l'export d'un lot de licences (clés en clair uniquement à la génération du lot, masquées ensuite)
+const BATCH_EXPORT_FIELDS = ['key', 'product', 'licenseType', 'features', 'maxDevices', 'expiresAt', 'status', 'batchId', 'batchLabel'];
+
+const toExportRow = (license) => ({
+  key: license.plainKey || license.maskedKey,
+  product: license.product,
+  licenseType: license.licenseType,
+  features: license.features,
+  maxDevices: license.maxDevices,
+  expiresAt: license.expiresAt ? license.expiresAt.toISOString() : null,
+  status: license.status,
+  batchId: license.batchId,
+  batchLabel: license.metadata.batchLabel
+});
+
+// Nombre de sièges: entier de 1 à MAX_DEVICES_PER_LICENSE (null si invalide)
+const parseMaxDevices = (value) => {
+  const maxDevices = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return Number.isInteger(maxDevices) && maxDevices >= 1 && maxDevices <= MAX_DEVICES_PER_LICENSE ? maxDevices : null;
+};
+
+// Réponse pour un nombre de sièges invalide
+const rejectInvalidMaxDevices = (res) => res.status(400).json({
+  success: false,
+  error: `Nombre de sièges invalide (1 à ${MAX_DEVICES_PER_LICENSE})`
+});
+
+const escapeCsv = (value) => {
+  const text = Array.isArray(value) ? value.join('|') : String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Envoie un lot de licences en CSV (téléchargement) ou en JSON
+const sendBatchExport = (res, batchId, licenses, format, status = 200) => {
+  const rows = licenses.map(toExportRow);
+  
+  if (format === 'csv') {
+    const lines = [BATCH_EXPORT_FIELDS.join(',')]
+      .concat(rows.map(row => BATCH_EXPORT_FIELDS.map(field => escapeCsv(row[field])).join(',')));
+    
+    res.status(status);
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${batchId}.csv"`
+    });
+    return res.send(lines.join('\n') + '\n');
+  }
+  
+  res.status(status).json({
+    success: true,
+    batchId,
+    count: rows.length,
+    licenses: rows
+  });
+};
+
 // Appliquer l'authentification admin et le rate limiting à toutes les routes
 router.use(adminLimiter);
 router.use(requireAdminAuth);
@@ -15,61 +91,106 @@ router.use(requireAdminAuth);
 // Route: Créer une nouvelle clé de licence
 router.post('/licenses', async (req, res) => {
   try {
+    const plan = await Plan.findActiveByName(req.body.plan || req.body.licenseType || 'basic');
+    
+    if (!plan) {
+      return res.status(400).json({
+        success: false,
+        error: 'Plan inconnu ou inactif'
+      });
+    }
+    
+    // Produit de la licence (produit par défaut si non précisé)
+    const product = await Product.resolve(req.body.product);
+    
+    if (!product) {
+      return res.status(400).json({
+        success: false,
+        error: 'Produit inconnu ou inactif'
+      });
+    }
+    
+    // Valeurs par défaut issues du plan
+    const licenseType = plan.name;
     const {
-      licenseType = 'basic',
-      durationDays = 30,
-      features = ['lobby_manager', 'controller'],
+      lifetime = false,
+      features = plan.features,
+      customerEmail = null,
       notes = ''
     } = req.body;
+    const maxDevices = parseMaxDevices(req.body.maxDevices ?? plan.maxDevices);
+    
+    if (maxDevices === null) {
+      return rejectInvalidMaxDevices(res);
+    }
+    
+    const durationDays = lifetime ? null : (req.body.durationDays || plan.defaultDurationDays);
     
-    // Générer une nouvelle clé
-    const key = License.generateKey();
+    // Calculer la date d'expiration (aucune pour une licence à vie)
+    let expiresAt = null;
+    if (!lifetime) {
+      expiresAt = new Date();
+      expiresAt.setDate(expiresAt.getDate() + durationDays);
+    }
     
-    // Calculer la date d'expiration
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + durationDays);
+    // Client propriétaire (créé s'il n'existe pas encore)
+    const customer = customerEmail ? await Customer.findOrCreateByEmail(customerEmail) : null;
     
-    // Créer la licence
-    const license = new License({
-      key,
+    // Créer la licence avec une clé unique
+    const license = await License.createWithUniqueKey({
+      product: product.slug,
       expiresAt,
+      durationDays,
       licenseType,
       features,
+      maxDevices,
+      customer: customer ? customer._id : null,
       metadata: {
         source: 'admin_created',
+        owner: customer ? customer.email : null,
         notes
       }
     });
     
-    await license.save();
-    
     await AuditLog.logEvent('key_created', {
-      licenseKey: key,
+      licenseKey: license.keyHash,
       ipAddress: req.ip,
       message: 'Nouvelle clé créée par admin',
       severity: 'info',
       details: {
+        product: product.slug,
         licenseType,
         durationDays,
         features,
-        expiresAt
+        maxDevices,
+        expiresAt,
+        lifetime
       }
     });
     
+    await LicenseEvent.recordCreated(license, { actor: ADMIN_ACTOR, reason: 'admin_created', ipAddress: req.ip });
+    
     logger.info('Nouvelle clé créée', {
-      key: key.substring(0, 8) + '...',
+      key: license.keyPrefix + '...',
       licenseType,
       durationDays,
+      lifetime,
       admin_ip: req.ip
     });
     
+    // La clé complète n'est renvoyée qu'ici: seule son empreinte est stockée
     res.status(201).json({
       success: true,
       license: {
-        key,
+        key: license.plainKey,
+        keyHash: license.keyHash,
+        product: license.product,
         licenseType,
         features,
-        expiresAt: expiresAt.toISOString(),
+        maxDevices: license.maxDevices,
+        expiresAt: expiresAt ? expiresAt.toISOString() : null,
+        lifetime: license.isLifetime(),
+        customer: license.customer,
         createdAt: license.createdAt.toISOString()
       }
     });
@@ -83,6 +204,120 @@ router.post('/licenses', async (req, res) => {
   }
 });
 
+// Route: Générer un lot de licences
+router.post('/licenses/batch', async (req, res) => {
+  try {
+    const format = req.query.format || req.body.format || 'json';
+    const total = parseInt(req.body.count);
+    
+    if (!Number.isInteger(total) || total < 1 || total > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        success: false,
+        error: `Nombre de clés invalide (1 à ${MAX_BATCH_SIZE})`
+      });
+    }
+    
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Format d\'export invalide (csv ou json)'
+      });
+    }
+    
+    const plan = await Plan.findActiveByName(req.body.plan || req.body.licenseType || 'basic');
+    
+    if (!plan) {
+      return res.status(400).json({
+        success: false,
+        error: 'Plan inconnu ou inactif'
+      });
+    }
+    
+    // Produit de la licence (produit par défaut si non précisé)
+    const product = await Product.resolve(req.body.product);
+    
+    if (!product) {
+      return res.status(400).json({
+        success: false,
+        error: 'Produit inconnu ou inactif'
+      });
+    }
+    
+    // Valeurs par défaut issues du plan
+    const licenseType = plan.name;
+    const {
+      lifetime = false,
+      features = plan.features,
+      label = '',
+      notes = ''
+    } = req.body;
+    const maxDevices = parseMaxDevices(req.body.maxDevices ?? plan.maxDevices);
+    
+    if (maxDevices === null) {
+      return rejectInvalidMaxDevices(res);
+    }
+    
+    const durationDays = lifetime ? null : (req.body.durationDays || plan.defaultDurationDays);
+    
+    let expiresAt = null;
+    if (!lifetime) {
+      expiresAt = new Date();
+      expiresAt.setDate(expiresAt.getDate() + durationDays);
+    }
+    
+    const licenses = await License.createBatch(total, {
+      product: product.slug,
+      expiresAt,
+      durationDays,
+      licenseType,
+      features,
+      maxDevices,
+      metadata: {
+        source: 'batch_generated',
+        notes,
+        batchLabel: label
+      }
+    });
+    const { batchId } = licenses[0];
+    
+    await AuditLog.logEvent('key_created', {
+      ipAddress: req.ip,
+      message: `Lot de ${licenses.length} clés créé par admin`,
+      severity: 'info',
+      details: {
+        batchId,
+        label,
+        count: licenses.length,
+        product: product.slug,
+        licenseType,
+        durationDays,
+        features,
+        expiresAt,
+        lifetime
+      }
+    });
+    
+    await LicenseEvent.recordCreated(licenses, { actor: ADMIN_ACTOR, reason: 'batch_generated', ipAddress: req.ip });
+    
+    logger.info('Lot de clés créé', {
+      batchId,
+      label,
+      count: licenses.length,
+      licenseType,
+      admin_ip: req.ip
+    });
+    
+    sendBatchExport(res, batchId, licenses, format, 201);
+    
+  } catch (error) {
+    logger.error('Erreur création de lot:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la création du lot'
+    });
+  }
+});
+
 // Route: Lister toutes les licences avec pagination
 router.get('/licenses', async (req, res) => {
   try {
@@ -90,10 +325,21 @@ router.get('/licenses', async (req, res) => {
     const limit = parseInt(req.query.limit) || 50;
     const status = req.query.status;
     const licenseType = req.query.type;
+    const batchId = req.query.batch;
+    const lifetime = req.query.lifetime;
+    const reseller = req.query.reseller;
+    const prefix = req.query.prefix;
+    const product = req.query.product;
     
     const filter = {};
     if (status) filter.status = status;
     if (licenseType) filter.licenseType = licenseType;
+    if (batchId) filter.batchId = batchId;
+    if (lifetime === 'true') filter.expiresAt = null;
+    if (lifetime === 'false') filter.expiresAt = { $ne: null };
+    if (reseller && mongoose.isValidObjectId(reseller)) filter.reseller = reseller;
+    if (prefix) filter.keyPrefix = String(prefix).toUpperCase().trim();
+    if (product) filter.product = String(product).toLowerCase().trim();
     
     const skip = (page - 1) * limit;
     
@@ -131,7 +377,7 @@ router.get('/licenses/:key', async (req, res) => {
   try {
     const { key } = req.params;
     
-    const license = await License.findByKey(key);
+    const license = await License.findByReference(key);
     
     if (!license) {
       return res.status(404).json({
@@ -142,20 +388,39 @@ router.get('/licenses/:key', async (req, res) => {
     
     // Récupérer les sessions actives pour cette licence
     const activeSessions = await Session.find({
-      licenseKey: key,
+      licenseKey: license.keyHash,
       status: 'active',
       expiresAt: { $gt: new Date() }
-    }).select('createdAt expiresAt lastActivity createdIP lastIP');
+    }).select('hwid createdAt expiresAt lastActivity createdIP lastIP');
     
     // Récupérer l'historique des événements
     const auditLogs = await AuditLog.find({
-      licenseKey: key
+      licenseKey: license.keyHash
     }).sort({ timestamp: -1 }).limit(20);
     
+    // Machines signalées (remboursement, rétrofacturation) en attente d'examen
+    const hwidFlags = await HwidFlag.find({
+      hwid: { $in: license.devices.map(device => device.hwid) },
+      status: 'open'
+    }).sort({ createdAt: -1 });
+    
     res.json({
       success: true,
       license,
+      seats: {
+        max: license.maxDevices,
+        used: license.devices.length,
+        devices: license.devices.map(device => ({
+          slot: device.slot,
+          hwid: device.hwid,
+          label: device.label,
+          firstSeen: device.firstSeen,
+          lastSeen: device.lastSeen,
+          activeSessions: activeSessions.filter(session => session.hwid === device.hwid).length
+        }))
+      },
       activeSessions,
+      hwidFlags,
       auditLogs
     });
     
@@ -168,20 +433,61 @@ router.get('/licenses/:key', async (req, res) => {
   }
 });
 
-// Route: Modifier le statut d'une licence
-router.patch('/licenses/:key/status', async (req, res) => {
+// Route: Historique structuré d'une licence (création, liaison, statut, prolongation, reset, transfert, notes)
+router.get('/licenses/:key/events', async (req, res) => {
   try {
-    const { key } = req.params;
-    const { status, reason = '' } = req.body;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
     
-    if (!['active', 'banned', 'suspended'].includes(status)) {
+    const license = await License.findByReference(req.params.key);
+    
+    if (!license) {
+      return res.status(404).json({
+        success: false,
+        error: 'Licence non trouvée'
+      });
+    }
+    
+    const { events, total } = await LicenseEvent.getTimeline(license.keyHash, {
+      page,
+      limit,
+      type: req.query.type || null
+    });
+    
+    res.json({
+      success: true,
+      key: license.maskedKey,
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Erreur récupération historique licence:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération de l\'historique'
+    });
+  }
+});
+
+// Route: Ajouter une note du support à l'historique d'une licence
+router.post('/licenses/:key/notes', async (req, res) => {
+  try {
+    const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+    
+    if (!note || note.length > 5000) {
       return res.status(400).json({
         success: false,
-        error: 'Statut invalide'
+        error: 'Note requise (5000 caractères maximum)'
       });
     }
     
-    const license = await License.findByKey(key);
+    const license = await License.findByReference(req.params.key);
     
     if (!license) {
       return res.status(404).json({
@@ -190,138 +496,1158 @@ router.patch('/licenses/:key/status', async (req, res) => {
       });
     }
     
-    const oldStatus = license.status;
-    license.status = status;
-    license.metadata.notes += `\n[${new Date().toISOString()}] Statut changé de ${oldStatus} à ${status}. Raison: ${reason}`;
-    
-    await license.save();
-    
-    // Si la licence est bannie ou suspendue, révoquer toutes les sessions actives
-    if (status === 'banned' || status === 'suspended') {
-      await Session.updateMany(
-        { licenseKey: key, status: 'active' },
-        { status: 'revoked' }
-      );
-    }
+    const event = await LicenseEvent.record(license, 'note_added', {
+      actor: ADMIN_ACTOR,
+      note,
+      ipAddress: req.ip
+    });
     
     await AuditLog.logEvent('admin_action', {
-      licenseKey: key,
+      licenseKey: license.keyHash,
       ipAddress: req.ip,
-      message: `Statut de licence changé: ${oldStatus} → ${status}`,
-      severity: status === 'banned' ? 'critical' : 'warning',
+      message: 'Note ajoutée à la licence',
+      severity: 'info',
       details: {
-        oldStatus,
-        newStatus: status,
-        reason,
+        action: 'note_added',
+        eventId: event._id,
         admin: true
       }
     });
     
-    logger.info('Statut de licence modifié', {
-      key: key.substring(0, 8) + '...',
-      oldStatus,
-      newStatus: status,
-      reason,
-      admin_ip: req.ip
-    });
-    
-    res.json({
+    res.status(201).json({
       success: true,
-      message: 'Statut mis à jour',
-      license: {
-        key,
-        status,
-        updatedAt: new Date().toISOString()
-      }
+      event
     });
     
   } catch (error) {
-    logger.error('Erreur modification statut:', error);
+    logger.error('Erreur ajout note licence:', error);
     res.status(500).json({
       success: false,
-      error: 'Erreur lors de la modification du statut'
+      error: 'Erreur lors de l\'ajout de la note'
     });
   }
 });
 
-// Route: Statistiques générales
-router.get('/stats', async (req, res) => {
+// Route: Prolonger une licence
+router.post('/licenses/:key/extend', async (req, res) => {
   try {
-    const now = new Date();
-    const oneDayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-    const oneWeekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+    const { key } = req.params;
+    const { reason = '', lifetime = false } = req.body;
+    const days = lifetime ? null : parseInt(req.body.days);
     
-    const [
-      totalLicenses,
-      activeLicenses,
-      expiredLicenses,
-      bannedLicenses,
-      activeSessions,
-      validationsToday,
-      validationsWeek,
-      suspiciousActivity
-    ] = await Promise.all([
-      License.countDocuments(),
-      License.countDocuments({ status: 'active', expiresAt: { $gt: now } }),
-      License.countDocuments({ expiresAt: { $lt: now } }),
-      License.countDocuments({ status: 'banned' }),
-      Session.countDocuments({ status: 'active', expiresAt: { $gt: now } }),
-      AuditLog.countDocuments({
-        eventType: 'key_validation_success',
-        timestamp: { $gte: oneDayAgo }
-      }),
-      AuditLog.countDocuments({
-        eventType: 'key_validation_success',
-        timestamp: { $gte: oneWeekAgo }
-      }),
-      AuditLog.countDocuments({
-        eventType: 'suspicious_activity',
-        timestamp: { $gte: oneWeekAgo }
-      })
-    ]);
+    if (!lifetime && (!Number.isInteger(days) || days < 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nombre de jours invalide'
+      });
+    }
+    
+    const license = await License.findByReference(key);
+    
+    if (!license) {
+      return res.status(404).json({
+        success: false,
+        error: 'Licence non trouvée'
+      });
+    }
+    
+    if (license.isLifetime()) {
+      return res.status(409).json({
+        success: false,
+        error: 'Cette licence est déjà une licence à vie',
+        reason: 'lifetime'
+      });
+    }
+    
+    const previousExpiresAt = license.expiresAt;
+    const previousStatus = license.status;
+    const before = license.getTimelineState();
+    
+    if (lifetime) {
+      await license.makeLifetime({ source: 'admin', reference: reason || null });
+    } else {
+      await license.extend(days, { source: 'admin', reference: reason || null });
+    }
+    
+    await AuditLog.logEvent('license_extended', {
+      licenseKey: license.keyHash,
+      ipAddress: req.ip,
+      message: lifetime ? 'Licence convertie en licence à vie par admin' : `Licence prolongée de ${days} jours par admin`,
+      severity: 'info',
+      details: {
+        days,
+        lifetime,
+        previousExpiresAt,
+        expiresAt: license.expiresAt,
+        reactivated: previousStatus !== license.status,
+        reason,
+        admin: true
+      }
+    });
+    
+    await LicenseEvent.record(license, 'extended', {
+      actor: ADMIN_ACTOR,
+      reason,
+      before,
+      after: { ...license.getTimelineState(), days, lifetime: license.isLifetime() },
+      ipAddress: req.ip
+    });
+    
+    await notificationService.notifyLicense('license_renewed', license, { days });
+    
+    logger.info('Licence prolongée', {
+      key: license.keyPrefix + '...',
+      days,
+      lifetime,
+      expiresAt: license.expiresAt,
+      admin_ip: req.ip
+    });
     
     res.json({
       success: true,
-      stats: {
-        licenses: {
-          total: totalLicenses,
-          active: activeLicenses,
-          expired: expiredLicenses,
-          banned: bannedLicenses
-        },
-        sessions: {
-          active: activeSessions
-        },
-        validations: {
-          today: validationsToday,
-          week: validationsWeek
-        },
-        security: {
-          suspiciousActivityWeek: suspiciousActivity
-        }
+      message: lifetime ? 'Licence convertie en licence à vie' : 'Licence prolongée',
+      license: {
+        key: license.maskedKey,
+        status: license.status,
+        previousExpiresAt: previousExpiresAt.toISOString(),
+        expiresAt: license.expiresAt ? license.expiresAt.toISOString() : null,
+        lifetime: license.isLifetime()
       }
     });
     
   } catch (error) {
-    logger.error('Erreur récupération statistiques:', error);
+    logger.error('Erreur prolongation licence:', error);
     res.status(500).json({
       success: false,
-      error: 'Erreur lors de la récupération des statistiques'
+      error: 'Erreur lors de la prolongation de la licence'
     });
   }
 });
 
-// Route: Logs d'audit récents
-router.get('/audit-logs', async (req, res) => {
+// Route: Changer le plan d'une licence (upgrade / downgrade avec prorata)
+router.post('/licenses/:key/plan', async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 100;
-    const eventType = req.query.eventType;
-    const severity = req.query.severity;
+    const { key } = req.params;
+    const { plan: planName, proration = null, reason = '' } = req.body;
     
-    const filter = {};
+    if (proration !== null && !['value', 'keep', 'reset'].includes(proration)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Mode de prorata invalide (value, keep ou reset)'
+      });
+    }
+    
+    const license = await License.findByReference(key);
+    
+    if (!license) {
+      return res.status(404).json({
+        success: false,
+        error: 'Licence non trouvée'
+      });
+    }
+    
+    if (['expired', 'banned'].includes(license.status)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Prolongez ou réactivez la licence avant de changer de plan',
+        status: license.status
+      });
+    }
+    
+    const plan = planName ? await Plan.findActiveByName(planName) : null;
+    
+    if (!plan) {
+      return res.status(400).json({
+        success: false,
+        error: 'Plan inconnu ou inactif'
+      });
+    }
+    
+    if (plan.name === license.licenseType) {
+      return res.status(409).json({
+        success: false,
+        error: 'La licence est déjà sur ce plan'
+      });
+    }
+    
+    const previousPlan = await Plan.findByName(license.licenseType);
+    const previousType = license.licenseType;
+    const previousFeatures = [...license.features];
+    const { previousExpiresAt, proration: appliedProration } =
+      await license.changePlan(plan, previousPlan, { proration, reason });
+    
+    await AuditLog.logEvent('license_plan_changed', {
+      licenseKey: license.keyHash,
+      ipAddress: req.ip,
+      message: `Plan de licence modifié: ${previousType} → ${plan.name}`,
+      severity: 'info',
+      details: {
+        from: previousType,
+        to: plan.name,
+        proration: appliedProration,
+        previousExpiresAt,
+        expiresAt: license.expiresAt,
+        previousFeatures,
+        features: license.features,
+        entitlementsVersion: license.entitlementsVersion,
+        reason,
+        admin: true
+      }
+    });
+    
+    logger.info('Plan de licence modifié', {
+      key: license.keyPrefix + '...',
+      from: previousType,
+      to: plan.name,
+      proration: appliedProration,
+      admin_ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      message: 'Plan modifié, les sessions actives recevront les nouveaux droits à leur prochaine vérification',
+      license: {
+        key: license.maskedKey,
+        licenseType: license.licenseType,
+        features: license.features,
+        maxDevices: license.maxDevices,
+        proration: appliedProration,
+        previousExpiresAt: previousExpiresAt ? previousExpiresAt.toISOString() : null,
+        expiresAt: license.expiresAt ? license.expiresAt.toISOString() : null,
+        entitlementsVersion: license.entitlementsVersion
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Erreur changement de plan:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors du changement de plan'
+    });
+  }
+});
+
+// Route: Modifier le nombre de sièges d'une licence
+router.patch('/licenses/:key/seats', async (req, res) => {
+  try {
+    const { key } = req.params;
+    const maxDevices = parseMaxDevices(req.body.maxDevices);
+    
+    if (maxDevices === null) {
+      return rejectInvalidMaxDevices(res);
+    }
+    
+    const license = await License.findByReference(key);
+    
+    if (!license) {
+      return res.status(404).json({
+        success: false,
+        error: 'Licence non trouvée'
+      });
+    }
+    
+    if (maxDevices < license.devices.length) {
+      return res.status(409).json({
+        success: false,
+        error: 'Libérez des machines avant de réduire le nombre de sièges',
+        boundDevices: license.devices.length
+      });
+    }
+    
+    const oldMaxDevices = license.maxDevices;
+    license.maxDevices = maxDevices;
+    await license.save();
+    
+    await AuditLog.logEvent('admin_action', {
+      licenseKey: license.keyHash,
+      ipAddress: req.ip,
+      message: `Sièges de licence modifiés: ${oldMaxDevices} → ${maxDevices}`,
+      severity: 'info',
+      details: {
+        action: 'seats_updated',
+        oldMaxDevices,
+        maxDevices,
+        admin: true
+      }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Sièges mis à jour',
+      seats: {
+        max: license.maxDevices,
+        used: license.devices.length
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Erreur modification sièges:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la modification des sièges'
+    });
+  }
+});
+
+// Route: Modifier la limite de sessions simultanées d'une licence
+router.patch('/licenses/:key/session-policy', async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { maxConcurrentSessions, sessionPolicy } = req.body;
+    
+    if (maxConcurrentSessions !== undefined && maxConcurrentSessions !== null &&
+        (!Number.isInteger(maxConcurrentSessions) || maxConcurrentSessions < 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Limite de sessions invalide (entier positif, ou null pour celle du plan)'
+      });
+    }
+    
+    if (sessionPolicy !== undefined && ![null, 'reject', 'kick_oldest'].includes(sessionPolicy)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Politique de session invalide (reject, kick_oldest ou null)'
+      });
+    }
+    
+    const license = await License.findByReference(key);
+    
+    if (!license) {
+      return res.status(404).json({
+        success: false,
+        error: 'Licence non trouvée'
+      });
+    }
+    
+    if (maxConcurrentSessions !== undefined) license.maxConcurrentSessions = maxConcurrentSessions;
+    if (sessionPolicy !== undefined) license.sessionPolicy = sessionPolicy;
+    await license.save();
+    
+    const plan = await Plan.findByName(license.licenseType);
+    const effective = license.getSessionLimit(plan);
+    
+    await AuditLog.logEvent('admin_action', {
+      licenseKey: license.keyHash,
+      ipAddress: req.ip,
+      message: 'Limite de sessions simultanées modifiée',
+      severity: 'info',
+      details: {
+        action: 'session_policy_updated',
+        maxConcurrentSessions: license.maxConcurrentSessions,
+        sessionPolicy: license.sessionPolicy,
+        effective,
+        admin: true
+      }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Limite de sessions mise à jour',
+      sessionLimit: {
+        maxConcurrentSessions: license.maxConcurrentSessions,
+        sessionPolicy: license.sessionPolicy,
+        effective
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Erreur modification limite de sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la modification de la limite de sessions'
+    });
+  }
+});
+
+// Route: Renommer une machine liée à une licence
+router.patch('/licenses/:key/devices/:hwid', async (req, res) => {
+  try {
+    const { key, hwid } = req.params;
+    const { label = '' } = req.body;
+    
+    const license = await License.findByReference(key);
+    
+    if (!license) {
+      return res.status(404).json({
+        success: false,
+        error: 'Licence non trouvée'
+      });
+    }
+    
+    const device = license.findDevice(hwid);
+    
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: 'Machine non liée à cette licence'
+      });
+    }
+    
+    device.label = String(label).substring(0, 100);
+    await license.save();
+    
+    res.json({
+      success: true,
+      message: 'Machine mise à jour',
+      device
+    });
+    
+  } catch (error) {
+    logger.error('Erreur modification machine:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la modification de la machine'
+    });
+  }
+});
+
+// Route: Libérer le siège d'une machine
+router.delete('/licenses/:key/devices/:hwid', async (req, res) => {
+  try {
+    const { key, hwid } = req.params;
+    const { reason = '' } = req.body || {};
+    
+    const license = await License.findByReference(key);
+    
+    if (!license) {
+      return res.status(404).json({
+        success: false,
+        error: 'Licence non trouvée'
+      });
+    }
+    
+    const device = license.findDevice(hwid);
+    
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: 'Machine non liée à cette licence'
+      });
+    }
+    
+    await license.releaseDevice(hwid);
+    
+    // Les sessions de cette machine ne doivent plus être valides
+    const result = await Session.revokeForLicense(license.keyHash, hwid);
+    
+    await AuditLog.logEvent('admin_action', {
+      licenseKey: license.keyHash,
+      hwid,
+      ipAddress: req.ip,
+      message: `Machine libérée du siège ${device.slot}`,
+      severity: 'warning',
+      details: {
+        action: 'device_released',
+        slot: device.slot,
+        revokedSessions: result.modifiedCount,
+        reason,
+        admin: true
+      }
+    });
+    
+    await LicenseEvent.record(license, 'hwid_reset', {
+      actor: ADMIN_ACTOR,
+      reason,
+      before: { hwid, slot: device.slot },
+      after: { devices: license.devices.length },
+      ipAddress: req.ip
+    });
+    
+    await notificationService.notifyLicense('hwid_reset', license);
+    
+    logger.info('Machine libérée', {
+      key: license.keyPrefix + '...',
+      hwid: hwid.substring(0, 8) + '...',
+      slot: device.slot,
+      admin_ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      message: 'Machine libérée',
+      revokedSessions: result.modifiedCount,
+      seats: {
+        max: license.maxDevices,
+        used: license.devices.length
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Erreur libération machine:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la libération de la machine'
+    });
+  }
+});
+
+// Route: Ouvrir une demande de transfert pour une licence
+router.post('/licenses/:key/transfers', async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { fromHwid = null, toHwid = null, toOwner = null, reason = '' } = req.body;
+    
+    if (!toHwid && !toOwner) {
+      return res.status(400).json({
+        success: false,
+        error: 'HWID ou propriétaire cible requis'
+      });
+    }
+    
+    const license = await License.findByReference(key);
+    
+    if (!license) {
+      return res.status(404).json({
+        success: false,
+        error: 'Licence non trouvée'
+      });
+    }
+    
+    if (fromHwid && !license.findDevice(fromHwid)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Machine source non liée à cette licence'
+      });
+    }
+    
+    if (await LicenseTransfer.findPendingForLicense(license.keyHash)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Une demande de transfert est déjà en attente pour cette clé'
+      });
+    }
+    
+    const transfer = await LicenseTransfer.create({
+      licenseKey: license.keyHash,
+      requestedBy: 'admin',
+      fromHwid,
+      toHwid,
+      fromOwner: license.metadata.owner,
+      toOwner,
+      reason,
+      requestIp: req.ip,
+      expiresAt: new Date(Date.now() + LicenseTransfer.getRequestTTL())
+    });
+    
+    await AuditLog.logEvent('transfer_requested', {
+      licenseKey: license.keyHash,
+      ipAddress: req.ip,
+      message: 'Demande de transfert ouverte par admin',
+      severity: 'info',
+      details: {
+        transferId: transfer._id,
+        fromHwid,
+        toHwid,
+        toOwner,
+        reason,
+        admin: true
+      }
+    });
+    
+    res.status(201).json({
+      success: true,
+      transfer
+    });
+    
+  } catch (error) {
+    logger.error('Erreur ouverture transfert:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de l\'ouverture du transfert'
+    });
+  }
+});
+
+// Route: Modifier le statut d'une licence
+router.patch('/licenses/:key/status', async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { status, reason = '' } = req.body;
+    const resumeAt = req.body.resumeAt ? new Date(req.body.resumeAt) : null;
+    
+    if (!['active', 'banned', 'suspended'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Statut invalide'
+      });
+    }
+    
+    if (resumeAt && (status !== 'suspended' || isNaN(resumeAt.getTime()) || resumeAt <= new Date())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Date de réactivation invalide (future, suspension uniquement)'
+      });
+    }
+    
+    const license = await License.findByReference(key);
+    
+    if (!license) {
+      return res.status(404).json({
+        success: false,
+        error: 'Licence non trouvée'
+      });
+    }
+    
+    const oldStatus = license.status;
+    const previousExpiresAt = license.expiresAt;
+    const before = license.getTimelineState();
+    
+    // La suspension gèle le temps restant, la réactivation le restaure
+    if (status === 'suspended') {
+      await license.suspend({ reason, resumeAt });
+    } else if (status === 'active') {
+      await license.resume();
+    } else {
+      license.status = status;
+      await license.save();
+    }
+    
+    // Si la licence est bannie ou suspendue, révoquer toutes les sessions actives
+    if (status === 'banned' || status === 'suspended') {
+      await Session.revokeForLicense(license.keyHash);
+    }
+    
+    const eventType = status === 'suspended'
+      ? 'license_suspended'
+      : (status === 'active' && oldStatus === 'suspended' ? 'license_resumed' : 'admin_action');
+    
+    await AuditLog.logEvent(eventType, {
+      licenseKey: license.keyHash,
+      ipAddress: req.ip,
+      message: `Statut de licence changé: ${oldStatus} → ${status}`,
+      severity: status === 'banned' ? 'critical' : 'warning',
+      details: {
+        oldStatus,
+        newStatus: status,
+        reason,
+        previousExpiresAt,
+        expiresAt: license.expiresAt,
+        suspension: status === 'suspended' ? license.suspension : undefined,
+        admin: true
+      }
+    });
+    
+    await LicenseEvent.record(license, 'status_changed', {
+      actor: ADMIN_ACTOR,
+      reason,
+      before,
+      after: license.getTimelineState(),
+      ipAddress: req.ip
+    });
+    
+    await notificationService.notifyStatusChange(license, oldStatus, { reason });
+    
+    logger.info('Statut de licence modifié', {
+      key: license.keyPrefix + '...',
+      oldStatus,
+      newStatus: status,
+      reason,
+      admin_ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      message: 'Statut mis à jour',
+      license: {
+        key: license.maskedKey,
+        status,
+        expiresAt: license.expiresAt ? license.expiresAt.toISOString() : null,
+        resumeAt: license.suspension.resumeAt ? license.suspension.resumeAt.toISOString() : null,
+        updatedAt: new Date().toISOString()
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Erreur modification statut:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la modification du statut'
+    });
+  }
+});
+
+// Route: Statistiques générales
+router.get('/stats', async (req, res) => {
+  try {
+    const now = new Date();
+    const oneDayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+    const oneWeekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+    
+    const [
+      totalLicenses,
+      activeLicenses,
+      expiredLicenses,
+      bannedLicenses,
+      lifetimeLicenses,
+      activeSessions,
+      validationsToday,
+      validationsWeek,
+      suspiciousActivity,
+      totalTrials,
+      convertedTrials
+    ] = await Promise.all([
+      License.countDocuments(),
+      License.countDocuments({
+        status: 'active',
+        $or: [{ expiresAt: { $gt: now } }, { expiresAt: null }]
+      }),
+      License.countDocuments({ expiresAt: { $lt: now } }),
+      License.countDocuments({ status: 'banned' }),
+      // Les licences à vie n'ont pas de date d'expiration
+      License.countDocuments({ expiresAt: null }),
+      Session.countDocuments({ status: 'active', expiresAt: { $gt: now } }),
+      AuditLog.countDocuments({
+        eventType: 'key_validation_success',
+        timestamp: { $gte: oneDayAgo }
+      }),
+      AuditLog.countDocuments({
+        eventType: 'key_validation_success',
+        timestamp: { $gte: oneWeekAgo }
+      }),
+      AuditLog.countDocuments({
+        eventType: 'suspicious_activity',
+        timestamp: { $gte: oneWeekAgo }
+      }),
+      Trial.countDocuments(),
+      Trial.countDocuments({ convertedAt: { $ne: null } })
+    ]);
+    
+    res.json({
+      success: true,
+      stats: {
+        licenses: {
+          total: totalLicenses,
+          active: activeLicenses,
+          expired: expiredLicenses,
+          banned: bannedLicenses,
+          lifetime: lifetimeLicenses
+        },
+        sessions: {
+          active: activeSessions
+        },
+        validations: {
+          today: validationsToday,
+          week: validationsWeek
+        },
+        trials: {
+          total: totalTrials,
+          converted: convertedTrials,
+          conversionRate: totalTrials > 0 ? Math.round((convertedTrials / totalTrials) * 10000) / 100 : 0
+        },
+        security: {
+          suspiciousActivityWeek: suspiciousActivity
+        }
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Erreur récupération statistiques:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération des statistiques'
+    });
+  }
+});
+
+// Route: Lister les lots de licences
+router.get('/batches', async (req, res) => {
+  try {
+    const batches = await License.aggregate([
+      { $match: { batchId: { $ne: null } } },
+      {
+        $group: {
+          _id: '$batchId',
+          label: { $first: '$metadata.batchLabel' },
+          licenseType: { $first: '$licenseType' },
+          count: { $sum: 1 },
+          used: { $sum: { $cond: ['$used', 1, 0] } },
+          banned: { $sum: { $cond: [{ $eq: ['$status', 'banned'] }, 1, 0] } },
+          createdAt: { $min: '$createdAt' }
+        }
+      },
+      { $sort: { createdAt: -1 } }
+    ]);
+    
+    res.json({
+      success: true,
+      batches: batches.map(({ _id, ...batch }) => ({ batchId: _id, ...batch }))
+    });
+    
+  } catch (error) {
+    logger.error('Erreur récupération lots:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération des lots'
+    });
+  }
+});
+
+// Route: Exporter un lot de licences (CSV ou JSON)
+router.get('/batches/:batchId/export', async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const format = req.query.format || 'csv';
+    
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Format d\'export invalide (csv ou json)'
+      });
+    }
+    
+    const licenses = await License.find({ batchId }).sort({ _id: 1 });
+    
+    if (licenses.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lot non trouvé'
+      });
+    }
+    
+    sendBatchExport(res, batchId, licenses, format);
+    
+  } catch (error) {
+    logger.error('Erreur export lot:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de l\'export du lot'
+    });
+  }
+});
+
+// Route: Révoquer toutes les licences d'un lot
+router.post('/batches/:batchId/revoke', async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const { reason = '' } = req.body;
+    
+    const revoked = await License.find({ batchId, status: { $ne: 'banned' } }).select('keyHash status');
+    const keyHashes = revoked.map(license => license.keyHash);
+    
+    if (keyHashes.length === 0) {
+      const exists = await License.exists({ batchId });
+      return res.status(exists ? 200 : 404).json(exists
+        ? { success: true, message: 'Lot déjà révoqué', revokedLicenses: 0, revokedSessions: 0 }
+        : { success: false, error: 'Lot non trouvé' });
+    }
+    
+    const [licenseResult, sessionResult] = await Promise.all([
+      License.updateMany({ keyHash: { $in: keyHashes } }, { status: 'banned' }),
+      Session.updateMany({ licenseKey: { $in: keyHashes }, status: 'active' }, { status: 'revoked' })
+    ]);
+    
+    await AuditLog.logEvent('admin_action', {
+      ipAddress: req.ip,
+      message: `Lot révoqué: ${licenseResult.modifiedCount} licences bannies`,
+      severity: 'critical',
+      details: {
+        action: 'batch_revoked',
+        batchId,
+        revokedLicenses: licenseResult.modifiedCount,
+        revokedSessions: sessionResult.modifiedCount,
+        reason,
+        admin: true
+      }
+    });
+    
+    await LicenseEvent.recordMany(revoked, 'status_changed', license => ({
+      actor: ADMIN_ACTOR,
+      reason: reason || `Révocation du lot ${batchId}`,
+      before: { status: license.status },
+      after: { status: 'banned' },
+      ipAddress: req.ip
+    }));
+    
+    logger.info('Lot révoqué', {
+      batchId,
+      revokedLicenses: licenseResult.modifiedCount,
+      revokedSessions: sessionResult.modifiedCount,
+      reason,
+      admin_ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      message: 'Lot révoqué',
+      revokedLicenses: licenseResult.modifiedCount,
+      revokedSessions: sessionResult.modifiedCount
+    });
+    
+  } catch (error) {
+    logger.error('Erreur révocation lot:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la révocation du lot'
+    });
+  }
+});
+
+// Route: Lister les demandes de transfert
+router.get('/transfers', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.key) filter.licenseKey = License.toKeyHash(req.query.key);
+    
+    const skip = (page - 1) * limit;
+    
+    const [transfers, total] = await Promise.all([
+      LicenseTransfer.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-__v'),
+      LicenseTransfer.countDocuments(filter)
+    ]);
+    
+    res.json({
+      success: true,
+      transfers,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Erreur récupération transferts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération des transferts'
+    });
+  }
+});
+
+// Route: Approuver ou rejeter une demande de transfert
+router.post('/transfers/:id/:decision(approve|reject)', async (req, res) => {
+  try {
+    const { id, decision } = req.params;
+    const { note = '' } = req.body;
+    
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Identifiant de transfert invalide'
+      });
+    }
+    
+    const pendingFilter = { _id: id, status: 'pending', expiresAt: { $gt: new Date() } };
+    let license = null;
+    
+    // Avant d'approuver: la licence doit exister et n'être ni bannie ni suspendue
+    if (decision === 'approve') {
+      const pending = await LicenseTransfer.findOne(pendingFilter);
+      license = pending ? await License.findByKeyHash(pending.licenseKey) : null;
+      
+      if (pending && !license) {
+        return res.status(404).json({
+          success: false,
+          error: 'Licence non trouvée'
+        });
+      }
+      
+      if (license && license.isBlocked()) {
+        return res.status(409).json({
+          success: false,
+          error: license.status === 'banned'
+            ? 'Licence bannie: transfert impossible'
+            : 'Licence suspendue: transfert impossible',
+          reason: license.status
+        });
+      }
+    }
+    
+    // Clore la demande de façon atomique, uniquement si elle est encore en attente
+    const transfer = await LicenseTransfer.findOneAndUpdate(
+      pendingFilter,
+      {
+        status: decision === 'approve' ? 'approved' : 'rejected',
+        decidedAt: new Date(),
+        decisionNote: note
+      },
+      { new: true }
+    );
+    
+    if (!transfer) {
+      const existing = await LicenseTransfer.findById(id);
+      return res.status(existing ? 409 : 404).json({
+        success: false,
+        error: existing ? `Transfert déjà traité ou expiré (${existing.status})` : 'Transfert non trouvé'
+      });
+    }
+    
+    if (decision === 'reject') {
+      await AuditLog.logEvent('transfer_rejected', {
+        licenseKey: transfer.licenseKey,
+        ipAddress: req.ip,
+        message: 'Demande de transfert rejetée',
+        severity: 'info',
+        details: { transferId: transfer._id, note, admin: true }
+      });
+      
+      return res.json({
+        success: true,
+        message: 'Transfert rejeté',
+        transfer
+      });
+    }
+    
+    const previousHwid = transfer.fromHwid || (license.devices.length === 1 ? license.devices[0].hwid : null);
+    const previousOwner = license.metadata.owner;
+    await license.applyTransfer(transfer);
+    
+    // Le nouveau propriétaire devient (ou est créé comme) client rattaché
+    if (transfer.toOwner) {
+      const customer = await Customer.findOrCreateByEmail(transfer.toOwner);
+      await license.assignCustomer(customer);
+    }
+    
+    // Les sessions de l'ancienne machine (ou toutes, en cas de changement de propriétaire) sont révoquées
+    const result = await Session.revokeForLicense(transfer.licenseKey, transfer.toOwner ? null : previousHwid);
+    
+    await AuditLog.logEvent('transfer_approved', {
+      licenseKey: transfer.licenseKey,
+      hwid: transfer.toHwid,
+      ipAddress: req.ip,
+      message: 'Transfert de licence approuvé',
+      severity: 'warning',
+      details: {
+        transferId: transfer._id,
+        fromHwid: previousHwid,
+        toHwid: transfer.toHwid,
+        fromOwner: transfer.fromOwner,
+        toOwner: transfer.toOwner,
+        revokedSessions: result.modifiedCount,
+        note,
+        admin: true
+      }
+    });
+    
+    await LicenseEvent.record(license, 'transferred', {
+      actor: ADMIN_ACTOR,
+      reason: note || transfer.reason,
+      before: { hwid: previousHwid, owner: previousOwner },
+      after: { hwid: transfer.toHwid || previousHwid, owner: license.metadata.owner, transferId: transfer._id },
+      ipAddress: req.ip
+    });
+    
+    logger.info('Transfert de licence approuvé', {
+      key: license.keyPrefix + '...',
+      transferId: transfer._id,
+      revokedSessions: result.modifiedCount,
+      admin_ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      message: 'Transfert approuvé',
+      transfer,
+      revokedSessions: result.modifiedCount,
+      custodyChain: license.custodyChain
+    });
+    
+  } catch (error) {
+    logger.error('Erreur traitement transfert:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors du traitement du transfert'
+    });
+  }
+});
+
+// Route: Rapport des licences arrivant à expiration
+router.get('/expiry-report', async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 7, 90);
+    
+    const [upcoming, licenses, lifetime] = await Promise.all([
+      expiryService.getUpcomingExpirations(),
+      expiryService.getExpiringLicenses(days),
+      License.countDocuments({ expiresAt: null, status: { $ne: 'banned' } })
+    ]);
+    
+    res.json({
+      success: true,
+      upcoming,
+      days,
+      licenses,
+      // Licences à vie, exclues du rapport d'expiration
+      lifetime
+    });
+    
+  } catch (error) {
+    logger.error('Erreur rapport d\'expiration:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la génération du rapport d\'expiration'
+    });
+  }
+});
+
+// Route: Forcer le balayage des licences expirées
+router.post('/expiry-sweep', async (req, res) => {
+  try {
+    // Instance partagée avec le balayage périodique: un seul balayage à la fois
+    if (expiryService.isSweeping) {
+      return res.status(409).json({
+        success: false,
+        error: 'Un balayage des licences expirées est déjà en cours'
+      });
+    }
+    
+    const result = await expiryService.sweep();
+    
+    if (!result) {
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur lors du balayage des licences expirées'
+      });
+    }
+    
+    await AuditLog.logEvent('admin_action', {
+      ipAddress: req.ip,
+      message: `Balayage des licences expirées: ${result.expired} licences expirées`,
+      severity: 'info',
+      details: {
+        action: 'expiry_sweep',
+        ...result,
+        admin: true
+      }
+    });
+    
+    res.json({
+      success: true,
+      ...result
+    });
+    
+  } catch (error) {
+    logger.error('Erreur balayage expiration:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors du balayage des licences expirées'
+    });
+  }
+});
+
+// Route: Logs d'audit récents
+router.get('/audit-logs', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 100;
+    const eventType = req.query.eventType;
+    const severity = req.query.severity;
+    const { actorType, actorId } = req.query;
+    
+    const filter = {};
     if (eventType) filter.eventType = eventType;
     if (severity) filter.severity = severity;
+    if (actorType) filter['actor.type'] = actorType;
+    if (actorId) filter['actor.id'] = actorId;
     
     const skip = (page - 1) * limit;
     
@@ -353,6 +1679,401 @@ router.get('/audit-logs', async (req, res) => {
   }
 });
 
+// Route: Lister les webhooks de commande reçus
+router.get('/webhook-events', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.orderId) filter.orderId = req.query.orderId;
+    
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-rawBody -signature -__v'),
+      WebhookEvent.countDocuments(filter)
+    ]);
+    
+    res.json({
+      success: true,
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Erreur récupération webhooks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération des webhooks'
+    });
+  }
+});
+
+// Route: Détail d'un webhook reçu (avec le corps brut)
+router.get('/webhook-events/:id', async (req, res) => {
+  try {
+    const event = mongoose.isValidObjectId(req.params.id) ? await WebhookEvent.findById(req.params.id) : null;
+    
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Événement non trouvé'
+      });
+    }
+    
+    res.json({
+      success: true,
+      event,
+      payload: event.getPayload()
+    });
+    
+  } catch (error) {
+    logger.error('Erreur récupération webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération du webhook'
+    });
+  }
+});
+
+// Route: Rejouer un webhook non traité (ex: après correction de la correspondance des plans)
+router.post('/webhook-events/:id/replay', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Événement non trouvé'
+      });
+    }
+    
+    const event = await WebhookEvent.claimForProcessing(req.params.id);
+    
+    if (!event) {
+      const existing = await WebhookEvent.findById(req.params.id);
+      return res.status(existing ? 409 : 404).json({
+        success: false,
+        error: existing ? `Événement déjà traité ou en cours (${existing.status})` : 'Événement non trouvé',
+        licenseKey: existing ? existing.licenseKey : undefined
+      });
+    }
+    
+    const { license, created, action } = await orderWebhookService.process(event, { ipAddress: req.ip });
+    
+    await AuditLog.logEvent('admin_action', {
+      licenseKey: license.keyHash,
+      ipAddress: req.ip,
+      message: `Webhook de commande rejoué: ${event.orderId}`,
+      severity: 'info',
+      details: {
+        action: 'webhook_replayed',
+        eventId: event._id,
+        orderId: event.orderId,
+        created,
+        reversalAction: action,
+        admin: true
+      }
+    });
+    
+    res.json({
+      success: true,
+      created,
+      orderId: event.orderId,
+      // Clé en clair seulement si le rejeu vient de la créer
+      licenseKey: license.plainKey,
+      maskedKey: license.maskedKey,
+      status: license.status
+    });
+    
+  } catch (error) {
+    if (error.reason) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        reason: error.reason
+      });
+    }
+    
+    logger.error('Erreur rejeu webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors du rejeu du webhook'
+    });
+  }
+});
+
+// Route: Lister les notifications (file d'envoi)
+router.get('/notifications', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.channel) filter.channel = req.query.channel;
+    if (req.query.licenseKey) filter.licenseKey = License.toKeyHash(req.query.licenseKey);
+    
+    const [notifications, total] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-__v'),
+      Notification.countDocuments(filter)
+    ]);
+    
+    res.json({
+      success: true,
+      notifications,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Erreur récupération notifications:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération des notifications'
+    });
+  }
+});
+
+// Route: Remettre en file une notification abandonnée
+router.post('/notifications/:id/retry', async (req, res) => {
+  try {
+    const notification = mongoose.isValidObjectId(req.params.id) ? await Notification.requeue(req.params.id) : null;
+    
+    if (!notification) {
+      const existing = mongoose.isValidObjectId(req.params.id) ? await Notification.findById(req.params.id) : null;
+      return res.status(existing ? 409 : 404).json({
+        success: false,
+        error: existing ? `Seule une notification abandonnée peut être renvoyée (${existing.status})` : 'Notification non trouvée'
+      });
+    }
+    
+    await AuditLog.logEvent('admin_action', {
+      licenseKey: notification.licenseKey,
+      ipAddress: req.ip,
+      message: `Notification remise en file: ${notification.type}`,
+      severity: 'info',
+      details: {
+        action: 'notification_requeued',
+        notificationId: notification._id,
+        channel: notification.channel,
+        admin: true
+      }
+    });
+    
+    res.json({
+      success: true,
+      notification
+    });
+    
+  } catch (error) {
+    logger.error('Erreur remise en file notification:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la remise en file de la notification'
+    });
+  }
+});
+
+// Route: Envoyer un email de test (vérification de la configuration SMTP)
+router.post('/notifications/test', async (req, res) => {
+  try {
+    const { to, locale } = req.body;
+    
+    if (!to || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(to)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Adresse email invalide'
+      });
+    }
+    
+    if (!notificationService.isChannelEnabled('email')) {
+      return res.status(503).json({
+        success: false,
+        error: 'SMTP non configuré (SMTP_HOST, SMTP_FROM)',
+        reason: 'smtp_not_configured'
+      });
+    }
+    
+    const notification = await notificationService.sendTest(to, locale);
+    
+    // Un échec reste en file et sera retenté avec backoff
+    if (notification.status !== 'sent') {
+      return res.status(502).json({
+        success: false,
+        error: `Échec de l'envoi: ${notification.lastError}`,
+        reason: 'smtp_error',
+        notification
+      });
+    }
+    
+    res.json({
+      success: true,
+      notification
+    });
+    
+  } catch (error) {
+    logger.error('Erreur envoi notification de test:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de l\'envoi de la notification de test'
+    });
+  }
+});
+
+// Route: Lister les machines signalées pour examen
+router.get('/hwid-flags', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    
+    const filter = { status: req.query.status || 'open' };
+    if (req.query.hwid) filter.hwid = req.query.hwid;
+    if (req.query.reason) filter.reason = req.query.reason;
+    if (req.query.licenseKey) filter.licenseKey = License.toKeyHash(req.query.licenseKey);
+    
+    const [flags, total] = await Promise.all([
+      HwidFlag.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      HwidFlag.countDocuments(filter)
+    ]);
+    
+    res.json({
+      success: true,
+      flags,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Erreur récupération signalements:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération des signalements'
+    });
+  }
+});
+
+// Route: Clore l'examen d'une machine signalée (confirmed: fraude avérée, cleared: levé)
+router.patch('/hwid-flags/:id', async (req, res) => {
+  try {
+    const { status, note = '' } = req.body;
+    
+    if (!['confirmed', 'cleared'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Statut invalide (confirmed ou cleared)'
+      });
+    }
+    
+    const flag = mongoose.isValidObjectId(req.params.id) ? await HwidFlag.findById(req.params.id) : null;
+    
+    if (!flag) {
+      return res.status(404).json({
+        success: false,
+        error: 'Signalement non trouvé'
+      });
+    }
+    
+    const oldStatus = flag.status;
+    flag.status = status;
+    flag.reviewedAt = new Date();
+    if (note) flag.note = note;
+    await flag.save();
+    
+    await AuditLog.logEvent('hwid_flag_reviewed', {
+      licenseKey: flag.licenseKey,
+      hwid: flag.hwid,
+      ipAddress: req.ip,
+      message: `Signalement machine examiné: ${oldStatus} → ${status}`,
+      severity: 'info',
+      details: {
+        flagId: flag._id,
+        orderId: flag.orderId,
+        reason: flag.reason,
+        oldStatus,
+        newStatus: status,
+        note,
+        admin: true
+      }
+    });
+    
+    res.json({
+      success: true,
+      flag
+    });
+    
+  } catch (error) {
+    logger.error('Erreur examen signalement:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de l\'examen du signalement'
+    });
+  }
+});
+
+// Route: Rotation de la clé de signature des licences hors-ligne
+router.post('/signing-keys/rotate', async (req, res) => {
+  try {
+    const previousKey = await SigningKey.getActiveKey();
+    const newKey = await SigningKey.rotate();
+    
+    await AuditLog.logEvent('admin_action', {
+      ipAddress: req.ip,
+      message: `Rotation de la clé de signature: ${previousKey ? previousKey._id : 'aucune'} → ${newKey._id}`,
+      severity: 'warning',
+      details: {
+        action: 'signing_key_rotated',
+        previousKid: previousKey ? previousKey._id : null,
+        kid: newKey._id,
+        admin: true
+      }
+    });
+    
+    logger.info('Clé de signature renouvelée', {
+      previousKid: previousKey ? previousKey._id : null,
+      kid: newKey._id,
+      admin_ip: req.ip
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Clé de signature renouvelée',
+      kid: newKey._id,
+      previousKid: previousKey ? previousKey._id : null
+    });
+    
+  } catch (error) {
+    logger.error('Erreur rotation clé de signature:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la rotation de la clé de signature'
+    });
+  }
+});
+
 // Route: Nettoyage des sessions expirées
 router.post('/cleanup', async (req, res) => {
   try {
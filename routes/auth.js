@@ -6,21 +6,78 @@ const moment = require('moment');
 const License = require('../models/License.js');
 const Session = require('../models/Session');
 const AuditLog = require('../models/AuditLog');
+const Trial = require('../models/Trial');
+const Plan = require('../models/Plan');
+const Product = require('../models/Product');
+const RedeemCode = require('../models/RedeemCode');
+const LicenseTransfer = require('../models/LicenseTransfer');
+const LicenseEvent = require('../models/LicenseEvent');
+const offlineLicenseService = require('../services/OfflineLicenseService');
+const hwidFingerprint = require('../services/hwidFingerprint');
+const notificationService = require('../services/NotificationService');
 const logger = require('../config/logger');
 const {
   validateKeyRequest,
   validateSessionRequest,
+  validateHwidResetRequest,
+  validateRenewRequest,
+  validateTrialRequest,
+  validateRedeemRequest,
+  validateTransferRequest,
   handleValidationErrors,
   verifySignature,
   verifySession
 } = require('../middleware/auth');
 const {
   keyValidationLimiter,
+  redeemLimiter,
   detectSuspiciousActivity
 } = require('../middleware/security');
 
 const router = express.Router();
 
+// Auteur des événements de l'historique des licences pour les actions faites depuis le loader
+const CLIENT_ACTOR = { type: 'client' };
+
+// Retrouve la session prouvant la possession d'une clé (signature valide, même expirée).
+// Une session révoquée (déconnexion, remplacement, reset) ne prouve plus rien
+const findOwnedSession = async (keyHash, sessionToken) => {
+  const decoded = jwt.verify(sessionToken, process.env.JWT_SECRET, { ignoreExpiration: true });
+  const session = await Session.findByToken(sessionToken);
+  
+  if (!session || session.status === 'revoked' || session.licenseKey !== keyHash || decoded.licenseKey !== keyHash) {
+    return null;
+  }
+  
+  return session;
+};
+
+// Réponse pour une licence bannie ou suspendue (actions en libre-service refusées)
+const rejectBlockedLicense = (license, res) => res.status(403).json({
+  success: false,
+  error: license.status === 'banned' ? 'Cette clé a été bannie' : 'Cette clé est temporairement suspendue',
+  reason: license.status
+});
+
+// Produit du client appelant (body.product ou en-tête X-Product, produit par défaut sinon)
+const resolveClientProduct = (req) => Product.resolve(req.body.product || req.get('X-Product'));
+
+// Réponse pour un produit client inconnu ou inactif
+const rejectUnknownProduct = (req, res) => res.status(400).json({
+  success: false,
+  error: `Produit inconnu: ${req.body.product || req.get('X-Product')}`,
+  reason: 'product_unknown'
+});
+
+// Champs de réponse signalant une licence expirée en période de grâce (le client invite à renouveler)
+const toGraceFields = (grace) => ({
+  inGracePeriod: grace.inGracePeriod,
+  ...(grace.inGracePeriod && {
+    graceEndsAt: grace.graceEndsAt.toISOString(),
+    graceRemainingSeconds: grace.graceRemainingSeconds
+  })
+});
+
 // Route principale: Validation de clé de licence
 router.post('/validate-key', 
   keyValidationLimiter,
@@ -30,7 +87,7 @@ router.post('/validate-key',
   verifySignature,
   async (req, res) => {
     try {
-      const { key, hwid, timestamp, fromStoredKey = false } = req.body;
+      const { key, hwid, fingerprint = null, previousSessionToken = null, timestamp, fromStoredKey = false, offline = false } = req.body;
       const ip = req.ip;
       const userAgent = req.get('User-Agent');
       
@@ -42,12 +99,44 @@ router.post('/validate-key',
         fromStoredKey
       });
       
-      // Rechercher la clé en base
-      const license = await License.findByKey(key);
+      const product = await resolveClientProduct(req);
+      
+      if (!product) {
+        return rejectUnknownProduct(req, res);
+      }
+      
+      // Rechercher la clé en base (par empreinte, seule référence stockée)
+      const keyHash = License.hashKey(key);
+      const formatMatches = product.matchesKey(key);
+      const license = formatMatches ? await License.findByKey(key) : null;
+      
+      // Clé d'un autre produit: format différent, ou licence émise pour un autre client
+      if (!formatMatches || (license && license.product !== product.slug)) {
+        await AuditLog.logEvent('key_validation_failed', {
+          licenseKey: keyHash,
+          hwid,
+          ipAddress: ip,
+          userAgent,
+          message: `Clé utilisée sur le client d'un autre produit (${product.slug})`,
+          severity: 'warning',
+          details: {
+            reason: 'product_mismatch',
+            clientProduct: product.slug,
+            licenseProduct: license ? license.product : null,
+            fromStoredKey
+          }
+        });
+        
+        return res.status(403).json({
+          success: false,
+          error: 'Cette clé n\'est pas valide pour ce produit',
+          reason: 'product_mismatch'
+        });
+      }
       
       if (!license) {
         await AuditLog.logEvent('key_validation_failed', {
-          licenseKey: key,
+          licenseKey: keyHash,
           hwid,
           ipAddress: ip,
           userAgent,
@@ -69,7 +158,7 @@ router.post('/validate-key',
       // Vérifier le statut de la clé
       if (license.status === 'banned') {
         await AuditLog.logEvent('key_validation_failed', {
-          licenseKey: key,
+          licenseKey: keyHash,
           hwid,
           ipAddress: ip,
           userAgent,
@@ -87,7 +176,7 @@ router.post('/validate-key',
       
       if (license.status === 'suspended') {
         await AuditLog.logEvent('key_validation_failed', {
-          licenseKey: key,
+          licenseKey: keyHash,
           hwid,
           ipAddress: ip,
           userAgent,
@@ -99,14 +188,19 @@ router.post('/validate-key',
         return res.status(403).json({
           success: false,
           error: 'Cette clé est temporairement suspendue',
-          reason: 'suspended'
+          reason: 'suspended',
+          resumeAt: license.suspension.resumeAt ? license.suspension.resumeAt.toISOString() : null
         });
       }
       
-      // Vérifier l'expiration
-      if (license.isExpired()) {
+      // Plan de la licence: durée de session, limite de sessions et période de grâce
+      const plan = await Plan.findByName(license.licenseType);
+      const grace = license.getGraceStatus(plan);
+      
+      // Vérifier l'expiration (une licence en période de grâce reste utilisable)
+      if (license.isExpired() && !grace.inGracePeriod) {
         await AuditLog.logEvent('key_validation_failed', {
-          licenseKey: key,
+          licenseKey: keyHash,
           hwid,
           ipAddress: ip,
           userAgent,
@@ -127,10 +221,46 @@ router.post('/validate-key',
         });
       }
       
-      // Vérifier si la clé est déjà liée à un autre HWID
-      if (license.used && license.hwid && license.hwid !== hwid) {
+      // Un HWID inconnu ne reprend le siège d'une machine (empreinte proche) que sur présentation
+      // de la session ouverte par cette machine: des empreintes copiées ne suffisent pas
+      const previousSession = fingerprint && previousSessionToken && !license.findDevice(hwid)
+        ? await findOwnedSession(keyHash, previousSessionToken).catch(() => null)
+        : null;
+      
+      // Vérifier si la machine occupe déjà un siège (HWID ou empreinte proche) ou s'il en reste un de libre
+      const { device, drift, mismatch } = license.matchDevice(hwid, fingerprint, {
+        provenHwid: previousSession ? previousSession.hwid : null
+      });
+      
+      // HWID connu mais empreinte trop différente: HWID probablement usurpé
+      if (mismatch) {
         await AuditLog.logEvent('key_validation_failed', {
-          licenseKey: key,
+          licenseKey: keyHash,
+          hwid,
+          ipAddress: ip,
+          userAgent,
+          message: 'Empreinte matérielle trop différente de celle de la machine liée',
+          severity: 'critical',
+          details: {
+            reason: 'fingerprint_mismatch',
+            score: mismatch.score,
+            threshold: hwidFingerprint.getThreshold(),
+            changedComponents: mismatch.changed,
+            fromStoredKey
+          }
+        });
+        
+        return res.status(409).json({
+          success: false,
+          error: 'Empreinte matérielle non reconnue pour cette machine',
+          reason: 'fingerprint_mismatch'
+        });
+      }
+      
+      // Refus faute de siège libre (vérifié ici, puis de façon atomique lors de la liaison)
+      const rejectNoFreeSeat = async () => {
+        await AuditLog.logEvent('key_validation_failed', {
+          licenseKey: keyHash,
           hwid,
           ipAddress: ip,
           userAgent,
@@ -138,47 +268,183 @@ router.post('/validate-key',
           severity: 'critical',
           details: { 
             reason: 'hwid_mismatch',
-            registeredHwid: license.hwid.substring(0, 8) + '...',
+            boundDevices: license.devices.length,
+            maxDevices: license.maxDevices,
+            fingerprintProvided: Boolean(fingerprint),
             fromStoredKey
           }
         });
         
         return res.status(409).json({
           success: false,
-          error: 'Cette clé est déjà utilisée sur une autre machine',
+          error: license.maxDevices > 1
+            ? 'Nombre maximum de machines atteint pour cette clé'
+            : 'Cette clé est déjà utilisée sur une autre machine',
           reason: 'hwid_mismatch'
         });
+      };
+      
+      if (!device && !license.hasFreeSeat()) {
+        return rejectNoFreeSeat();
       }
       
-      // Lier la clé au HWID si ce n'est pas déjà fait
-      if (!license.used || !license.hwid) {
-        await license.bindToHWID(hwid);
+      // Limite de sessions simultanées: refuser, ou révoquer les plus anciennes.
+      // Le refus est décidé avant de lier la machine pour ne pas occuper de siège.
+      const { maxSessions, policy } = license.getSessionLimit(plan);
+      
+      if (maxSessions && policy === 'reject') {
+        const activeSessions = await Session.findActiveByLicense(keyHash);
+        
+        if (activeSessions.length >= maxSessions) {
+          await AuditLog.logEvent('key_validation_failed', {
+            licenseKey: keyHash,
+            hwid,
+            ipAddress: ip,
+            userAgent,
+            message: 'Nombre maximum de sessions simultanées atteint',
+            severity: 'warning',
+            details: {
+              reason: 'session_limit_reached',
+              activeSessions: activeSessions.length,
+              maxSessions,
+              fromStoredKey
+            }
+          });
+          
+          return res.status(409).json({
+            success: false,
+            error: 'Nombre maximum de sessions simultanées atteint pour cette clé',
+            reason: 'session_limit_reached',
+            maxSessions
+          });
+        }
+      }
+      
+      // Lier la machine sur un siège libre, ou mettre à jour sa dernière activité
+      if (!device) {
+        // Dernier siège pris entre-temps par une validation simultanée
+        if (!await license.bindToHWID(hwid, '', fingerprint)) {
+          return rejectNoFreeSeat();
+        }
+        
+        await LicenseEvent.record(license, 'bound', {
+          actor: CLIENT_ACTOR,
+          after: { hwid, slot: license.findDevice(hwid).slot, devices: license.devices.length },
+          ipAddress: ip
+        });
+        
         logger.info('Clé liée au HWID', {
           key: key.substring(0, 8) + '...',
-          hwid: hwid.substring(0, 8) + '...'
+          hwid: hwid.substring(0, 8) + '...',
+          seats: `${license.devices.length}/${license.maxDevices}`
+        });
+        
+        // Une clé payante activée sur une machine d'essai compte comme conversion
+        if (license.metadata.source !== 'trial') {
+          await Trial.markConverted(hwid, keyHash);
+        }
+      } else if (drift) {
+        // Même machine avec des composants changés: le siège suit le nouveau HWID et la nouvelle empreinte
+        await license.applyHwidDrift(device, hwid, fingerprint);
+        
+        // Les sessions ouvertes sous l'ancien HWID ne peuvent plus être vérifiées
+        const revoked = drift.previousHwid !== hwid
+          ? await Session.revokeForLicense(keyHash, drift.previousHwid, 'hwid_drift')
+          : null;
+        
+        await AuditLog.logEvent('hwid_drift', {
+          licenseKey: keyHash,
+          hwid,
+          ipAddress: ip,
+          userAgent,
+          message: `Empreinte matérielle modifiée (${drift.changed.join(', ')}), machine reconnue`,
+          severity: drift.previousHwid !== hwid ? 'warning' : 'info',
+          details: {
+            previousHwid: drift.previousHwid,
+            score: drift.score,
+            threshold: hwidFingerprint.getThreshold(),
+            changedComponents: drift.changed,
+            slot: device.slot,
+            revokedSessions: revoked ? revoked.modifiedCount : 0,
+            fromStoredKey
+          }
+        });
+        
+        if (drift.previousHwid !== hwid) {
+          await LicenseEvent.record(license, 'bound', {
+            actor: CLIENT_ACTOR,
+            reason: 'hwid_drift',
+            before: { hwid: drift.previousHwid, slot: device.slot },
+            after: { hwid, slot: device.slot, score: drift.score, changedComponents: drift.changed },
+            ipAddress: ip
+          });
+        }
+        
+        logger.info('Dérive d\'empreinte matérielle acceptée', {
+          key: key.substring(0, 8) + '...',
+          hwid: hwid.substring(0, 8) + '...',
+          previousHwid: drift.previousHwid.substring(0, 8) + '...',
+          score: drift.score,
+          changed: drift.changed
         });
+      } else {
+        await license.touchDevice(hwid, fingerprint);
+      }
+      
+      // Durée de session définie par le plan de la licence
+      const sessionDays = plan ? plan.sessionDurationDays : 7;
+      const features = license.getEffectiveFeatures(plan);
+      
+      // Politique de remplacement: révoquer les sessions les plus anciennes au-delà de la limite
+      if (maxSessions && policy !== 'reject') {
+        const activeSessions = await Session.findActiveByLicense(keyHash);
+        const excess = activeSessions.length - maxSessions + 1;
+        
+        for (const oldSession of activeSessions.slice(0, Math.max(0, excess))) {
+          await oldSession.revoke('superseded');
+          
+          await AuditLog.logEvent('session_revoked', {
+            licenseKey: keyHash,
+            hwid: oldSession.hwid,
+            sessionToken: oldSession.sessionToken,
+            ipAddress: ip,
+            userAgent,
+            message: 'Session remplacée par une connexion plus récente',
+            severity: 'info',
+            details: { reason: 'session_superseded', maxSessions }
+          });
+        }
       }
       
       // Créer un token de session JWT
       const sessionPayload = {
-        licenseKey: key,
+        licenseKey: keyHash,
+        product: product.slug,
         hwid: hwid,
         licenseType: license.licenseType,
-        features: license.features,
+        features,
+        entitlementsVersion: license.entitlementsVersion,
+        inGracePeriod: grace.inGracePeriod,
         iat: Math.floor(Date.now() / 1000)
       };
       
+      // En période de grâce, la session ne dépasse pas la fin de la grâce
       const sessionToken = jwt.sign(sessionPayload, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRY || '7d'
+        expiresIn: grace.inGracePeriod
+          ? Math.min(grace.graceRemainingSeconds, sessionDays * 24 * 60 * 60)
+          : (plan ? `${sessionDays}d` : (process.env.JWT_EXPIRY || '7d'))
       });
       
       // Calculer la date d'expiration de la session
-      const sessionExpiry = moment().add(7, 'days').toDate();
+      const sessionExpiry = grace.inGracePeriod
+        ? moment.min(moment().add(sessionDays, 'days'), moment(grace.graceEndsAt)).toDate()
+        : moment().add(sessionDays, 'days').toDate();
       
       // Sauvegarder la session en base
       const session = new Session({
         sessionToken,
-        licenseKey: key,
+        licenseKey: keyHash,
+        product: product.slug,
         hwid,
         expiresAt: sessionExpiry,
         createdIP: ip,
@@ -196,20 +462,28 @@ router.post('/validate-key',
       
       await session.save();
       
+      // Document signé permettant au client de fonctionner sans réseau
+      const offlineLicense = offline
+        ? await offlineLicenseService.issue(license, hwid, { features, validUntil: grace.graceEndsAt || license.expiresAt })
+        : null;
+      
       // Log de succès
       await AuditLog.logEvent('key_validation_success', {
-        licenseKey: key,
+        licenseKey: keyHash,
         hwid,
         sessionToken,
         ipAddress: ip,
         userAgent,
-        message: 'Validation de clé réussie',
+        message: grace.inGracePeriod ? 'Validation de clé réussie (période de grâce)' : 'Validation de clé réussie',
         severity: 'info',
         details: {
           licenseType: license.licenseType,
-          features: license.features,
+          features,
+          inGracePeriod: grace.inGracePeriod,
+          graceEndsAt: grace.graceEndsAt,
           sessionExpiry,
-          fromStoredKey
+          fromStoredKey,
+          offlineUntil: offlineLicense ? offlineLicense.offlineUntil : null
         }
       });
       
@@ -226,20 +500,28 @@ router.post('/validate-key',
         success: true,
         sessionToken,
         sessionExpiry: sessionExpiry.toISOString(),
-        licenseExpiry: license.expiresAt.toISOString(),
+        // null: licence à vie, n'expire jamais
+        licenseExpiry: license.expiresAt ? license.expiresAt.toISOString() : null,
+        ...toGraceFields(grace),
         keyStatus: {
           type: license.licenseType,
-          features: license.features,
-          validUntil: license.expiresAt.toISOString(),
-          createdAt: license.createdAt.toISOString()
-        }
+          features,
+          validUntil: license.expiresAt ? license.expiresAt.toISOString() : null,
+          lifetime: license.isLifetime(),
+          createdAt: license.createdAt.toISOString(),
+          devices: {
+            used: license.devices.length,
+            max: license.maxDevices
+          }
+        },
+        ...(offlineLicense && { offlineLicense })
       });
       
     } catch (error) {
       logger.error('Erreur lors de la validation de clé:', error);
       
       await AuditLog.logEvent('key_validation_failed', {
-        licenseKey: req.body.key,
+        licenseKey: null,
         hwid: req.body.hwid,
         ipAddress: req.ip,
         userAgent: req.get('User-Agent'),
@@ -273,17 +555,19 @@ router.post('/check-session',
       const session = await Session.findByToken(sessionToken);
       
       if (!session || !session.isActive()) {
+        const superseded = Boolean(session && session.isSuperseded());
+        
         await AuditLog.logEvent('session_validation_failed', {
           sessionToken,
           hwid,
           ipAddress: ip,
-          message: 'Session invalide ou expirée',
+          message: superseded ? 'Session remplacée par une connexion plus récente' : 'Session invalide ou expirée',
           severity: 'warning'
         });
         
         return res.json({
           valid: false,
-          reason: 'session_invalid'
+          reason: superseded ? 'session_superseded' : 'session_invalid'
         });
       }
       
@@ -303,21 +587,63 @@ router.post('/check-session',
         });
       }
       
+      const license = await License.findByKeyHash(session.licenseKey);
+      const plan = license ? await Plan.findByName(license.licenseType) : null;
+      const grace = license ? license.getGraceStatus(plan) : { inGracePeriod: false };
+      const features = license ? license.getEffectiveFeatures(plan) : [];
+      
+      // Droits modifiés depuis l'émission du token (changement de plan, entrée en période de grâce): réémettre le token
+      const entitlementsUpdated = Boolean(license) && (
+        (decoded.entitlementsVersion || 0) !== (license.entitlementsVersion || 0) ||
+        Boolean(decoded.inGracePeriod) !== grace.inGracePeriod
+      );
+      
+      if (entitlementsUpdated) {
+        const remainingSeconds = Math.max(1, Math.floor((session.expiresAt - Date.now()) / 1000));
+        
+        session.sessionToken = jwt.sign({
+          licenseKey: session.licenseKey,
+          product: license.product,
+          hwid,
+          licenseType: license.licenseType,
+          features,
+          entitlementsVersion: license.entitlementsVersion,
+          inGracePeriod: grace.inGracePeriod,
+          iat: Math.floor(Date.now() / 1000)
+        }, process.env.JWT_SECRET, { expiresIn: remainingSeconds });
+      }
+      
       // Mettre à jour l'activité de la session
       await session.updateActivity(ip);
       
       await AuditLog.logEvent('session_validated', {
-        sessionToken,
+        sessionToken: session.sessionToken,
         hwid,
         ipAddress: ip,
-        message: 'Session validée avec succès',
-        severity: 'info'
+        message: entitlementsUpdated ? 'Session validée, droits mis à jour' : 'Session validée avec succès',
+        severity: 'info',
+        details: entitlementsUpdated ? {
+          entitlementsUpdated,
+          previousToken: sessionToken,
+          licenseType: license.licenseType,
+          features,
+          inGracePeriod: grace.inGracePeriod
+        } : {}
       });
       
       res.json({
         valid: true,
         expiresAt: session.expiresAt.toISOString(),
-        lastActivity: session.lastActivity.toISOString()
+        lastActivity: session.lastActivity.toISOString(),
+        ...toGraceFields(grace),
+        ...(entitlementsUpdated && {
+          entitlementsUpdated,
+          sessionToken: session.sessionToken,
+          keyStatus: {
+            type: license.licenseType,
+            features
+          }
+        })
       });
       
     } catch (error) {
@@ -338,6 +664,781 @@ router.post('/check-session',
   }
 );
 
+// Route: Reset HWID en libre-service (réinstallation, changement de matériel)
+router.post('/reset-hwid',
+  keyValidationLimiter,
+  detectSuspiciousActivity,
+  validateHwidResetRequest,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { key, sessionToken } = req.body;
+      const ip = req.ip;
+      const userAgent = req.get('User-Agent');
+      const keyHash = License.hashKey(key);
+      
+      // Prouver la possession de la clé par l'ancienne session
+      const session = await findOwnedSession(keyHash, sessionToken);
+      
+      if (!session) {
+        await AuditLog.logEvent('key_validation_failed', {
+          licenseKey: keyHash,
+          sessionToken,
+          ipAddress: ip,
+          userAgent,
+          message: 'Reset HWID refusé: session ne correspondant pas à la clé',
+          severity: 'critical',
+          details: { reason: 'session_mismatch' }
+        });
+        
+        return res.status(403).json({
+          success: false,
+          error: 'Session non associée à cette clé',
+          reason: 'session_mismatch'
+        });
+      }
+      
+      const license = await License.findByKey(key);
+      
+      if (!license) {
+        return res.status(404).json({
+          success: false,
+          error: 'Clé de licence non trouvée',
+          reason: 'not_found'
+        });
+      }
+      
+      if (license.isBlocked()) {
+        return rejectBlockedLicense(license, res);
+      }
+      
+      const oldHwid = session.hwid;
+      
+      if (!license.findDevice(oldHwid)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Cette machine n\'est plus liée à la clé',
+          reason: 'device_not_bound'
+        });
+      }
+      
+      const availability = license.getHwidResetAvailability();
+      
+      if (!availability.allowed) {
+        return res.status(429).json({
+          success: false,
+          error: availability.reason === 'reset_cooldown'
+            ? 'Un reset HWID a été effectué récemment'
+            : 'Quota mensuel de resets HWID atteint',
+          reason: availability.reason,
+          retryAt: availability.retryAt.toISOString(),
+          resetsRemaining: availability.remaining
+        });
+      }
+      
+      await license.resetHWID(oldHwid, ip);
+      
+      // Les sessions de l'ancienne machine ne doivent plus être utilisables
+      const result = await Session.revokeForLicense(keyHash, oldHwid);
+      
+      await AuditLog.logEvent('hwid_reset', {
+        licenseKey: keyHash,
+        hwid: oldHwid,
+        sessionToken,
+        ipAddress: ip,
+        userAgent,
+        message: 'HWID réinitialisé par le client',
+        severity: 'warning',
+        details: {
+          revokedSessions: result.modifiedCount,
+          resetsRemaining: availability.remaining - 1
+        }
+      });
+      
+      await LicenseEvent.record(license, 'hwid_reset', {
+        actor: CLIENT_ACTOR,
+        reason: 'self_service',
+        before: { hwid: oldHwid },
+        after: { devices: license.devices.length, resetsRemaining: availability.remaining - 1 },
+        ipAddress: ip
+      });
+      
+      await notificationService.notifyLicense('hwid_reset', license);
+      
+      logger.info('HWID réinitialisé', {
+        key: key.substring(0, 8) + '...',
+        hwid: oldHwid.substring(0, 8) + '...',
+        ip
+      });
+      
+      res.json({
+        success: true,
+        message: 'HWID réinitialisé, la clé peut être activée sur une nouvelle machine',
+        resetsRemaining: availability.remaining - 1
+      });
+      
+    } catch (error) {
+      if (error.name === 'JsonWebTokenError') {
+        return res.status(401).json({
+          success: false,
+          error: 'Token invalide',
+          reason: 'token_invalid'
+        });
+      }
+      
+      logger.error('Erreur lors du reset HWID:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur',
+        reason: 'server_error'
+      });
+    }
+  }
+);
+
+// Route: Essai gratuit (une clé demo par machine)
+router.post('/trial',
+  keyValidationLimiter,
+  detectSuspiciousActivity,
+  validateTrialRequest,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { hwid } = req.body;
+      const ip = req.ip;
+      const userAgent = req.get('User-Agent');
+      const ipRange = Trial.getIpRange(ip);
+      const ipWindowHours = parseInt(process.env.TRIAL_IP_WINDOW_HOURS) || 7 * 24;
+      
+      const refuse = async (reason, error) => {
+        await AuditLog.logEvent('trial_refused', {
+          hwid,
+          ipAddress: ip,
+          userAgent,
+          message: 'Demande d\'essai refusée',
+          severity: 'warning',
+          details: { reason, ipRange }
+        });
+        
+        return res.status(409).json({
+          success: false,
+          error,
+          reason
+        });
+      };
+      
+      const product = await resolveClientProduct(req);
+      
+      if (!product) {
+        return rejectUnknownProduct(req, res);
+      }
+      
+      const plan = await Plan.getTrialPlan();
+      
+      if (!plan) {
+        return res.status(503).json({
+          success: false,
+          error: 'Les essais gratuits ne sont pas disponibles',
+          reason: 'trial_unavailable'
+        });
+      }
+      
+      const [existingTrial, existingLicense] = await Promise.all([
+        Trial.exists({ hwid }),
+        License.findByHWID(hwid)
+      ]);
+      
+      if (existingTrial || existingLicense) {
+        return refuse('trial_already_used', 'Un essai a déjà été utilisé sur cette machine');
+      }
+      
+      if (await Trial.hasRecentTrialFromRange(ipRange, ipWindowHours)) {
+        return refuse('trial_ip_limit', 'Un essai a déjà été accordé depuis ce réseau récemment');
+      }
+      
+      // Réserver l'essai pour ce HWID avant de créer la clé (index unique)
+      let trial;
+      try {
+        trial = await Trial.create({ hwid, ipRange, ipAddress: ip });
+      } catch (error) {
+        if (error.code === 11000) {
+          return refuse('trial_already_used', 'Un essai a déjà été utilisé sur cette machine');
+        }
+        throw error;
+      }
+      
+      const durationDays = plan.defaultDurationDays;
+      const features = plan.features;
+      const expiresAt = new Date(Date.now() + durationDays * 24 * 60 * 60 * 1000);
+      
+      let license;
+      try {
+        license = await License.createWithUniqueKey({
+          product: product.slug,
+          expiresAt,
+          durationDays,
+          licenseType: plan.name,
+          features,
+          maxDevices: 1,
+          metadata: {
+            source: 'trial'
+          }
+        });
+        await license.bindToHWID(hwid);
+      } catch (error) {
+        await Trial.deleteOne({ _id: trial._id });
+        throw error;
+      }
+      
+      trial.licenseKey = license.keyHash;
+      await trial.save();
+      
+      await AuditLog.logEvent('trial_issued', {
+        licenseKey: license.keyHash,
+        hwid,
+        ipAddress: ip,
+        userAgent,
+        message: 'Clé d\'essai émise',
+        severity: 'info',
+        details: { durationDays, features, ipRange }
+      });
+      
+      await LicenseEvent.recordCreated(license, { actor: CLIENT_ACTOR, reason: 'trial', ipAddress: ip });
+      await LicenseEvent.record(license, 'bound', {
+        actor: CLIENT_ACTOR,
+        after: { hwid, slot: 0, devices: 1 },
+        ipAddress: ip
+      });
+      
+      logger.info('Clé d\'essai émise', {
+        key: license.keyPrefix + '...',
+        hwid: hwid.substring(0, 8) + '...',
+        ip
+      });
+      
+      res.status(201).json({
+        success: true,
+        key: license.plainKey,
+        licenseType: license.licenseType,
+        features: license.features,
+        expiresAt: license.expiresAt.toISOString()
+      });
+      
+    } catch (error) {
+      logger.error('Erreur lors de l\'émission d\'essai:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur',
+        reason: 'server_error'
+      });
+    }
+  }
+);
+
+// Route: Demande de transfert de licence (soumise à l'approbation d'un admin)
+router.post('/transfer-request',
+  keyValidationLimiter,
+  detectSuspiciousActivity,
+  validateTransferRequest,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { key, sessionToken, targetHwid = null, targetOwner = null, reason = '' } = req.body;
+      const ip = req.ip;
+      const userAgent = req.get('User-Agent');
+      const keyHash = License.hashKey(key);
+      
+      const session = await findOwnedSession(keyHash, sessionToken);
+      
+      if (!session) {
+        await AuditLog.logEvent('key_validation_failed', {
+          licenseKey: keyHash,
+          sessionToken,
+          ipAddress: ip,
+          userAgent,
+          message: 'Demande de transfert refusée: session ne correspondant pas à la clé',
+          severity: 'critical',
+          details: { reason: 'session_mismatch' }
+        });
+        
+        return res.status(403).json({
+          success: false,
+          error: 'Session non associée à cette clé',
+          reason: 'session_mismatch'
+        });
+      }
+      
+      const license = await License.findByKey(key);
+      
+      if (!license) {
+        return res.status(404).json({
+          success: false,
+          error: 'Clé de licence non trouvée',
+          reason: 'not_found'
+        });
+      }
+      
+      if (license.isBlocked()) {
+        return rejectBlockedLicense(license, res);
+      }
+      
+      if (await LicenseTransfer.findPendingForLicense(keyHash)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Une demande de transfert est déjà en attente pour cette clé',
+          reason: 'transfer_pending'
+        });
+      }
+      
+      const transfer = await LicenseTransfer.create({
+        licenseKey: keyHash,
+        requestedBy: 'customer',
+        fromHwid: license.findDevice(session.hwid) ? session.hwid : null,
+        toHwid: targetHwid,
+        fromOwner: license.metadata.owner,
+        toOwner: targetOwner,
+        reason,
+        requestIp: ip,
+        expiresAt: new Date(Date.now() + LicenseTransfer.getRequestTTL())
+      });
+      
+      await AuditLog.logEvent('transfer_requested', {
+        licenseKey: keyHash,
+        hwid: session.hwid,
+        ipAddress: ip,
+        userAgent,
+        message: 'Demande de transfert soumise par le client',
+        severity: 'info',
+        details: {
+          transferId: transfer._id,
+          toHwid: targetHwid,
+          toOwner: targetOwner
+        }
+      });
+      
+      res.status(202).json({
+        success: true,
+        message: 'Demande de transfert enregistrée, en attente d\'approbation',
+        transfer: {
+          id: transfer._id,
+          status: transfer.status,
+          expiresAt: transfer.expiresAt.toISOString()
+        }
+      });
+      
+    } catch (error) {
+      if (error.name === 'JsonWebTokenError') {
+        return res.status(401).json({
+          success: false,
+          error: 'Token invalide',
+          reason: 'token_invalid'
+        });
+      }
+      
+      logger.error('Erreur lors de la demande de transfert:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur',
+        reason: 'server_error'
+      });
+    }
+  }
+);
+
+// Route: Renouvellement d'une licence avec une clé neuve du même type
+router.post('/renew',
+  keyValidationLimiter,
+  detectSuspiciousActivity,
+  validateRenewRequest,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { key, renewalKey } = req.body;
+      const ip = req.ip;
+      const userAgent = req.get('User-Agent');
+      
+      if (key === renewalKey) {
+        return res.status(400).json({
+          success: false,
+          error: 'La clé de renouvellement doit être différente',
+          reason: 'same_key'
+        });
+      }
+      
+      const [license, renewal] = await Promise.all([
+        License.findByKey(key),
+        License.findByKey(renewalKey)
+      ]);
+      
+      if (!license || !renewal) {
+        await AuditLog.logEvent('key_validation_failed', {
+          licenseKey: License.hashKey(license ? renewalKey : key),
+          ipAddress: ip,
+          userAgent,
+          message: 'Renouvellement refusé: clé non trouvée',
+          severity: 'warning',
+          details: { reason: 'not_found', renewal: true }
+        });
+        
+        return res.status(404).json({
+          success: false,
+          error: 'Clé de licence non trouvée',
+          reason: 'not_found'
+        });
+      }
+      
+      if (license.status === 'banned') {
+        return res.status(403).json({
+          success: false,
+          error: 'Cette clé a été bannie',
+          reason: 'banned'
+        });
+      }
+      
+      if (renewal.used || !renewal.isActive()) {
+        return res.status(409).json({
+          success: false,
+          error: 'Cette clé de renouvellement a déjà été utilisée ou n\'est plus valide',
+          reason: 'renewal_key_unavailable'
+        });
+      }
+      
+      if (license.isLifetime()) {
+        return res.status(409).json({
+          success: false,
+          error: 'Une licence à vie n\'a pas besoin d\'être renouvelée',
+          reason: 'lifetime'
+        });
+      }
+      
+      if (renewal.isLifetime()) {
+        return res.status(409).json({
+          success: false,
+          error: 'Une licence à vie ne peut pas servir de clé de renouvellement',
+          reason: 'renewal_key_unavailable'
+        });
+      }
+      
+      if (renewal.licenseType !== license.licenseType) {
+        return res.status(409).json({
+          success: false,
+          error: 'La clé de renouvellement doit être du même type de licence',
+          reason: 'license_type_mismatch'
+        });
+      }
+      
+      if (renewal.product !== license.product) {
+        return res.status(409).json({
+          success: false,
+          error: 'La clé de renouvellement doit être du même produit',
+          reason: 'product_mismatch'
+        });
+      }
+      
+      const days = renewal.getDurationDays();
+      
+      // Consommer la clé de renouvellement de façon atomique
+      const consumed = await License.findOneAndUpdate(
+        { _id: renewal._id, used: false, status: 'active' },
+        {
+          status: 'expired',
+          used: true,
+          expiresAt: new Date(),
+          'metadata.redeemedInto': license.keyHash
+        }
+      );
+      
+      if (!consumed) {
+        return res.status(409).json({
+          success: false,
+          error: 'Cette clé de renouvellement a déjà été utilisée ou n\'est plus valide',
+          reason: 'renewal_key_unavailable'
+        });
+      }
+      
+      const previousExpiresAt = license.expiresAt;
+      const previousStatus = license.status;
+      const before = license.getTimelineState();
+      await license.extend(days, { source: 'renewal_key', reference: renewal.keyHash });
+      
+      await AuditLog.logEvent('license_extended', {
+        licenseKey: license.keyHash,
+        ipAddress: ip,
+        userAgent,
+        message: `Licence prolongée de ${days} jours par clé de renouvellement`,
+        severity: 'info',
+        details: {
+          days,
+          renewalKey: renewal.keyHash,
+          previousExpiresAt,
+          expiresAt: license.expiresAt,
+          reactivated: previousStatus !== license.status
+        }
+      });
+      
+      await LicenseEvent.record(license, 'extended', {
+        actor: CLIENT_ACTOR,
+        reason: 'renewal_key',
+        before,
+        after: { ...license.getTimelineState(), days, renewalKey: renewal.maskedKey },
+        ipAddress: ip
+      });
+      
+      await notificationService.notifyLicense('license_renewed', license, { days });
+      
+      logger.info('Licence renouvelée', {
+        key: key.substring(0, 8) + '...',
+        renewalKey: renewalKey.substring(0, 8) + '...',
+        days,
+        ip
+      });
+      
+      res.json({
+        success: true,
+        message: 'Licence renouvelée',
+        daysAdded: days,
+        licenseExpiry: license.expiresAt.toISOString(),
+        status: license.status
+      });
+      
+    } catch (error) {
+      logger.error('Erreur lors du renouvellement:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur',
+        reason: 'server_error'
+      });
+    }
+  }
+);
+
+// Route: Utiliser un code cadeau/activation (nouvelle licence ou prolongation)
+router.post('/redeem',
+  redeemLimiter,
+  detectSuspiciousActivity,
+  validateRedeemRequest,
+  handleValidationErrors,
+  async (req, res) => {
+    const { code, hwid, key } = req.body;
+    const ip = req.ip;
+    const userAgent = req.get('User-Agent');
+    let claimed = null;
+    
+    const fail = async (status, reason, error) => {
+      await AuditLog.logEvent('code_redeem_failed', {
+        licenseKey: key ? License.hashKey(key) : null,
+        hwid,
+        ipAddress: ip,
+        userAgent,
+        message: 'Utilisation de code refusée',
+        severity: 'warning',
+        details: { code, reason }
+      });
+      
+      return res.status(status).json({
+        success: false,
+        error,
+        reason
+      });
+    };
+    
+    try {
+      const redeemCode = await RedeemCode.findByCode(code);
+      
+      if (!redeemCode) {
+        return fail(404, 'code_not_found', 'Code non trouvé');
+      }
+      
+      const redemptionStatus = redeemCode.getRedemptionStatus();
+      
+      if (redemptionStatus !== 'unused') {
+        const errors = {
+          redeemed: 'Ce code a déjà été utilisé',
+          disabled: 'Ce code a été désactivé',
+          expired: 'Ce code a expiré'
+        };
+        return fail(409, `code_${redemptionStatus}`, errors[redemptionStatus]);
+      }
+      
+      let license = null;
+      let plan = null;
+      let product = null;
+      
+      if (redeemCode.type === 'extend') {
+        if (!key) {
+          return fail(400, 'key_required', 'Clé de licence requise pour ce code');
+        }
+        
+        license = await License.findByKey(key);
+        
+        if (!license) {
+          return fail(404, 'not_found', 'Clé de licence non trouvée');
+        }
+        
+        if (license.status === 'banned') {
+          return fail(403, 'banned', 'Cette clé a été bannie');
+        }
+        
+        if (license.isLifetime()) {
+          return fail(409, 'lifetime', 'Une licence à vie ne peut pas être prolongée');
+        }
+        
+        if (redeemCode.plan && redeemCode.plan !== license.licenseType) {
+          return fail(409, 'license_type_mismatch', 'Ce code ne s\'applique pas à ce type de licence');
+        }
+      } else {
+        plan = await Plan.findActiveByName(redeemCode.plan);
+        
+        if (!plan) {
+          return fail(409, 'plan_unavailable', 'Le plan de ce code n\'est plus disponible');
+        }
+        
+        // La licence créée appartient au produit du client qui utilise le code
+        product = await resolveClientProduct(req);
+        
+        if (!product) {
+          return fail(400, 'product_unknown', 'Produit inconnu');
+        }
+      }
+      
+      // Réserver le code de façon atomique
+      claimed = await RedeemCode.claim(redeemCode.code, { hwid, ipAddress: ip, userAgent });
+      
+      if (!claimed) {
+        return fail(409, 'code_redeemed', 'Ce code a déjà été utilisé');
+      }
+      
+      let daysAdded = null;
+      const before = redeemCode.type === 'extend' ? license.getTimelineState() : null;
+      
+      if (redeemCode.type === 'extend') {
+        daysAdded = redeemCode.days;
+        await license.extend(daysAdded, { source: 'redeem_code', reference: redeemCode.code });
+      } else {
+        const durationDays = redeemCode.days || plan.defaultDurationDays;
+        
+        license = await License.createWithUniqueKey({
+          product: product.slug,
+          expiresAt: new Date(Date.now() + durationDays * 24 * 60 * 60 * 1000),
+          durationDays,
+          licenseType: plan.name,
+          features: plan.features,
+          maxDevices: plan.maxDevices,
+          metadata: {
+            source: 'redeem_code'
+          }
+        });
+      }
+      
+      claimed.licenseKey = license.keyHash;
+      await claimed.save();
+      
+      await AuditLog.logEvent('code_redeemed', {
+        licenseKey: license.keyHash,
+        hwid,
+        ipAddress: ip,
+        userAgent,
+        message: redeemCode.type === 'extend'
+          ? `Code utilisé: licence prolongée de ${daysAdded} jours`
+          : 'Code utilisé: nouvelle licence créée',
+        severity: 'info',
+        details: {
+          code: redeemCode.code,
+          type: redeemCode.type,
+          plan: license.licenseType,
+          daysAdded,
+          label: redeemCode.label
+        }
+      });
+      
+      if (redeemCode.type === 'extend') {
+        await LicenseEvent.record(license, 'extended', {
+          actor: CLIENT_ACTOR,
+          reason: 'redeem_code',
+          before,
+          after: { ...license.getTimelineState(), days: daysAdded, code: redeemCode.code },
+          ipAddress: ip
+        });
+        await notificationService.notifyLicense('license_renewed', license, { days: daysAdded });
+      } else {
+        await LicenseEvent.recordCreated(license, {
+          actor: CLIENT_ACTOR,
+          reason: 'redeem_code',
+          after: { code: redeemCode.code },
+          ipAddress: ip
+        });
+      }
+      
+      logger.info('Code utilisé', {
+        code: redeemCode.code.substring(0, 9) + '...',
+        type: redeemCode.type,
+        key: license.keyPrefix + '...',
+        ip
+      });
+      
+      res.status(redeemCode.type === 'extend' ? 200 : 201).json({
+        success: true,
+        redemptionStatus: 'redeemed',
+        type: redeemCode.type,
+        // La clé complète n'est renvoyée que pour une licence créée par le code
+        ...(redeemCode.type === 'new_license' && { key: license.plainKey }),
+        ...(daysAdded && { daysAdded }),
+        licenseType: license.licenseType,
+        licenseExpiry: license.expiresAt.toISOString()
+      });
+      
+    } catch (error) {
+      logger.error('Erreur lors de l\'utilisation du code:', error);
+      
+      if (claimed) {
+        await RedeemCode.release(claimed.code).catch(() => {});
+      }
+      
+      res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur',
+        reason: 'server_error'
+      });
+    }
+  }
+);
+
+// Route: Statut d'un code cadeau/activation
+router.get('/redeem/:code',
+  redeemLimiter,
+  async (req, res) => {
+    try {
+      const redeemCode = await RedeemCode.findByCode(req.params.code);
+      
+      if (!redeemCode) {
+        return res.status(404).json({
+          success: false,
+          error: 'Code non trouvé',
+          reason: 'code_not_found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        redemptionStatus: redeemCode.getRedemptionStatus(),
+        type: redeemCode.type,
+        plan: redeemCode.plan,
+        days: redeemCode.days,
+        expiresAt: redeemCode.expiresAt ? redeemCode.expiresAt.toISOString() : null,
+        redeemedAt: redeemCode.redeemedAt ? redeemCode.redeemedAt.toISOString() : null
+      });
+      
+    } catch (error) {
+      logger.error('Erreur lors de la vérification du code:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur',
+        reason: 'server_error'
+      });
+    }
+  }
+);
+
 // Route: Déconnexion (révocation de session)
 router.post('/logout',
   verifySession,
@@ -346,7 +1447,7 @@ router.post('/logout',
       const session = req.session;
       
       // Révoquer la session
-      await session.revoke();
+      await session.revoke('logout');
       
       await AuditLog.logEvent('session_revoked', {
         sessionToken: session.sessionToken,
@@ -0,0 +1,368 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const License = require('../models/License');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const LogEntry = require('../models/LogEntry');
+const logger = require('../config/logger');
+const { requireAdminAuth } = require('../middleware/auth');
+const { adminLimiter } = require('../middleware/security');
+
+const router = express.Router();
+
+// Champs modifiables d'un client
+const CUSTOMER_FIELDS = ['email', 'displayName', 'locale', 'notes'];
+
+const pickCustomerFields = (body) => {
+  const fields = {};
+  for (const field of CUSTOMER_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+};
+
+// Retrouve un client par identifiant; null si l'identifiant est invalide ou inconnu
+const findCustomer = (id) => {
+  return mongoose.isValidObjectId(id) ? Customer.findById(id) : Promise.resolve(null);
+};
+
+// Appliquer l'authentification admin et le rate limiting à toutes les routes
+router.use(adminLimiter);
+router.use(requireAdminAuth);
+
+// Route: Rechercher des clients (email ou nom)
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const filter = Customer.buildSearchFilter(req.query.q);
+    
+    const [customers, total] = await Promise.all([
+      Customer.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-__v'),
+      Customer.countDocuments(filter)
+    ]);
+    
+    // Nombre de licences par client de la page
+    const counts = await License.aggregate([
+      { $match: { customer: { $in: customers.map(customer => customer._id) } } },
+      { $group: { _id: '$customer', count: { $sum: 1 } } }
+    ]);
+    const countByCustomer = new Map(counts.map(entry => [String(entry._id), entry.count]));
+    
+    res.json({
+      success: true,
+      customers: customers.map(customer => ({
+        ...customer.toObject(),
+        licenseCount: countByCustomer.get(String(customer._id)) || 0
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Erreur recherche clients:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la recherche des clients'
+    });
+  }
+});
+
+// Route: Créer un client
+router.post('/', async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email du client requis'
+      });
+    }
+    
+    if (await Customer.findByEmail(email)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Un client avec cet email existe déjà'
+      });
+    }
+    
+    const customer = new Customer(pickCustomerFields(req.body));
+    await customer.save();
+    
+    await AuditLog.logEvent('admin_action', {
+      ipAddress: req.ip,
+      message: `Client créé: ${customer.email}`,
+      severity: 'info',
+      details: {
+        action: 'customer_created',
+        customerId: customer._id,
+        email: customer.email,
+        admin: true
+      }
+    });
+    
+    res.status(201).json({
+      success: true,
+      customer
+    });
+    
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Erreur de validation',
+        message: error.message
+      });
+    }
+    
+    logger.error('Erreur création client:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la création du client'
+    });
+  }
+});
+
+// Route: Vue d'ensemble d'un client (licences, sessions, audit, erreurs client)
+router.get('/:id', async (req, res) => {
+  try {
+    const customer = await findCustomer(req.params.id);
+    
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Client non trouvé'
+      });
+    }
+    
+    const licenses = await License.find({ customer: customer._id })
+      .sort({ createdAt: -1 })
+      .select('-__v');
+    
+    const keyHashes = licenses.map(license => license.keyHash);
+    const hwids = [...new Set(licenses.flatMap(license => license.devices.map(device => device.hwid)))];
+    
+    const [sessions, auditLogs, errorLogs] = await Promise.all([
+      Session.find({ licenseKey: { $in: keyHashes } })
+        .sort({ createdAt: -1 })
+        .limit(50)
+        .select('licenseKey hwid status revokedReason createdAt expiresAt lastActivity createdIP lastIP'),
+      AuditLog.find({ licenseKey: { $in: keyHashes } })
+        .sort({ timestamp: -1 })
+        .limit(50),
+      LogEntry.find({ hwid: { $in: hwids } })
+        .sort({ created_at: -1 })
+        .limit(50)
+        .select('-__v')
+    ]);
+    
+    res.json({
+      success: true,
+      customer,
+      licenses,
+      sessions: {
+        active: sessions.filter(session => session.isActive()).length,
+        recent: sessions
+      },
+      auditLogs,
+      errorLogs
+    });
+    
+  } catch (error) {
+    logger.error('Erreur récupération client:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération du client'
+    });
+  }
+});
+
+// Route: Modifier un client
+router.patch('/:id', async (req, res) => {
+  try {
+    const customer = await findCustomer(req.params.id);
+    
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Client non trouvé'
+      });
+    }
+    
+    const changes = pickCustomerFields(req.body);
+    const previousEmail = customer.email;
+    
+    if (changes.email) {
+      const existing = await Customer.findByEmail(changes.email);
+      
+      if (existing && !existing._id.equals(customer._id)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Un client avec cet email existe déjà'
+        });
+      }
+    }
+    
+    customer.set(changes);
+    await customer.save();
+    
+    // Garder le propriétaire affiché sur les licences synchronisé avec l'email
+    if (customer.email !== previousEmail) {
+      await License.updateMany({ customer: customer._id }, { 'metadata.owner': customer.email });
+    }
+    
+    await AuditLog.logEvent('admin_action', {
+      ipAddress: req.ip,
+      message: `Client modifié: ${customer.email}`,
+      severity: 'info',
+      details: {
+        action: 'customer_updated',
+        customerId: customer._id,
+        changes,
+        admin: true
+      }
+    });
+    
+    res.json({
+      success: true,
+      customer
+    });
+    
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Erreur de validation',
+        message: error.message
+      });
+    }
+    
+    logger.error('Erreur modification client:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la modification du client'
+    });
+  }
+});
+
+// Route: Rattacher une licence à un client
+router.post('/:id/licenses', async (req, res) => {
+  try {
+    const { key } = req.body;
+    
+    if (!key) {
+      return res.status(400).json({
+        success: false,
+        error: 'Clé de licence requise'
+      });
+    }
+    
+    const [customer, license] = await Promise.all([
+      findCustomer(req.params.id),
+      License.findByReference(key)
+    ]);
+    
+    if (!customer || !license) {
+      return res.status(404).json({
+        success: false,
+        error: customer ? 'Licence non trouvée' : 'Client non trouvé'
+      });
+    }
+    
+    // Changer de propriétaire passe par un transfert, pas par un rattachement
+    if (license.customer && !license.customer.equals(customer._id)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Cette licence appartient déjà à un autre client, utilisez un transfert'
+      });
+    }
+    
+    await license.assignCustomer(customer);
+    
+    await AuditLog.logEvent('admin_action', {
+      licenseKey: license.keyHash,
+      ipAddress: req.ip,
+      message: `Licence rattachée au client ${customer.email}`,
+      severity: 'info',
+      details: {
+        action: 'customer_license_attached',
+        customerId: customer._id,
+        email: customer.email,
+        admin: true
+      }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Licence rattachée au client',
+      license: {
+        key: license.maskedKey,
+        customer: customer._id,
+        owner: license.metadata.owner
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Erreur rattachement licence:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors du rattachement de la licence'
+    });
+  }
+});
+
+// Route: Détacher une licence d'un client
+router.delete('/:id/licenses/:key', async (req, res) => {
+  try {
+    const [customer, license] = await Promise.all([
+      findCustomer(req.params.id),
+      License.findByReference(req.params.key)
+    ]);
+    
+    if (!customer || !license || !license.customer || !license.customer.equals(customer._id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Licence non rattachée à ce client'
+      });
+    }
+    
+    await license.assignCustomer(null);
+    
+    await AuditLog.logEvent('admin_action', {
+      licenseKey: license.keyHash,
+      ipAddress: req.ip,
+      message: `Licence détachée du client ${customer.email}`,
+      severity: 'info',
+      details: {
+        action: 'customer_license_detached',
+        customerId: customer._id,
+        email: customer.email,
+        admin: true
+      }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Licence détachée du client'
+    });
+    
+  } catch (error) {
+    logger.error('Erreur détachement licence:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors du détachement de la licence'
+    });
+  }
+});
+
+module.exports = router;
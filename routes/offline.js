@@ -0,0 +1,73 @@
+const express = require('express');
+const offlineLicenseService = require('../services/OfflineLicenseService');
+const { keyValidationLimiter } = require('../middleware/security');
+const logger = require('../config/logger');
+
+const router = express.Router();
+
+// Route publique: Clés de vérification des documents de licence hors-ligne
+router.get('/keys', async (req, res) => {
+  try {
+    const keys = await offlineLicenseService.getPublicKeys();
+    const activeKey = keys.find(key => key.status === 'active');
+    
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.json({
+      success: true,
+      activeKid: activeKey ? activeKey.kid : null,
+      offlineGraceHours: offlineLicenseService.getGracePeriodMs() / (60 * 60 * 1000),
+      keys
+    });
+    
+  } catch (error) {
+    logger.error('Erreur récupération clés de signature:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération des clés de signature'
+    });
+  }
+});
+
+// Route publique: Vérification d'un document de licence hors-ligne (support, diagnostic client).
+// La clé contenue dans le document n'est jamais renvoyée
+router.post('/verify', keyValidationLimiter, async (req, res) => {
+  try {
+    const { document } = req.body;
+    
+    if (typeof document !== 'string' || document.length === 0 || document.length > 8192) {
+      return res.status(400).json({
+        success: false,
+        error: 'Document de licence requis',
+        reason: 'invalid_document'
+      });
+    }
+    
+    const result = await offlineLicenseService.verify(document);
+    const payload = result.payload;
+    
+    res.json({
+      success: true,
+      valid: result.valid,
+      reason: result.reason || null,
+      ...(payload && {
+        kid: payload.kid,
+        hwid: payload.hwid,
+        licenseType: payload.licenseType,
+        features: payload.features,
+        expiresAt: payload.expiresAt,
+        offlineUntil: payload.offlineUntil,
+        issuedAt: payload.issuedAt
+      })
+    });
+    
+  } catch (error) {
+    logger.error('Erreur vérification document hors-ligne:', error);
+    res.json({
+      success: true,
+      valid: false,
+      reason: 'verification_failed'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,260 @@
+const express = require('express');
+const Plan = require('../models/Plan');
+const License = require('../models/License');
+const AuditLog = require('../models/AuditLog');
+const logger = require('../config/logger');
+const { requireAdminAuth } = require('../middleware/auth');
+const { adminLimiter } = require('../middleware/security');
+
+const router = express.Router();
+
+// Champs modifiables d'un plan
+const PLAN_FIELDS = [
+  'displayName',
+  'features',
+  'defaultDurationDays',
+  'sessionDurationDays',
+  'maxDevices',
+  'maxConcurrentSessions',
+  'sessionPolicy',
+  'price',
+  'gracePeriodDays',
+  'graceFeatures',
+  'trialEligible',
+  'active'
+];
+
+const pickPlanFields = (body) => {
+  const fields = {};
+  for (const field of PLAN_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+};
+
+// Appliquer l'authentification admin et le rate limiting à toutes les routes
+router.use(adminLimiter);
+router.use(requireAdminAuth);
+
+// Route: Lister les plans
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+    
+    const plans = await Plan.find(filter).sort({ name: 1 }).select('-__v');
+    
+    res.json({
+      success: true,
+      plans
+    });
+    
+  } catch (error) {
+    logger.error('Erreur récupération plans:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération des plans'
+    });
+  }
+});
+
+// Route: Obtenir un plan et le nombre de licences associées
+router.get('/:name', async (req, res) => {
+  try {
+    const plan = await Plan.findByName(req.params.name);
+    
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Plan non trouvé'
+      });
+    }
+    
+    const licenseCount = await License.countDocuments({ licenseType: plan.name });
+    
+    res.json({
+      success: true,
+      plan,
+      licenseCount
+    });
+    
+  } catch (error) {
+    logger.error('Erreur récupération plan:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération du plan'
+    });
+  }
+});
+
+// Route: Créer un plan
+router.post('/', async (req, res) => {
+  try {
+    const { name } = req.body;
+    
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nom du plan requis'
+      });
+    }
+    
+    if (await Plan.findByName(name)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Un plan avec ce nom existe déjà'
+      });
+    }
+    
+    const plan = new Plan({ name, ...pickPlanFields(req.body) });
+    await plan.save();
+    
+    await AuditLog.logEvent('admin_action', {
+      ipAddress: req.ip,
+      message: `Plan créé: ${plan.name}`,
+      severity: 'info',
+      details: {
+        action: 'plan_created',
+        plan: plan.toObject(),
+        admin: true
+      }
+    });
+    
+    logger.info('Plan créé', {
+      plan: plan.name,
+      admin_ip: req.ip
+    });
+    
+    res.status(201).json({
+      success: true,
+      plan
+    });
+    
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Erreur de validation',
+        message: error.message
+      });
+    }
+    
+    logger.error('Erreur création plan:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la création du plan'
+    });
+  }
+});
+
+// Route: Modifier un plan (n'affecte que les licences créées ensuite)
+router.patch('/:name', async (req, res) => {
+  try {
+    const plan = await Plan.findByName(req.params.name);
+    
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Plan non trouvé'
+      });
+    }
+    
+    const changes = pickPlanFields(req.body);
+    plan.set(changes);
+    await plan.save();
+    
+    await AuditLog.logEvent('admin_action', {
+      ipAddress: req.ip,
+      message: `Plan modifié: ${plan.name}`,
+      severity: 'info',
+      details: {
+        action: 'plan_updated',
+        plan: plan.name,
+        changes,
+        admin: true
+      }
+    });
+    
+    logger.info('Plan modifié', {
+      plan: plan.name,
+      fields: Object.keys(changes),
+      admin_ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      plan
+    });
+    
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Erreur de validation',
+        message: error.message
+      });
+    }
+    
+    logger.error('Erreur modification plan:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la modification du plan'
+    });
+  }
+});
+
+// Route: Supprimer un plan sans licence (sinon le désactiver)
+router.delete('/:name', async (req, res) => {
+  try {
+    const plan = await Plan.findByName(req.params.name);
+    
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Plan non trouvé'
+      });
+    }
+    
+    const licenseCount = await License.countDocuments({ licenseType: plan.name });
+    
+    if (licenseCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Des licences utilisent ce plan, désactivez-le plutôt',
+        licenseCount
+      });
+    }
+    
+    await plan.deleteOne();
+    
+    await AuditLog.logEvent('admin_action', {
+      ipAddress: req.ip,
+      message: `Plan supprimé: ${plan.name}`,
+      severity: 'warning',
+      details: {
+        action: 'plan_deleted',
+        plan: plan.name,
+        admin: true
+      }
+    });
+    
+    logger.info('Plan supprimé', {
+      plan: plan.name,
+      admin_ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      message: 'Plan supprimé'
+    });
+    
+  } catch (error) {
+    logger.error('Erreur suppression plan:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la suppression du plan'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,232 @@
+const express = require('express');
+const Product = require('../models/Product');
+const License = require('../models/License');
+const AuditLog = require('../models/AuditLog');
+const logger = require('../config/logger');
+const { requireAdminAuth } = require('../middleware/auth');
+const { adminLimiter } = require('../middleware/security');
+
+const router = express.Router();
+
+// Champs modifiables d'un produit
+const PRODUCT_FIELDS = [
+  'displayName',
+  'keyPrefix',
+  'keyFormat',
+  'acceptLegacyKeys',
+  'github',
+  'active'
+];
+
+// Champs fixés dès qu'une licence a été émise (les clés existantes ne seraient plus reconnues)
+const KEY_FIELDS = ['keyPrefix', 'keyFormat'];
+
+const pickProductFields = (body) => {
+  const fields = {};
+  for (const field of PRODUCT_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+};
+
+// Appliquer l'authentification admin et le rate limiting à toutes les routes
+router.use(adminLimiter);
+router.use(requireAdminAuth);
+
+// Route: Lister les produits
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+    
+    const products = await Product.find(filter).sort({ slug: 1 }).select('-__v');
+    
+    res.json({
+      success: true,
+      products,
+      defaultProduct: Product.getDefaultSlug()
+    });
+    
+  } catch (error) {
+    logger.error('Erreur récupération produits:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération des produits'
+    });
+  }
+});
+
+// Route: Obtenir un produit et le nombre de licences associées
+router.get('/:slug', async (req, res) => {
+  try {
+    const product = await Product.findBySlug(req.params.slug);
+    
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Produit non trouvé'
+      });
+    }
+    
+    const licenseCount = await License.countDocuments({ product: product.slug });
+    
+    res.json({
+      success: true,
+      product,
+      licenseCount
+    });
+    
+  } catch (error) {
+    logger.error('Erreur récupération produit:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération du produit'
+    });
+  }
+});
+
+// Route: Créer un produit
+router.post('/', async (req, res) => {
+  try {
+    const { slug } = req.body;
+    
+    if (!slug || !req.body.keyPrefix) {
+      return res.status(400).json({
+        success: false,
+        error: 'Identifiant et préfixe de clé requis'
+      });
+    }
+    
+    if (await Product.findBySlug(slug)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Un produit avec cet identifiant existe déjà'
+      });
+    }
+    
+    if (await Product.exists({ keyPrefix: String(req.body.keyPrefix).toUpperCase().trim() })) {
+      return res.status(409).json({
+        success: false,
+        error: 'Ce préfixe de clé est déjà utilisé par un autre produit'
+      });
+    }
+    
+    const product = new Product({ slug, ...pickProductFields(req.body) });
+    await product.save();
+    
+    await AuditLog.logEvent('admin_action', {
+      ipAddress: req.ip,
+      message: `Produit créé: ${product.slug}`,
+      severity: 'info',
+      details: {
+        action: 'product_created',
+        product: product.toObject(),
+        admin: true
+      }
+    });
+    
+    logger.info('Produit créé', {
+      product: product.slug,
+      keyPrefix: product.keyPrefix,
+      admin_ip: req.ip
+    });
+    
+    res.status(201).json({
+      success: true,
+      product
+    });
+    
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Erreur de validation',
+        message: error.message
+      });
+    }
+    
+    logger.error('Erreur création produit:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la création du produit'
+    });
+  }
+});
+
+// Route: Modifier un produit (préfixe et format figés une fois des licences émises)
+router.patch('/:slug', async (req, res) => {
+  try {
+    const product = await Product.findBySlug(req.params.slug);
+    
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Produit non trouvé'
+      });
+    }
+    
+    const changes = pickProductFields(req.body);
+    
+    if (KEY_FIELDS.some(field => changes[field] !== undefined)) {
+      const licenseCount = await License.countDocuments({ product: product.slug });
+      
+      if (licenseCount > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Le format des clés ne peut plus changer: des licences ont été émises pour ce produit',
+          licenseCount
+        });
+      }
+    }
+    
+    product.set(changes);
+    await product.save();
+    
+    await AuditLog.logEvent('admin_action', {
+      ipAddress: req.ip,
+      message: `Produit modifié: ${product.slug}`,
+      severity: 'info',
+      details: {
+        action: 'product_updated',
+        product: product.slug,
+        changes,
+        admin: true
+      }
+    });
+    
+    logger.info('Produit modifié', {
+      product: product.slug,
+      fields: Object.keys(changes),
+      admin_ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      product
+    });
+    
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Erreur de validation',
+        message: error.message
+      });
+    }
+    
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'Ce préfixe de clé est déjà utilisé par un autre produit'
+      });
+    }
+    
+    logger.error('Erreur modification produit:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la modification du produit'
+    });
+  }
+});
+
+module.exports = router;
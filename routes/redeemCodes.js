@@ -0,0 +1,233 @@
+const express = require('express');
+const RedeemCode = require('../models/RedeemCode');
+const Plan = require('../models/Plan');
+const AuditLog = require('../models/AuditLog');
+const logger = require('../config/logger');
+const { requireAdminAuth } = require('../middleware/auth');
+const { adminLimiter } = require('../middleware/security');
+
+const router = express.Router();
+
+const MAX_CODES_PER_REQUEST = parseInt(process.env.MAX_BATCH_SIZE) || 1000;
+
+// Appliquer l'authentification admin et le rate limiting à toutes les routes
+router.use(adminLimiter);
+router.use(requireAdminAuth);
+
+// Route: Générer des codes cadeaux/activation
+router.post('/', async (req, res) => {
+  try {
+    const { type, label = '' } = req.body;
+    const count = parseInt(req.body.count) || 1;
+    const days = req.body.days !== undefined ? parseInt(req.body.days) : null;
+    const expiresInDays = parseInt(req.body.expiresInDays) || null;
+    
+    if (!['new_license', 'extend'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Type de code invalide (new_license ou extend)'
+      });
+    }
+    
+    if (count < 1 || count > MAX_CODES_PER_REQUEST) {
+      return res.status(400).json({
+        success: false,
+        error: `Nombre de codes invalide (1 à ${MAX_CODES_PER_REQUEST})`
+      });
+    }
+    
+    if (days !== null && (!Number.isInteger(days) || days < 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nombre de jours invalide'
+      });
+    }
+    
+    if (type === 'extend' && days === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nombre de jours requis pour un code de prolongation'
+      });
+    }
+    
+    let plan = null;
+    if (type === 'new_license' || req.body.plan) {
+      plan = await Plan.findActiveByName(req.body.plan || '');
+      
+      if (!plan) {
+        return res.status(400).json({
+          success: false,
+          error: 'Plan inconnu ou inactif'
+        });
+      }
+    }
+    
+    const codes = await RedeemCode.createMany(count, {
+      type,
+      plan: plan ? plan.name : null,
+      days,
+      label,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+    });
+    
+    await AuditLog.logEvent('code_created', {
+      ipAddress: req.ip,
+      message: `${codes.length} codes ${type} créés par admin`,
+      severity: 'info',
+      details: {
+        type,
+        plan: plan ? plan.name : null,
+        days,
+        label,
+        count: codes.length,
+        admin: true
+      }
+    });
+    
+    logger.info('Codes créés', {
+      type,
+      count: codes.length,
+      label,
+      admin_ip: req.ip
+    });
+    
+    res.status(201).json({
+      success: true,
+      count: codes.length,
+      codes: codes.map(code => ({
+        code: code.code,
+        type: code.type,
+        plan: code.plan,
+        days: code.days,
+        expiresAt: code.expiresAt
+      }))
+    });
+    
+  } catch (error) {
+    logger.error('Erreur création de codes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la création des codes'
+    });
+  }
+});
+
+// Route: Lister les codes avec pagination
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.label) filter.label = req.query.label;
+    
+    const skip = (page - 1) * limit;
+    
+    const [codes, total] = await Promise.all([
+      RedeemCode.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-__v'),
+      RedeemCode.countDocuments(filter)
+    ]);
+    
+    res.json({
+      success: true,
+      codes,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Erreur récupération codes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération des codes'
+    });
+  }
+});
+
+// Route: Obtenir les détails d'un code et son historique d'utilisation
+router.get('/:code', async (req, res) => {
+  try {
+    const redeemCode = await RedeemCode.findByCode(req.params.code);
+    
+    if (!redeemCode) {
+      return res.status(404).json({
+        success: false,
+        error: 'Code non trouvé'
+      });
+    }
+    
+    const auditLogs = await AuditLog.find({
+      eventType: { $in: ['code_redeemed', 'code_redeem_failed'] },
+      'details.code': redeemCode.code
+    }).sort({ timestamp: -1 }).limit(20);
+    
+    res.json({
+      success: true,
+      code: redeemCode,
+      redemptionStatus: redeemCode.getRedemptionStatus(),
+      auditLogs
+    });
+    
+  } catch (error) {
+    logger.error('Erreur récupération code:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération du code'
+    });
+  }
+});
+
+// Route: Désactiver un code non utilisé
+router.post('/:code/disable', async (req, res) => {
+  try {
+    const { reason = '' } = req.body;
+    const redeemCode = await RedeemCode.findOneAndUpdate(
+      { code: String(req.params.code).toUpperCase().trim(), status: 'unused' },
+      { status: 'disabled' },
+      { new: true }
+    );
+    
+    if (!redeemCode) {
+      return res.status(404).json({
+        success: false,
+        error: 'Code non trouvé ou déjà utilisé'
+      });
+    }
+    
+    await AuditLog.logEvent('admin_action', {
+      ipAddress: req.ip,
+      message: `Code désactivé: ${redeemCode.code}`,
+      severity: 'warning',
+      details: {
+        action: 'code_disabled',
+        code: redeemCode.code,
+        reason,
+        admin: true
+      }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Code désactivé'
+    });
+    
+  } catch (error) {
+    logger.error('Erreur désactivation code:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la désactivation du code'
+    });
+  }
+});
+
+module.exports = router;
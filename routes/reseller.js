@@ -0,0 +1,481 @@
+const express = require('express');
+const License = require('../models/License');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const Plan = require('../models/Plan');
+const Reseller = require('../models/Reseller');
+const Customer = require('../models/Customer');
+const Product = require('../models/Product');
+const LicenseEvent = require('../models/LicenseEvent');
+const notificationService = require('../services/NotificationService');
+const logger = require('../config/logger');
+const { requireResellerAuth } = require('../middleware/auth');
+const { resellerLimiter, resellerAccountLimiter } = require('../middleware/security');
+
+const router = express.Router();
+
+const MAX_RESELLER_BATCH = parseInt(process.env.MAX_RESELLER_BATCH) || 100;
+
+// Vue d'une licence exposée au revendeur (clé en clair uniquement à la création, empreinte comme référence ensuite)
+const toResellerView = (license) => ({
+  key: license.plainKey || license.maskedKey,
+  keyHash: license.keyHash,
+  product: license.product,
+  licenseType: license.licenseType,
+  features: license.features,
+  status: license.status,
+  expiresAt: license.expiresAt ? license.expiresAt.toISOString() : null,
+  durationDays: license.durationDays,
+  seats: {
+    max: license.maxDevices,
+    used: license.devices.length
+  },
+  owner: license.metadata.owner,
+  orderId: license.metadata.orderId,
+  createdAt: license.createdAt.toISOString()
+});
+
+// Licence du revendeur authentifié uniquement (jamais celles des autres), par clé ou empreinte
+const findOwnLicense = (req) => {
+  return License.findOne({ keyHash: License.toKeyHash(req.params.key), reseller: req.reseller._id });
+};
+
+const quotaOf = (reseller) => ({
+  total: reseller.quota,
+  used: reseller.used,
+  remaining: reseller.getRemainingQuota()
+});
+
+// Appliquer l'authentification revendeur et le rate limiting à toutes les routes
+router.use(resellerLimiter);
+router.use(requireResellerAuth);
+router.use(resellerAccountLimiter);
+
+// Route: Profil et quota du revendeur
+router.get('/me', (req, res) => {
+  const { reseller } = req;
+  
+  res.json({
+    success: true,
+    reseller: {
+      id: reseller._id,
+      name: reseller.name,
+      email: reseller.email,
+      allowedPlans: reseller.allowedPlans,
+      quota: quotaOf(reseller)
+    }
+  });
+});
+
+// Route: Créer une ou plusieurs licences sur le quota
+router.post('/licenses', async (req, res) => {
+  const { reseller } = req;
+  const count = req.body.count === undefined ? 1 : parseInt(req.body.count);
+  let reserved = false;
+  
+  try {
+    const { plan: planName, orderId = null, customerEmail = null, notes = '' } = req.body;
+    
+    if (!Number.isInteger(count) || count < 1 || count > MAX_RESELLER_BATCH) {
+      return res.status(400).json({
+        success: false,
+        error: `Nombre de clés invalide (1 à ${MAX_RESELLER_BATCH})`
+      });
+    }
+    
+    const plan = planName ? await Plan.findActiveByName(planName) : null;
+    
+    if (!plan || !reseller.canSellPlan(plan.name)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Plan inconnu ou non autorisé pour ce revendeur',
+        allowedPlans: reseller.allowedPlans
+      });
+    }
+    
+    // Produit des licences (produit par défaut si non précisé)
+    const product = await Product.resolve(req.body.product);
+    
+    if (!product) {
+      return res.status(400).json({
+        success: false,
+        error: 'Produit inconnu ou inactif'
+      });
+    }
+    
+    // Réserver le quota avant de créer les clés
+    const updated = await Reseller.reserveQuota(reseller._id, count);
+    
+    if (!updated) {
+      return res.status(402).json({
+        success: false,
+        error: 'Quota de licences insuffisant',
+        reason: 'quota_exceeded',
+        quota: quotaOf(reseller)
+      });
+    }
+    reserved = true;
+    
+    const customer = customerEmail ? await Customer.findOrCreateByEmail(customerEmail) : null;
+    const expiresAt = new Date(Date.now() + plan.defaultDurationDays * 24 * 60 * 60 * 1000);
+    const data = {
+      product: product.slug,
+      expiresAt,
+      durationDays: plan.defaultDurationDays,
+      licenseType: plan.name,
+      features: plan.features,
+      maxDevices: plan.maxDevices,
+      reseller: reseller._id,
+      customer: customer ? customer._id : null,
+      metadata: {
+        source: 'reseller',
+        owner: customer ? customer.email : null,
+        orderId,
+        notes
+      }
+    };
+    
+    const licenses = count === 1
+      ? [await License.createWithUniqueKey(data)]
+      : await License.createBatch(count, data);
+    
+    await AuditLog.logEvent('key_created', {
+      licenseKey: count === 1 ? licenses[0].keyHash : null,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      actor: reseller.toActor(),
+      message: `${licenses.length} clé(s) créée(s) par le revendeur ${reseller.name}`,
+      severity: 'info',
+      details: {
+        count: licenses.length,
+        product: product.slug,
+        licenseType: plan.name,
+        batchId: licenses[0].batchId,
+        orderId,
+        quotaRemaining: updated.getRemainingQuota()
+      }
+    });
+    
+    await LicenseEvent.recordCreated(licenses, { actor: reseller.toActor(), reason: 'reseller', ipAddress: req.ip });
+    
+    logger.info('Clés créées par revendeur', {
+      reseller: reseller.name,
+      count: licenses.length,
+      licenseType: plan.name,
+      ip: req.ip
+    });
+    
+    res.status(201).json({
+      success: true,
+      licenses: licenses.map(toResellerView),
+      quota: quotaOf(updated)
+    });
+    
+  } catch (error) {
+    if (reserved) {
+      await Reseller.releaseQuota(reseller._id, count).catch(() => {});
+    }
+    
+    logger.error('Erreur création de clé revendeur:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la création des clés'
+    });
+  }
+});
+
+// Route: Lister les licences du revendeur
+router.get('/licenses', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    
+    const filter = { reseller: req.reseller._id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.type) filter.licenseType = req.query.type;
+    if (req.query.orderId) filter['metadata.orderId'] = req.query.orderId;
+    
+    const [licenses, total] = await Promise.all([
+      License.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      License.countDocuments(filter)
+    ]);
+    
+    res.json({
+      success: true,
+      licenses: licenses.map(toResellerView),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Erreur liste licences revendeur:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération des licences'
+    });
+  }
+});
+
+// Route: Détails d'une licence du revendeur
+router.get('/licenses/:key', async (req, res) => {
+  try {
+    const license = await findOwnLicense(req);
+    
+    if (!license) {
+      return res.status(404).json({
+        success: false,
+        error: 'Licence non trouvée'
+      });
+    }
+    
+    const activeSessions = await Session.countDocuments({
+      licenseKey: license.keyHash,
+      status: 'active',
+      expiresAt: { $gt: new Date() }
+    });
+    
+    res.json({
+      success: true,
+      license: {
+        ...toResellerView(license),
+        devices: license.devices.map(device => ({
+          slot: device.slot,
+          label: device.label,
+          firstSeen: device.firstSeen,
+          lastSeen: device.lastSeen
+        })),
+        activeSessions
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Erreur détails licence revendeur:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération de la licence'
+    });
+  }
+});
+
+// Route: Suspendre ou réactiver une licence du revendeur (le bannissement reste réservé à l'admin)
+router.patch('/licenses/:key/status', async (req, res) => {
+  try {
+    const { reseller } = req;
+    const { status, reason = '' } = req.body;
+    
+    if (!['active', 'suspended'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Statut invalide (active ou suspended)'
+      });
+    }
+    
+    const license = await findOwnLicense(req);
+    
+    if (!license) {
+      return res.status(404).json({
+        success: false,
+        error: 'Licence non trouvée'
+      });
+    }
+    
+    // Ne pas lever une décision de l'administration
+    const adminLocked = license.status === 'banned' ||
+      (license.status === 'suspended' && license.suspension.by !== 'reseller');
+    
+    if (adminLocked) {
+      return res.status(403).json({
+        success: false,
+        error: 'Statut verrouillé par l\'administration',
+        status: license.status
+      });
+    }
+    
+    if (license.status !== 'suspended' && license.status !== 'active') {
+      return res.status(409).json({
+        success: false,
+        error: 'Seule une licence active ou suspendue peut changer de statut',
+        status: license.status
+      });
+    }
+    
+    const oldStatus = license.status;
+    const before = license.getTimelineState();
+    
+    if (status === 'suspended') {
+      await license.suspend({ reason, by: 'reseller' });
+      await Session.revokeForLicense(license.keyHash);
+    } else {
+      await license.resume();
+    }
+    
+    await AuditLog.logEvent(status === 'suspended' ? 'license_suspended' : 'license_resumed', {
+      licenseKey: license.keyHash,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      actor: reseller.toActor(),
+      message: `Statut de licence changé par le revendeur ${reseller.name}: ${oldStatus} → ${status}`,
+      severity: 'warning',
+      details: {
+        oldStatus,
+        newStatus: status,
+        reason
+      }
+    });
+    
+    await LicenseEvent.record(license, 'status_changed', {
+      actor: reseller.toActor(),
+      reason,
+      before,
+      after: license.getTimelineState(),
+      ipAddress: req.ip
+    });
+    
+    await notificationService.notifyStatusChange(license, oldStatus, { reason });
+    
+    res.json({
+      success: true,
+      license: toResellerView(license)
+    });
+    
+  } catch (error) {
+    logger.error('Erreur statut licence revendeur:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la modification du statut'
+    });
+  }
+});
+
+// Route: Libérer une machine d'une licence du revendeur (support client)
+router.delete('/licenses/:key/devices/:slot', async (req, res) => {
+  try {
+    const { reseller } = req;
+    const slot = parseInt(req.params.slot);
+    const license = await findOwnLicense(req);
+    
+    if (!license) {
+      return res.status(404).json({
+        success: false,
+        error: 'Licence non trouvée'
+      });
+    }
+    
+    // Le revendeur désigne la machine par son siège, le HWID ne lui est pas exposé
+    const device = license.devices.find(entry => entry.slot === slot);
+    
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: 'Aucune machine sur ce siège'
+      });
+    }
+    
+    const { hwid } = device;
+    await license.releaseDevice(hwid);
+    const result = await Session.revokeForLicense(license.keyHash, hwid);
+    
+    await AuditLog.logEvent('hwid_reset', {
+      licenseKey: license.keyHash,
+      hwid,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      actor: reseller.toActor(),
+      message: `Machine libérée par le revendeur ${reseller.name}`,
+      severity: 'warning',
+      details: {
+        slot,
+        revokedSessions: result.modifiedCount
+      }
+    });
+    
+    await LicenseEvent.record(license, 'hwid_reset', {
+      actor: reseller.toActor(),
+      before: { hwid, slot },
+      after: { devices: license.devices.length },
+      ipAddress: req.ip
+    });
+    
+    await notificationService.notifyLicense('hwid_reset', license);
+    
+    res.json({
+      success: true,
+      message: 'Machine libérée',
+      seats: {
+        max: license.maxDevices,
+        used: license.devices.length
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Erreur libération machine revendeur:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la libération de la machine'
+    });
+  }
+});
+
+// Route: Statistiques de ventes du revendeur
+router.get('/stats', async (req, res) => {
+  try {
+    const { reseller } = req;
+    const now = new Date();
+    const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+    
+    const [byStatus, byPlan, last30Days, daily] = await Promise.all([
+      License.aggregate([
+        { $match: { reseller: reseller._id } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      License.aggregate([
+        { $match: { reseller: reseller._id } },
+        { $group: { _id: '$licenseType', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ]),
+      License.countDocuments({ reseller: reseller._id, createdAt: { $gte: thirtyDaysAgo } }),
+      License.aggregate([
+        { $match: { reseller: reseller._id, createdAt: { $gte: thirtyDaysAgo } } },
+        { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, count: { $sum: 1 } } },
+        { $sort: { _id: 1 } }
+      ])
+    ]);
+    
+    const statusCounts = Object.fromEntries(byStatus.map(entry => [entry._id, entry.count]));
+    
+    res.json({
+      success: true,
+      stats: {
+        quota: quotaOf(reseller),
+        licenses: {
+          total: byStatus.reduce((sum, entry) => sum + entry.count, 0),
+          active: statusCounts.active || 0,
+          expired: statusCounts.expired || 0,
+          suspended: statusCounts.suspended || 0,
+          banned: statusCounts.banned || 0
+        },
+        byPlan: byPlan.map(entry => ({ plan: entry._id, count: entry.count })),
+        sales: {
+          last30Days,
+          daily: daily.map(entry => ({ date: entry._id, count: entry.count }))
+        }
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Erreur statistiques revendeur:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération des statistiques'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,312 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Reseller = require('../models/Reseller');
+const License = require('../models/License');
+const AuditLog = require('../models/AuditLog');
+const logger = require('../config/logger');
+const { requireAdminAuth } = require('../middleware/auth');
+const { adminLimiter } = require('../middleware/security');
+
+const router = express.Router();
+
+// Champs modifiables d'un revendeur
+const RESELLER_FIELDS = ['name', 'email', 'allowedPlans', 'status', 'notes'];
+
+const pickResellerFields = (body) => {
+  const fields = {};
+  for (const field of RESELLER_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+};
+
+const findReseller = (id) => {
+  return mongoose.isValidObjectId(id) ? Reseller.findById(id) : Promise.resolve(null);
+};
+
+// Appliquer l'authentification admin et le rate limiting à toutes les routes
+router.use(adminLimiter);
+router.use(requireAdminAuth);
+
+// Route: Lister les revendeurs
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    
+    const resellers = await Reseller.find(filter).sort({ name: 1 }).select('-__v');
+    
+    res.json({
+      success: true,
+      resellers
+    });
+    
+  } catch (error) {
+    logger.error('Erreur récupération revendeurs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération des revendeurs'
+    });
+  }
+});
+
+// Route: Créer un revendeur (la clé API n'est renvoyée qu'une seule fois)
+router.post('/', async (req, res) => {
+  try {
+    const quota = req.body.quota === undefined ? 0 : parseInt(req.body.quota);
+    
+    if (!req.body.name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nom du revendeur requis'
+      });
+    }
+    
+    if (!Number.isInteger(quota) || quota < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Quota invalide'
+      });
+    }
+    
+    const { reseller, apiKey } = await Reseller.createWithApiKey({ ...pickResellerFields(req.body), quota });
+    
+    await AuditLog.logEvent('admin_action', {
+      ipAddress: req.ip,
+      message: `Revendeur créé: ${reseller.name}`,
+      severity: 'info',
+      details: {
+        action: 'reseller_created',
+        resellerId: reseller._id,
+        quota,
+        allowedPlans: reseller.allowedPlans,
+        admin: true
+      }
+    });
+    
+    logger.info('Revendeur créé', {
+      reseller: reseller.name,
+      quota,
+      admin_ip: req.ip
+    });
+    
+    res.status(201).json({
+      success: true,
+      reseller,
+      apiKey
+    });
+    
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Erreur de validation',
+        message: error.message
+      });
+    }
+    
+    logger.error('Erreur création revendeur:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la création du revendeur'
+    });
+  }
+});
+
+// Route: Obtenir un revendeur et un résumé de ses licences
+router.get('/:id', async (req, res) => {
+  try {
+    const reseller = await findReseller(req.params.id);
+    
+    if (!reseller) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revendeur non trouvé'
+      });
+    }
+    
+    const byStatus = await License.aggregate([
+      { $match: { reseller: reseller._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    
+    res.json({
+      success: true,
+      reseller,
+      quota: {
+        total: reseller.quota,
+        used: reseller.used,
+        remaining: reseller.getRemainingQuota()
+      },
+      licenses: Object.fromEntries(byStatus.map(entry => [entry._id, entry.count]))
+    });
+    
+  } catch (error) {
+    logger.error('Erreur récupération revendeur:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération du revendeur'
+    });
+  }
+});
+
+// Route: Modifier un revendeur
+router.patch('/:id', async (req, res) => {
+  try {
+    const reseller = await findReseller(req.params.id);
+    
+    if (!reseller) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revendeur non trouvé'
+      });
+    }
+    
+    const changes = pickResellerFields(req.body);
+    reseller.set(changes);
+    await reseller.save();
+    
+    await AuditLog.logEvent('admin_action', {
+      ipAddress: req.ip,
+      message: `Revendeur modifié: ${reseller.name}`,
+      severity: 'info',
+      details: {
+        action: 'reseller_updated',
+        resellerId: reseller._id,
+        changes,
+        admin: true
+      }
+    });
+    
+    res.json({
+      success: true,
+      reseller
+    });
+    
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Erreur de validation',
+        message: error.message
+      });
+    }
+    
+    logger.error('Erreur modification revendeur:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la modification du revendeur'
+    });
+  }
+});
+
+// Route: Créditer le quota d'un revendeur (achat de licences)
+router.post('/:id/quota', async (req, res) => {
+  try {
+    const amount = parseInt(req.body.amount);
+    
+    if (!Number.isInteger(amount) || amount === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Montant invalide (entier non nul, négatif pour retirer)'
+      });
+    }
+    
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revendeur non trouvé'
+      });
+    }
+    
+    // Un retrait ne peut pas descendre sous le nombre de licences déjà créées
+    const filter = { _id: req.params.id };
+    if (amount < 0) {
+      filter.$expr = { $gte: [{ $add: ['$quota', amount] }, '$used'] };
+    }
+    
+    const reseller = await Reseller.findOneAndUpdate(filter, { $inc: { quota: amount } }, { new: true });
+    
+    if (!reseller) {
+      const exists = await Reseller.exists({ _id: req.params.id });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        error: exists ? 'Le quota ne peut pas descendre sous les licences déjà créées' : 'Revendeur non trouvé'
+      });
+    }
+    
+    await AuditLog.logEvent('admin_action', {
+      ipAddress: req.ip,
+      message: `Quota du revendeur ${reseller.name} modifié de ${amount}`,
+      severity: 'info',
+      details: {
+        action: 'reseller_quota_updated',
+        resellerId: reseller._id,
+        amount,
+        quota: reseller.quota,
+        used: reseller.used,
+        reason: req.body.reason || '',
+        admin: true
+      }
+    });
+    
+    res.json({
+      success: true,
+      quota: {
+        total: reseller.quota,
+        used: reseller.used,
+        remaining: reseller.getRemainingQuota()
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Erreur modification quota revendeur:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la modification du quota'
+    });
+  }
+});
+
+// Route: Régénérer la clé API d'un revendeur (l'ancienne cesse immédiatement de fonctionner)
+router.post('/:id/rotate-key', async (req, res) => {
+  try {
+    const reseller = await findReseller(req.params.id);
+    
+    if (!reseller) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revendeur non trouvé'
+      });
+    }
+    
+    const apiKey = await reseller.rotateApiKey();
+    
+    await AuditLog.logEvent('admin_action', {
+      ipAddress: req.ip,
+      message: `Clé API du revendeur ${reseller.name} régénérée`,
+      severity: 'warning',
+      details: {
+        action: 'reseller_key_rotated',
+        resellerId: reseller._id,
+        apiKeyPrefix: reseller.apiKeyPrefix,
+        admin: true
+      }
+    });
+    
+    res.json({
+      success: true,
+      apiKeyPrefix: reseller.apiKeyPrefix,
+      apiKey
+    });
+    
+  } catch (error) {
+    logger.error('Erreur rotation clé revendeur:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la régénération de la clé'
+    });
+  }
+});
+
+module.exports = router;
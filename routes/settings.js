@@ -1,5 +1,6 @@
 const express = require('express');
 const Setting = require('../models/Setting');
+const Product = require('../models/Product');
 const logger = require('../config/logger');
 const { verifySession } = require('../middleware/auth');
 
@@ -8,6 +9,9 @@ const router = express.Router();
 // Middleware pour vérifier la session sur toutes les routes
 router.use(verifySession);
 
+// Produit de la session (les sessions antérieures au multi-produit relèvent du produit par défaut)
+const getSessionProduct = (req) => req.user.product || Product.getDefaultSlug();
+
 // Route: Récupérer les paramètres d'un utilisateur
 router.get('/:userId', async (req, res) => {
   try {
@@ -21,7 +25,7 @@ router.get('/:userId', async (req, res) => {
       });
     }
     
-    const settings = await Setting.getUserSettings(userId);
+    const settings = await Setting.getUserSettings(userId, getSessionProduct(req));
     
     // Log sans utiliser AuditLog pour éviter l'erreur
     logger.info('Paramètres récupérés', {
@@ -70,7 +74,7 @@ router.post('/:userId', async (req, res) => {
     
     // Mettre à jour les paramètres
     const updatedSettings = await Setting.findOneAndUpdate(
-      { id: userId },
+      { id: userId, product: getSessionProduct(req) },
       {
         AntiAFK: settings.AntiAFK || {},
         Movement: settings.Movement || {}
@@ -121,7 +125,7 @@ router.post('/:userId/reset', async (req, res) => {
       });
     }
     
-    const resetSettings = await Setting.resetUserToDefault(userId);
+    const resetSettings = await Setting.resetUserToDefault(userId, getSessionProduct(req));
     
     // Log sans utiliser AuditLog pour éviter l'erreur
     logger.info('Paramètres réinitialisés', {
@@ -151,7 +155,7 @@ router.post('/:userId/reset', async (req, res) => {
 // Route: Récupérer les paramètres par défaut (admin uniquement)
 router.get('/admin/defaults', async (req, res) => {
   try {
-    const defaultSettings = await Setting.getDefaultSettings();
+    const defaultSettings = await Setting.getDefaultSettings(req.query.product || getSessionProduct(req));
     
     if (!defaultSettings) {
       return res.status(404).json({
@@ -4,6 +4,7 @@ const express = require('express');
 const https = require('https');
 const UpdateToken = require('../models/UpdateToken');
 const AppVersion = require('../models/AppVersion');
+const Product = require('../models/Product');
 const logger = require('../config/logger');
 const { verifySession } = require('../middleware/auth');
 
@@ -12,15 +13,35 @@ const router = express.Router();
 // Middleware pour vérifier la session sur toutes les routes
 router.use(verifySession);
 
+// Les mises à jour servies sont celles du produit de la session (produit par défaut pour les anciennes sessions)
+router.use(async (req, res, next) => {
+  try {
+    req.product = await Product.findBySlug(req.user.product || Product.getDefaultSlug());
+    
+    if (!req.product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Produit de la session inconnu',
+        reason: 'product_unknown'
+      });
+    }
+    
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Route: Vérifier les mises à jour disponibles
 router.get('/check', async (req, res) => {
   try {
     // Récupérer la version actuelle depuis la base de données
-    const versionDoc = await AppVersion.getCurrentVersion();
+    const versionDoc = await AppVersion.getCurrentVersion(req.product.slug);
     const serverVersion = versionDoc ? versionDoc.version : 'v1.0.0';
     const clientVersion = req.query.version || 'v1.0.0';
     
     logger.info('Vérification de mise à jour', {
+      product: req.product.slug,
       clientVersion,
       serverVersion,
       user: req.user.hwid.substring(0, 8) + '...'
@@ -38,10 +59,9 @@ router.get('/check', async (req, res) => {
       });
     }
     
-    const repoOwner = process.env.GITHUB_REPO_OWNER;
-    const repoName = process.env.GITHUB_REPO_NAME;
+    const { owner: repoOwner, repo: repoName } = req.product.github;
     
-    if (!repoOwner || !repoName) {
+    if (!req.product.hasGithubRepo()) {
       logger.warn('Configuration GitHub repository manquante');
       return res.json({
         success: true,
@@ -109,7 +129,7 @@ router.get('/check', async (req, res) => {
 // Route: Obtenir les informations de version détaillées
 router.get('/version-info', async (req, res) => {
   try {
-    const versionDoc = await AppVersion.getCurrentVersion();
+    const versionDoc = await AppVersion.getCurrentVersion(req.product.slug);
     
     if (!versionDoc) {
       return res.json({
@@ -160,8 +180,14 @@ router.get('/download', async (req, res) => {
       });
     }
     
-    const repoOwner = process.env.GITHUB_REPO_OWNER;
-    const repoName = process.env.GITHUB_REPO_NAME;
+    if (!req.product.hasGithubRepo()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Service de téléchargement indisponible'
+      });
+    }
+    
+    const { owner: repoOwner, repo: repoName, assetName } = req.product.github;
     
     // Récupérer les détails de la release
     const release = await fetchLatestRelease(tokenDoc.token, repoOwner, repoName);
@@ -187,8 +213,8 @@ router.get('/download', async (req, res) => {
       download_url: a.browser_download_url
     })));
     
-    // Trouver l'asset principal (exe ou zip)
-    const asset = release.assets.find(asset => 
+    // Trouver l'asset du produit, sinon l'asset principal (exe ou zip)
+    const asset = release.assets.find(asset => asset.name === assetName) || release.assets.find(asset => 
       asset.name.endsWith('.exe') || 
       asset.name.endsWith('.zip') ||
       asset.name.includes('setup') ||
@@ -204,7 +230,7 @@ router.get('/download', async (req, res) => {
       if (release.zipball_url) {
         // Convertir zipball_url en API endpoint pour l'authentification
         downloadUrl = `/repos/${repoOwner}/${repoName}/zipball/${release.tag_name}`;
-        filename = `Nizua_Loader-${version}.zip`;
+        filename = `${(req.product.displayName || req.product.slug).replace(/\s+/g, '_')}-${version}.zip`;
         acceptHeader = 'application/zip';
         
         logger.info('Aucun asset spécifique trouvé, utilisation de l\'API zipball', {
@@ -240,6 +266,7 @@ router.get('/download', async (req, res) => {
     
     // Proxy le téléchargement
     logger.info('Téléchargement de mise à jour', {
+      product: req.product.slug,
       requested_version: version,
       release_tag: release.tag_name,
       filename,
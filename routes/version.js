@@ -1,14 +1,37 @@
 const express = require('express');
 const AppVersion = require('../models/AppVersion');
+const Product = require('../models/Product');
 const logger = require('../config/logger');
 const { requireAdminAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Produit concerné (paramètre ?product= ou body.product, produit par défaut sinon)
+const getRequestedProduct = (req) => String(req.query.product || (req.body && req.body.product) || Product.getDefaultSlug()).toLowerCase().trim();
+
+// Routes admin: le produit doit exister
+const requireKnownProduct = async (req, res, next) => {
+  try {
+    const product = await Product.findBySlug(getRequestedProduct(req));
+    
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Produit non trouvé'
+      });
+    }
+    
+    req.product = product;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Route publique: Obtenir la version actuelle
 router.get('/current', async (req, res) => {
   try {
-    const versionDoc = await AppVersion.getCurrentVersion();
+    const versionDoc = await AppVersion.getCurrentVersion(getRequestedProduct(req));
     
     if (!versionDoc) {
       return res.json({
@@ -41,7 +64,7 @@ router.get('/current', async (req, res) => {
 router.get('/history', async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
-    const versionDoc = await AppVersion.getCurrentVersion();
+    const versionDoc = await AppVersion.getCurrentVersion(getRequestedProduct(req));
     
     if (!versionDoc) {
       return res.json({
@@ -71,7 +94,7 @@ router.get('/history', async (req, res) => {
 });
 
 // Route admin: Modifier manuellement la version
-router.post('/set', requireAdminAuth, async (req, res) => {
+router.post('/set', requireAdminAuth, requireKnownProduct, async (req, res) => {
   try {
     const { version, notes } = req.body;
     
@@ -90,11 +113,11 @@ router.post('/set', requireAdminAuth, async (req, res) => {
       });
     }
 
-    let versionDoc = await AppVersion.getCurrentVersion();
+    let versionDoc = await AppVersion.getCurrentVersion(req.product.slug);
     
     if (!versionDoc) {
       versionDoc = new AppVersion({
-        _id: 'current_version'
+        _id: req.product.slug
       });
     }
 
@@ -111,6 +134,7 @@ router.post('/set', requireAdminAuth, async (req, res) => {
     await versionDoc.save();
 
     logger.info('Version mise à jour manuellement', {
+      product: req.product.slug,
       oldVersion,
       newVersion: version,
       admin_ip: req.ip,
@@ -120,6 +144,7 @@ router.post('/set', requireAdminAuth, async (req, res) => {
     res.json({
       success: true,
       message: 'Version mise à jour avec succès',
+      product: req.product.slug,
       oldVersion,
       newVersion: version,
       buildNumber: versionDoc.buildNumber
@@ -135,7 +160,7 @@ router.post('/set', requireAdminAuth, async (req, res) => {
 });
 
 // Route admin: Réinitialiser la version depuis "latest" vers une version sémantique
-router.post('/reset-from-latest', requireAdminAuth, async (req, res) => {
+router.post('/reset-from-latest', requireAdminAuth, requireKnownProduct, async (req, res) => {
   try {
     const { version } = req.body;
     
@@ -150,11 +175,11 @@ router.post('/reset-from-latest', requireAdminAuth, async (req, res) => {
       });
     }
 
-    let versionDoc = await AppVersion.getCurrentVersion();
+    let versionDoc = await AppVersion.getCurrentVersion(req.product.slug);
     
     if (!versionDoc) {
       versionDoc = new AppVersion({
-        _id: 'current_version'
+        _id: req.product.slug
       });
     }
 
@@ -174,6 +199,7 @@ router.post('/reset-from-latest', requireAdminAuth, async (req, res) => {
     await versionDoc.save();
 
     logger.info('Version réinitialisée depuis "latest"', {
+      product: req.product.slug,
       oldVersion,
       newVersion,
       admin_ip: req.ip
@@ -182,6 +208,7 @@ router.post('/reset-from-latest', requireAdminAuth, async (req, res) => {
     res.json({
       success: true,
       message: 'Version réinitialisée avec succès',
+      product: req.product.slug,
       oldVersion,
       newVersion,
       buildNumber: versionDoc.buildNumber,
@@ -198,15 +225,15 @@ router.post('/reset-from-latest', requireAdminAuth, async (req, res) => {
 });
 
 // Route admin: Configurer le versioning automatique
-router.post('/config', requireAdminAuth, async (req, res) => {
+router.post('/config', requireAdminAuth, requireKnownProduct, async (req, res) => {
   try {
     const { autoIncrementType, keywords } = req.body;
     
-    let versionDoc = await AppVersion.getCurrentVersion();
+    let versionDoc = await AppVersion.getCurrentVersion(req.product.slug);
     
     if (!versionDoc) {
       versionDoc = new AppVersion({
-        _id: 'current_version'
+        _id: req.product.slug
       });
     }
 
@@ -223,6 +250,7 @@ router.post('/config', requireAdminAuth, async (req, res) => {
     await versionDoc.save();
 
     logger.info('Configuration versioning mise à jour', {
+      product: req.product.slug,
       autoIncrementType,
       keywords,
       admin_ip: req.ip
@@ -0,0 +1,149 @@
+const express = require('express');
+const License = require('../models/License');
+const AuditLog = require('../models/AuditLog');
+const WebhookEvent = require('../models/WebhookEvent');
+const orderWebhookService = require('../services/OrderWebhookService');
+const logger = require('../config/logger');
+
+const router = express.Router();
+
+// Route: Réception des événements de paiement signés (création de licence idempotente par commande,
+// révocation sur remboursement ou rétrofacturation)
+router.post('/orders', async (req, res) => {
+  const ip = req.ip;
+  
+  try {
+    const signature = req.get('X-Webhook-Signature');
+    const rawBody = req.rawBody ? req.rawBody.toString('utf8') : null;
+    const verification = rawBody
+      ? orderWebhookService.verifySignature(rawBody, signature)
+      : { valid: false, reason: 'body_missing' };
+    
+    if (!verification.valid) {
+      await AuditLog.logEvent('webhook_rejected', {
+        ipAddress: ip,
+        userAgent: req.get('User-Agent'),
+        message: 'Webhook de commande rejeté: signature invalide',
+        severity: 'warning',
+        details: { reason: verification.reason }
+      });
+      
+      return res.status(verification.reason === 'webhook_not_configured' ? 503 : 401).json({
+        success: false,
+        error: 'Signature du webhook invalide',
+        reason: verification.reason
+      });
+    }
+    
+    const payload = req.body;
+    
+    // Les événements non gérés sont acquittés pour ne pas être renvoyés indéfiniment
+    if (!orderWebhookService.isSupported(payload.type)) {
+      return res.json({
+        success: true,
+        ignored: true,
+        type: payload.type
+      });
+    }
+    
+    if (!payload.data || typeof payload.data.orderId !== 'string' || !payload.data.orderId.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Identifiant de commande requis (data.orderId)',
+        reason: 'order_id_missing'
+      });
+    }
+    
+    const { event, duplicate } = await orderWebhookService.record(rawBody, payload, { signature, ipAddress: ip });
+    
+    await AuditLog.logEvent('webhook_received', {
+      licenseKey: event.licenseKey,
+      ipAddress: ip,
+      message: duplicate ? 'Webhook de commande reçu à nouveau' : 'Webhook de commande reçu',
+      severity: 'info',
+      details: {
+        eventType: event.eventType,
+        eventId: event.eventId,
+        orderId: event.orderId,
+        duplicate,
+        deliveries: event.deliveries
+      }
+    });
+    
+    // La clé en clair n'est renvoyée qu'à la première livraison: un doublon ne reçoit que
+    // la référence de la commande et de la licence (empreinte et clé masquée)
+    if (event.status === 'processed') {
+      const license = event.licenseKey ? await License.findByKeyHash(event.licenseKey) : null;
+      
+      return res.json({
+        success: true,
+        duplicate: true,
+        orderId: event.orderId,
+        licenseKey: null,
+        keyHash: event.licenseKey,
+        maskedKey: license ? license.maskedKey : null
+      });
+    }
+    
+    const claimed = await WebhookEvent.claimForProcessing(event._id);
+    
+    if (!claimed) {
+      // Traitement en cours par une autre livraison: l'émetteur réessaiera
+      return res.status(409).json({
+        success: false,
+        error: 'Événement en cours de traitement',
+        reason: 'processing'
+      });
+    }
+    
+    const { license, created, action, flaggedHwids } = await orderWebhookService.process(claimed, { ipAddress: ip });
+    
+    logger.info('Webhook de commande traité', {
+      type: claimed.eventType,
+      orderId: claimed.orderId,
+      key: license.keyPrefix + '...',
+      created,
+      action,
+      ip
+    });
+    
+    // Remboursement / rétrofacturation: statut appliqué et machines signalées
+    if (action) {
+      return res.json({
+        success: true,
+        orderId: claimed.orderId,
+        maskedKey: license.maskedKey,
+        status: license.status,
+        flaggedDevices: flaggedHwids.length
+      });
+    }
+    
+    res.status(created ? 201 : 200).json({
+      success: true,
+      duplicate: !created,
+      orderId: claimed.orderId,
+      licenseKey: license.plainKey,
+      maskedKey: license.maskedKey,
+      licenseType: license.licenseType,
+      expiresAt: license.expiresAt ? license.expiresAt.toISOString() : null
+    });
+    
+  } catch (error) {
+    if (error.reason) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        reason: error.reason
+      });
+    }
+    
+    logger.error('Erreur traitement webhook de commande:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur interne du serveur',
+      reason: 'server_error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * Migration: remplace les clés de licence stockées en clair par leur empreinte HMAC
+ * (License.keyHash + préfixe d'affichage), puis convertit les références licenseKey
+ * des autres collections. Idempotent: les valeurs déjà converties sont ignorées.
+ *
+ * Usage:
+ *   LICENSE_KEY_SECRET=... node scripts/migrate-hashed-keys.js [--dry-run]
+ *
+ * Les jetons de session émis avant la migration contiennent encore la clé en clair:
+ * le reset HWID et les demandes de transfert exigent une nouvelle validation de clé.
+ */
+require('dotenv').config();
+
+const database = require('../config/database');
+const License = require('../models/License');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const Trial = require('../models/Trial');
+const RedeemCode = require('../models/RedeemCode');
+const LicenseTransfer = require('../models/LicenseTransfer');
+const WebhookEvent = require('../models/WebhookEvent');
+const HwidFlag = require('../models/HwidFlag');
+const licenseKeys = require('../services/licenseKeys');
+
+const dryRun = process.argv.slice(2).includes('--dry-run');
+const BATCH_SIZE = 500;
+
+// Champs contenant une clé en clair: [modèle, champ, mise à jour d'un élément de tableau]
+const REFERENCES = [
+  [Session, 'licenseKey'],
+  [AuditLog, 'licenseKey'],
+  [AuditLog, 'details.renewalKey'],
+  [AuditLog, 'details.keys', { path: 'details.keys.$[item]', match: 'item' }],
+  [Trial, 'licenseKey'],
+  [Trial, 'convertedKey'],
+  [RedeemCode, 'licenseKey'],
+  [LicenseTransfer, 'licenseKey'],
+  [WebhookEvent, 'licenseKey'],
+  [HwidFlag, 'licenseKey'],
+  [License, 'metadata.redeemedInto'],
+  [License, 'renewalHistory.reference', { path: 'renewalHistory.$[item].reference', match: 'item.reference' }]
+];
+
+async function migrateLicenses() {
+  const cursor = License.collection.find({ key: { $exists: true } }, { projection: { key: 1 } });
+  let operations = [];
+  let migrated = 0;
+
+  for await (const doc of cursor) {
+    operations.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: License.buildKeyFields(doc.key), $unset: { key: '' } }
+      }
+    });
+
+    if (operations.length >= BATCH_SIZE) {
+      if (!dryRun) await License.collection.bulkWrite(operations);
+      migrated += operations.length;
+      operations = [];
+    }
+  }
+
+  if (operations.length > 0) {
+    if (!dryRun) await License.collection.bulkWrite(operations);
+    migrated += operations.length;
+  }
+
+  return migrated;
+}
+
+// Remplace chaque valeur en clair par son empreinte (une empreinte ne commence jamais par KEY-)
+async function migrateReference(Model, field, arrayUpdate = null) {
+  const values = (await Model.collection.distinct(field, { [field]: /^KEY-/ }))
+    .filter(value => licenseKeys.KEY_PATTERN.test(value));
+  let modified = 0;
+
+  for (const value of values) {
+    if (dryRun) {
+      modified += await Model.collection.countDocuments({ [field]: value });
+      continue;
+    }
+
+    const hash = licenseKeys.hashKey(value);
+    const result = arrayUpdate
+      ? await Model.collection.updateMany(
+        { [field]: value },
+        { $set: { [arrayUpdate.path]: hash } },
+        { arrayFilters: [{ [arrayUpdate.match]: value }] }
+      )
+      : await Model.collection.updateMany({ [field]: value }, { $set: { [field]: hash } });
+    modified += result.modifiedCount;
+  }
+
+  return modified;
+}
+
+async function migrate() {
+  // Échoue tôt si LICENSE_KEY_SECRET est absent
+  licenseKeys.hashKey('KEY-0000-0000-0000-0000');
+
+  await database.connect();
+
+  const licenses = await migrateLicenses();
+  console.log(`🔑 Licences: ${licenses} clé(s) remplacée(s) par leur empreinte`);
+
+  for (const [Model, field, arrayUpdate] of REFERENCES) {
+    const count = await migrateReference(Model, field, arrayUpdate);
+    if (count > 0) console.log(`   ${Model.collection.collectionName}.${field}: ${count} document(s)`);
+  }
+
+  if (dryRun) {
+    console.log('ℹ️ Mode simulation: aucune modification');
+    return;
+  }
+
+  // Remplacer l'index unique sur la clé en clair par celui sur l'empreinte
+  await License.syncIndexes();
+
+  await AuditLog.logEvent('admin_action', {
+    ipAddress: 'system',
+    message: `${licenses} clé(s) de licence hachée(s) au repos`,
+    severity: 'warning',
+    details: {
+      action: 'hashed_keys_migration',
+      licenses
+    }
+  });
+
+  console.log('✅ Migration terminée');
+}
+
+migrate()
+  .catch(error => {
+    console.error('❌ Erreur de migration:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => database.disconnect());
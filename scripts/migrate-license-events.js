@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * Migration: extrait de metadata.notes les lignes ajoutées automatiquement lors des
+ * changements de statut ("[date] Statut changé de X à Y. Raison: ...") et les reprend
+ * dans l'historique des licences (événements status_changed). Seules les notes saisies
+ * par le support restent dans metadata.notes.
+ * Idempotent: les événements ne sont insérés qu'après le nettoyage de la note, qui n'est
+ * fait qu'une fois (une licence dont les notes ont déjà été nettoyées est ignorée).
+ *
+ * Usage:
+ *   node scripts/migrate-license-events.js [--dry-run]
+ */
+require('dotenv').config();
+
+const database = require('../config/database');
+const License = require('../models/License');
+const LicenseEvent = require('../models/LicenseEvent');
+const AuditLog = require('../models/AuditLog');
+
+const dryRun = process.argv.slice(2).includes('--dry-run');
+const STATUS_LINE = /\n?\[(\d{4}-\d{2}-\d{2}T[\d:.]+Z)\] Statut changé de (\w+) à (\w+)\. Raison: ([^\n]*)/g;
+
+// Événements de l'historique correspondant aux lignes de statut d'une note
+function extractEvents(keyHash, notes) {
+  return [...notes.matchAll(STATUS_LINE)].map(([, date, from, to, reason]) => ({
+    licenseKey: keyHash,
+    type: 'status_changed',
+    actor: { type: 'admin', id: null, name: null },
+    reason: reason.trim(),
+    before: { status: from },
+    after: { status: to },
+    note: null,
+    ipAddress: null,
+    createdAt: new Date(date)
+  }));
+}
+
+async function migrate() {
+  await database.connect();
+
+  let licenses = 0;
+  let events = 0;
+
+  const cursor = License.collection.find(
+    { 'metadata.notes': /Statut changé de/ },
+    { projection: { keyHash: 1, 'metadata.notes': 1 } }
+  );
+
+  for await (const license of cursor) {
+    const notes = license.metadata.notes;
+    const entries = extractEvents(license.keyHash, notes);
+    if (entries.length === 0) continue;
+
+    if (dryRun) {
+      licenses++;
+      events += entries.length;
+      continue;
+    }
+
+    // Ne réécrire la note que si elle n'a pas changé entre-temps (exécution concurrente ou
+    // modification par le support); les événements ne sont repris que si ce nettoyage a eu lieu
+    const result = await License.collection.updateOne(
+      { _id: license._id, 'metadata.notes': notes },
+      { $set: { 'metadata.notes': notes.replace(STATUS_LINE, '').trim() } }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    await LicenseEvent.collection.insertMany(entries);
+
+    licenses++;
+    events += entries.length;
+  }
+
+  console.log(`🗒️ Licences concernées: ${licenses}`);
+  console.log(`   Événements repris dans l'historique: ${events}`);
+
+  if (dryRun) {
+    console.log('ℹ️ Mode simulation: aucune modification');
+    return;
+  }
+
+  await LicenseEvent.syncIndexes();
+
+  await AuditLog.logEvent('admin_action', {
+    ipAddress: 'system',
+    message: `Changements de statut repris dans l'historique de ${licenses} licence(s)`,
+    severity: 'info',
+    details: {
+      action: 'license_events_migration',
+      licenses,
+      events
+    }
+  });
+
+  console.log('✅ Migration terminée');
+}
+
+migrate()
+  .catch(error => {
+    console.error('❌ Erreur de migration:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => database.disconnect());
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Migration: convertit les licences "à vie" simulées par une date lointaine
+ * (ex: 2099) en vraies licences à vie (expiresAt = null).
+ *
+ * Usage:
+ *   node scripts/migrate-lifetime-licenses.js [--dry-run] [--threshold=2099-01-01]
+ */
+require('dotenv').config();
+
+const database = require('../config/database');
+const License = require('../models/License');
+const AuditLog = require('../models/AuditLog');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const thresholdArg = args.find(arg => arg.startsWith('--threshold='));
+const threshold = new Date(thresholdArg ? thresholdArg.split('=')[1] : '2099-01-01');
+
+async function migrate() {
+  if (isNaN(threshold.getTime())) {
+    throw new Error('Date seuil invalide');
+  }
+
+  await database.connect();
+
+  const filter = { expiresAt: { $gte: threshold } };
+  const candidates = await License.find(filter).select('keyHash keyPrefix licenseType expiresAt status');
+
+  console.log(`🔎 ${candidates.length} licence(s) expirant après le ${threshold.toISOString()}`);
+
+  for (const license of candidates) {
+    console.log(`   ${license.keyPrefix}... ${license.licenseType} ${license.status} ${license.expiresAt.toISOString()}`);
+  }
+
+  if (dryRun || candidates.length === 0) {
+    console.log(dryRun ? 'ℹ️ Mode simulation: aucune modification' : '✅ Rien à migrer');
+    return;
+  }
+
+  const result = await License.updateMany(filter, {
+    $set: {
+      expiresAt: null,
+      durationDays: null
+    }
+  });
+
+  // Le temps restant gelé des licences suspendues n'a plus d'objet
+  await License.updateMany(
+    { _id: { $in: candidates.map(license => license._id) }, 'suspension.suspendedAt': { $ne: null } },
+    { $set: { 'suspension.remainingMs': null } }
+  );
+
+  await AuditLog.logEvent('admin_action', {
+    ipAddress: 'system',
+    message: `${result.modifiedCount} licence(s) convertie(s) en licences à vie`,
+    severity: 'info',
+    details: {
+      action: 'lifetime_migration',
+      threshold,
+      keys: candidates.map(license => license.keyHash)
+    }
+  });
+
+  console.log(`✅ ${result.modifiedCount} licence(s) convertie(s) en licences à vie`);
+}
+
+migrate()
+  .catch(error => {
+    console.error('❌ Erreur de migration:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => database.disconnect());
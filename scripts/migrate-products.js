@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/**
+ * Migration: introduit la dimension produit. Crée le produit par défaut (DEFAULT_PRODUCT,
+ * préfixe KEY), rattache les licences, sessions et paramètres existants à ce produit et
+ * déplace le document de version 'current_version' sous l'identifiant du produit.
+ * Idempotent: les documents déjà rattachés sont ignorés.
+ *
+ * Usage:
+ *   node scripts/migrate-products.js [--dry-run]
+ */
+require('dotenv').config();
+
+const database = require('../config/database');
+const Product = require('../models/Product');
+const License = require('../models/License');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const AppVersion = require('../models/AppVersion');
+const AuditLog = require('../models/AuditLog');
+
+const dryRun = process.argv.slice(2).includes('--dry-run');
+const LEGACY_VERSION_ID = 'current_version';
+
+// Rattache au produit par défaut les documents antérieurs au multi-produit
+async function backfill(Model, slug) {
+  const filter = { product: { $in: [null, ''] } };
+
+  if (dryRun) {
+    return Model.collection.countDocuments(filter);
+  }
+
+  const result = await Model.collection.updateMany(filter, { $set: { product: slug } });
+  return result.modifiedCount;
+}
+
+async function migrateVersion(slug) {
+  const legacy = await AppVersion.collection.findOne({ _id: LEGACY_VERSION_ID });
+  if (!legacy) return false;
+
+  if (await AppVersion.collection.findOne({ _id: slug })) {
+    console.log(`⚠️ Une version existe déjà pour ${slug}: '${LEGACY_VERSION_ID}' est conservée`);
+    return false;
+  }
+
+  if (!dryRun) {
+    await AppVersion.collection.insertOne({ ...legacy, _id: slug });
+    await AppVersion.collection.deleteOne({ _id: LEGACY_VERSION_ID });
+  }
+
+  return true;
+}
+
+async function migrate() {
+  await database.connect();
+
+  const slug = Product.getDefaultSlug();
+
+  if (!dryRun) {
+    await Product.initializeDefaults();
+  }
+
+  const licenses = await backfill(License, slug);
+  const sessions = await backfill(Session, slug);
+  const settings = await backfill(Setting, slug);
+  const versionMoved = await migrateVersion(slug);
+
+  console.log(`📦 Produit par défaut: ${slug}`);
+  console.log(`   Licences rattachées: ${licenses}`);
+  console.log(`   Sessions rattachées: ${sessions}`);
+  console.log(`   Paramètres rattachés: ${settings}`);
+  console.log(`   Version déplacée: ${versionMoved ? 'oui' : 'non'}`);
+
+  if (dryRun) {
+    console.log('ℹ️ Mode simulation: aucune modification');
+    return;
+  }
+
+  // Remplacer l'index unique sur l'identifiant des paramètres par l'index (produit, identifiant)
+  await Setting.syncIndexes();
+  await License.syncIndexes();
+
+  await AuditLog.logEvent('admin_action', {
+    ipAddress: 'system',
+    message: `Données existantes rattachées au produit ${slug}`,
+    severity: 'info',
+    details: {
+      action: 'products_migration',
+      product: slug,
+      licenses,
+      sessions,
+      settings,
+      versionMoved
+    }
+  });
+
+  console.log('✅ Migration terminée');
+}
+
+migrate()
+  .catch(error => {
+    console.error('❌ Erreur de migration:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => database.disconnect());
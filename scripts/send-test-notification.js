@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * Envoie une notification de test directement par SMTP (sans passer par la file d'envoi).
+ *
+ * Usage:
+ *   node scripts/send-test-notification.js --to=client@example.com [--type=license_expiring] [--locale=fr|en]
+ *
+ * La configuration est lue dans SMTP_HOST, SMTP_PORT, SMTP_FROM (et SMTP_USER/SMTP_PASSWORD).
+ * Pour tester en local, lancer un serveur SMTP de capture (ex: MailHog ou smtp4dev sur le port 1025):
+ *   SMTP_HOST=localhost SMTP_PORT=1025 SMTP_FROM=licences@nizua.local node scripts/send-test-notification.js --to=test@example.com
+ */
+require('dotenv').config();
+
+const SmtpTransport = require('../services/SmtpTransport');
+const notificationTemplates = require('../services/notificationTemplates');
+
+const args = Object.fromEntries(process.argv.slice(2)
+  .filter(arg => arg.startsWith('--'))
+  .map(arg => {
+    const [name, ...value] = arg.slice(2).split('=');
+    return [name, value.join('=')];
+  }));
+
+async function send() {
+  const transport = new SmtpTransport();
+
+  if (!transport.isConfigured()) {
+    throw new Error('SMTP non configuré (SMTP_HOST, SMTP_FROM)');
+  }
+
+  if (!args.to) {
+    throw new Error('Destinataire requis (--to=adresse@exemple.com)');
+  }
+
+  const type = args.type || 'test';
+
+  // Valeurs d'exemple pour les modèles de licence
+  const rendered = notificationTemplates.render(type, args.locale, {
+    productName: 'Nizua Loader',
+    maskedKey: 'KEY-*****-*****-*****-ABCDE',
+    licenseType: 'premium',
+    expiresAt: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000),
+    days: 3,
+    reason: args.reason,
+    sentAt: new Date()
+  });
+
+  const { host, port } = transport.getConfig();
+  console.log(`📤 ${type} (${rendered.locale}) -> ${args.to} via ${host}:${port}`);
+
+  await transport.send({ recipient: args.to, ...rendered });
+
+  console.log(`✅ Envoyé: ${rendered.subject}`);
+}
+
+send().catch(error => {
+  console.error('❌ Erreur envoi notification:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * Envoie un webhook de commande signé au serveur local (test d'intégration paiement).
+ *
+ * Usage:
+ *   node scripts/send-test-webhook.js [--order=ORDER-123] [--plan=basic | --sku=nizua-basic-30]
+ *                                     [--email=client@example.com] [--type=order.paid|order.refunded|order.chargeback]
+ *                                     [--url=http://localhost:3000/api/webhooks/orders]
+ *
+ * Le secret partagé est lu dans WEBHOOK_SECRET. Relancer avec le même --order
+ * doit renvoyer la même clé (idempotence). Un remboursement ou une rétrofacturation
+ * avec le même --order révoque la licence créée.
+ */
+require('dotenv').config();
+
+const crypto = require('crypto');
+
+const args = Object.fromEntries(process.argv.slice(2)
+  .filter(arg => arg.startsWith('--'))
+  .map(arg => {
+    const [name, ...value] = arg.slice(2).split('=');
+    return [name, value.join('=')];
+  }));
+
+const secret = process.env.WEBHOOK_SECRET;
+const url = args.url || `http://localhost:${process.env.PORT || 3000}/api/webhooks/orders`;
+
+async function send() {
+  if (!secret) {
+    throw new Error('WEBHOOK_SECRET non défini');
+  }
+
+  const payload = {
+    id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+    type: args.type || 'order.paid',
+    createdAt: new Date().toISOString(),
+    data: {
+      orderId: args.order || `TEST-${Date.now()}`,
+      ...(args.sku ? { sku: args.sku } : { plan: args.plan || 'basic' }),
+      ...(args.email && { email: args.email }),
+      amount: args.amount ? Number(args.amount) : 0,
+      currency: args.currency || 'EUR'
+    }
+  };
+
+  // Signature: HMAC-SHA256 de `${timestamp}.${corps brut}`
+  const rawBody = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+
+  console.log(`📤 ${payload.type} ${payload.data.orderId} -> ${url}`);
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Webhook-Signature': `t=${timestamp},v1=${digest}`
+    },
+    body: rawBody
+  });
+
+  console.log(`📥 HTTP ${response.status}`);
+  console.log(JSON.stringify(await response.json(), null, 2));
+}
+
+send().catch(error => {
+  console.error('❌ Erreur envoi webhook:', error.message);
+  process.exitCode = 1;
+});
@@ -21,6 +21,14 @@ const healthRoutes = require('./routes/health');
 const updateRoutes = require('./routes/updates');
 const versionRoutes = require('./routes/version');
 const logsRoutes = require('./routes/logs');
+const offlineRoutes = require('./routes/offline');
+const planRoutes = require('./routes/plans');
+const productRoutes = require('./routes/products');
+const redeemCodeRoutes = require('./routes/redeemCodes');
+const customerRoutes = require('./routes/customers');
+const resellerAdminRoutes = require('./routes/resellers');
+const resellerRoutes = require('./routes/reseller');
+const webhookRoutes = require('./routes/webhooks');
 
 // Modèles (pour initialiser Mongoose)
 require('./models/License');
@@ -29,20 +37,49 @@ require('./models/AuditLog');
 require('./models/UpdateToken');
 require('./models/AppVersion');
 require('./models/LogEntry');
+require('./models/Trial');
+const Plan = require('./models/Plan');
+const Product = require('./models/Product');
+require('./models/RedeemCode');
+require('./models/LicenseTransfer');
+require('./models/Customer');
+require('./models/Reseller');
+require('./models/WebhookEvent');
+require('./models/Notification');
+require('./models/LicenseEvent');
+const SigningKey = require('./models/SigningKey');
 
 const GitHubVersionService = require('./services/GitHubVersionService');
+const expiryService = require('./services/LicenseExpiryService');
+const notificationService = require('./services/NotificationService');
 let versionService = null;
 
 // Fonction d'initialisation
 async function initializeServer() {
   try {
+    // Les clés de licence ne sont stockées que sous forme d'empreinte calculée avec ce secret
+    if (!process.env.LICENSE_KEY_SECRET) {
+      throw new Error('LICENSE_KEY_SECRET non défini');
+    }
+
     await database.connect();
+    await SigningKey.initializeActiveKey();
+    await Product.initializeDefaults();
+    await Plan.initializeDefaults();
 
     if (!versionService) {
       versionService = new GitHubVersionService();
       await versionService.initialize();
     }
 
+    if (!expiryService.sweepInterval) {
+      await expiryService.initialize();
+    }
+
+    if (!notificationService.dispatchInterval) {
+      await notificationService.initialize();
+    }
+
     logger.info('✅ Serveur initialisé avec succès');
   } catch (error) {
     logger.error('❌ Erreur lors de l\'initialisation du serveur:', error);
@@ -60,7 +97,14 @@ async function startServer() {
   app.use(helmetConfig);
   app.use(generalLimiter);
   app.disable('x-powered-by');
-  app.use(express.json({ limit: '10mb', strict: true }));
+  app.use(express.json({
+    limit: '10mb',
+    strict: true,
+    // Corps brut conservé pour vérifier la signature des webhooks
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith('/api/webhooks')) req.rawBody = buf;
+    }
+  }));
   app.use(express.urlencoded({ extended: true, limit: '10mb' }));
   app.use(requestLogger);
 
@@ -89,7 +133,10 @@ async function startServer() {
       endpoints: {
         auth: '/api',
         admin: '/api/admin',
+        reseller: '/api/reseller',
+        webhooks: '/api/webhooks',
         updates: '/api/updates',
+        offline: '/api/offline',
         health: '/health'
       }
     });
@@ -98,8 +145,16 @@ async function startServer() {
   app.use('/health', healthRoutes);
   app.use('/api', authRoutes);
   app.use('/api/logs', logsRoutes);
+  app.use('/api/offline', offlineRoutes);
+  app.use('/api/reseller', resellerRoutes);
+  app.use('/api/webhooks', webhookRoutes);
   app.use('/api/updates', updateRoutes);
   app.use('/api/version', versionRoutes);
+  app.use('/api/admin/plans', planRoutes);
+  app.use('/api/admin/products', productRoutes);
+  app.use('/api/admin/redeem-codes', redeemCodeRoutes);
+  app.use('/api/admin/customers', customerRoutes);
+  app.use('/api/admin/resellers', resellerAdminRoutes);
   app.use('/api/admin', adminRoutes);
 
   app.get('/', (req, res) => {
@@ -1,19 +1,21 @@
 const https = require('https');
 const AppVersion = require('../models/AppVersion');
+const Product = require('../models/Product');
 const UpdateToken = require('../models/UpdateToken');
 const logger = require('../config/logger');
 
 class GitHubVersionService {
   constructor() {
-    this.repoOwner = process.env.GITHUB_REPO_OWNER;
-    this.repoName = process.env.GITHUB_REPO_NAME;
     this.checkInterval = null;
   }
 
   async initialize() {
     try {
-      // Initialiser la version si elle n'existe pas
-      await AppVersion.initializeVersion();
+      // Initialiser la version de chaque produit si elle n'existe pas
+      const products = await Product.find({ active: true });
+      for (const product of products) {
+        await AppVersion.initializeVersion(product.slug);
+      }
       
       // Démarrer la vérification périodique (toutes les 5 minutes)
       this.startPeriodicCheck();
@@ -38,22 +40,31 @@ class GitHubVersionService {
 
   async checkForNewRelease() {
     try {
-      if (!this.repoOwner || !this.repoName) {
-        return;
-      }
-
       const tokenDoc = await UpdateToken.getGitHubToken();
       if (!tokenDoc || !tokenDoc.isActive()) {
         return;
       }
 
-      const currentVersion = await AppVersion.getCurrentVersion();
+      // Chaque produit suit les releases de son propre dépôt
+      const products = await Product.find({ active: true });
+      for (const product of products.filter(product => product.hasGithubRepo())) {
+        await this.checkProductRelease(product, tokenDoc);
+      }
+
+    } catch (error) {
+      logger.error('❌ Erreur vérification release:', error);
+    }
+  }
+
+  async checkProductRelease(product, tokenDoc) {
+    try {
+      const currentVersion = await AppVersion.getCurrentVersion(product.slug);
       if (!currentVersion) {
         return;
       }
 
       // Récupérer la dernière release
-      const latestRelease = await this._fetchLatestReleaseDetails(tokenDoc.token);
+      const latestRelease = await this._fetchLatestReleaseDetails(product, tokenDoc.token);
       
       if (!latestRelease) {
         return;
@@ -70,14 +81,14 @@ class GitHubVersionService {
       }
 
       // Traiter la nouvelle release
-      await this.processNewRelease(currentVersion, latestRelease, tokenDoc);
+      await this.processNewRelease(product, currentVersion, latestRelease, tokenDoc);
 
     } catch (error) {
-      logger.error('❌ Erreur vérification release:', error);
+      logger.error(`❌ Erreur vérification release (${product.slug}):`, error);
     }
   }
 
-  async processNewRelease(currentVersion, release, tokenDoc) {
+  async processNewRelease(product, currentVersion, release, tokenDoc) {
     try {
       const oldVersion = currentVersion.version;
       const newTag = release.tag_name; // Peut être "latest" ou "v1.2.3"
@@ -146,6 +157,7 @@ class GitHubVersionService {
       });
       
       logger.info('🆕 Nouvelle version depuis release GitHub', {
+        product: product.slug,
         oldVersion,
         newVersion: versionToUse,
         releaseDate: release.published_at,
@@ -156,14 +168,14 @@ class GitHubVersionService {
       await currentVersion.save();
       
       // Mettre à jour les informations de l'asset
-      await this.updateReleaseAssetInfo(currentVersion, tokenDoc.token);
+      await this.updateReleaseAssetInfo(product, currentVersion, tokenDoc.token);
       
     } catch (error) {
       logger.error('❌ Erreur traitement release:', error);
     }
   }
 
-  async createGitHubRelease(versionDoc) {
+  async createGitHubRelease(product, versionDoc) {
     try {
       const tokenDoc = await UpdateToken.getGitHubToken();
       if (!tokenDoc || !tokenDoc.isActive()) {
@@ -178,10 +190,11 @@ class GitHubVersionService {
         prerelease: false
       };
 
-      const success = await this.createRelease(tokenDoc.token, releaseData);
+      const success = await this.createRelease(product, tokenDoc.token, releaseData);
       
       if (success) {
         logger.info('🏷️ Release GitHub créée', {
+          product: product.slug,
           version: versionDoc.version,
           buildNumber: versionDoc.buildNumber
         });
@@ -214,11 +227,11 @@ class GitHubVersionService {
     return notes;
   }
 
-  async fetchRecentCommits(token, limit = 10) {
+  async fetchRecentCommits(product, token, limit = 10) {
     return new Promise((resolve, reject) => {
       const options = {
         hostname: 'api.github.com',
-        path: `/repos/${this.repoOwner}/${this.repoName}/commits?per_page=${limit}`,
+        path: `/repos/${product.github.owner}/${product.github.repo}/commits?per_page=${limit}`,
         headers: {
           'Authorization': `token ${token}`,
           'User-Agent': 'Nizua-Version-Service',
@@ -257,13 +270,13 @@ class GitHubVersionService {
     });
   }
 
-  async createRelease(token, releaseData) {
+  async createRelease(product, token, releaseData) {
     return new Promise((resolve, reject) => {
       const postData = JSON.stringify(releaseData);
       
       const options = {
         hostname: 'api.github.com',
-        path: `/repos/${this.repoOwner}/${this.repoName}/releases`,
+        path: `/repos/${product.github.owner}/${product.github.repo}/releases`,
         method: 'POST',
         headers: {
           'Authorization': `token ${token}`,
@@ -309,10 +322,10 @@ class GitHubVersionService {
     });
   }
 
-  async updateReleaseAssetInfo(versionDoc, token) {
+  async updateReleaseAssetInfo(product, versionDoc, token) {
     try {
       // Récupérer les détails de la release avec le tag "latest"
-      const latestRelease = await this._fetchLatestReleaseDetails(token);
+      const latestRelease = await this._fetchLatestReleaseDetails(product, token);
       
       if (!latestRelease) {
         logger.warn('Aucune release "latest" trouvée');
@@ -328,22 +341,24 @@ class GitHubVersionService {
         logger.warn('SHA256 non trouvé dans le corps de la release');
       }
 
-      // Trouver l'asset Nizua-Loader.zip et récupérer sa taille
+      // Trouver l'asset du produit (ex: Nizua-Loader.zip) et récupérer sa taille
+      const assetName = product.github.assetName || `${product.slug}.zip`;
       const zipAsset = latestRelease.assets.find(asset => 
-        asset.name === 'Nizua-Loader.zip'
+        asset.name === assetName
       );
       
       if (zipAsset) {
         versionDoc.latestReleaseAssetSize = zipAsset.size;
         logger.info('Taille de l\'asset ZIP:', zipAsset.size, 'bytes');
       } else {
-        logger.warn('Asset Nizua-Loader.zip non trouvé dans la release');
+        logger.warn(`Asset ${assetName} non trouvé dans la release`);
       }
 
       // Sauvegarder les informations mises à jour
       await versionDoc.save();
       
       logger.info('Informations de release mises à jour', {
+        product: product.slug,
         version: versionDoc.version,
         sha256: versionDoc.latestReleaseAssetSha256,
         size: versionDoc.latestReleaseAssetSize
@@ -354,11 +369,11 @@ class GitHubVersionService {
     }
   }
 
-  async _fetchLatestReleaseDetails(token) {
+  async _fetchLatestReleaseDetails(product, token) {
     return new Promise((resolve, reject) => {
       const options = {
         hostname: 'api.github.com',
-        path: `/repos/${this.repoOwner}/${this.repoName}/releases/latest`,
+        path: `/repos/${product.github.owner}/${product.github.repo}/releases/latest`,
         headers: {
           'Authorization': `token ${token}`,
           'User-Agent': 'Nizua-Version-Service',
@@ -398,18 +413,18 @@ class GitHubVersionService {
     });
   }
 
-  async getCurrentVersion() {
+  async getCurrentVersion(product) {
     try {
-      const versionDoc = await AppVersion.getCurrentVersion();
+      const versionDoc = await AppVersion.getCurrentVersion(product);
       return versionDoc ? versionDoc.version : 'v1.0.0';
     } catch (error) {
       return 'v1.0.0';
     }
   }
 
-  async getVersionInfo() {
+  async getVersionInfo(product) {
     try {
-      const versionDoc = await AppVersion.getCurrentVersion();
+      const versionDoc = await AppVersion.getCurrentVersion(product);
       if (!versionDoc) {
         return null;
       }
@@ -0,0 +1,232 @@
+const License = require('../models/License');
+const Plan = require('../models/Plan');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const LicenseTransfer = require('../models/LicenseTransfer');
+const LicenseEvent = require('../models/LicenseEvent');
+const notificationService = require('./NotificationService');
+const logger = require('../config/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Auteur des événements de l'historique des licences générés par le balayage
+const EXPIRY_ACTOR = { type: 'system', name: 'expiry_sweep' };
+
+class LicenseExpiryService {
+  constructor() {
+    this.sweepInterval = null;
+    this.isSweeping = false;
+    this.intervalMs = (parseInt(process.env.EXPIRY_SWEEP_INTERVAL_MINUTES) || 15) * 60 * 1000;
+    this.batchSize = 500;
+  }
+
+  async initialize() {
+    try {
+      this.startPeriodicSweep();
+      logger.info('✅ Service d\'expiration des licences initialisé');
+    } catch (error) {
+      logger.error('❌ Erreur initialisation service d\'expiration:', error);
+    }
+  }
+
+  startPeriodicSweep() {
+    // Balayer immédiatement
+    this.sweep();
+    
+    this.sweepInterval = setInterval(() => {
+      this.sweep();
+    }, this.intervalMs);
+    
+    logger.info(`🔄 Balayage périodique des licences expirées démarré (${this.intervalMs / 60000} min)`);
+  }
+
+  // Licences échues: expiration passée, augmentée de la période de grâce de leur plan
+  async buildExpiredFilter(now) {
+    const gracePlans = await Plan.find({ gracePeriodDays: { $gt: 0 } }).select('name gracePeriodDays');
+    
+    return {
+      status: 'active',
+      $or: [
+        { licenseType: { $nin: gracePlans.map(plan => plan.name) }, expiresAt: { $lte: now } },
+        ...gracePlans.map(plan => ({
+          licenseType: plan.name,
+          expiresAt: { $lte: new Date(now.getTime() - plan.gracePeriodDays * DAY_MS) }
+        }))
+      ]
+    };
+  }
+
+  // Passe les licences échues (période de grâce comprise) au statut "expired" et révoque leurs sessions
+  async sweep() {
+    if (this.isSweeping) {
+      return null;
+    }
+    
+    this.isSweeping = true;
+    
+    try {
+      const now = new Date();
+      let expiredCount = 0;
+      let revokedSessions = 0;
+      
+      const expiredFilter = await this.buildExpiredFilter(now);
+      
+      const candidates = await License.find(expiredFilter)
+        .select('keyHash expiresAt licenseType')
+        .limit(this.batchSize);
+      
+      for (const candidate of candidates) {
+        // Mise à jour conditionnelle: la licence a pu être prolongée entre-temps
+        const license = await License.findOneAndUpdate(
+          { _id: candidate._id, ...expiredFilter },
+          { status: 'expired' },
+          { new: true }
+        );
+        
+        if (!license) continue;
+        
+        const result = await Session.revokeForLicense(license.keyHash);
+        expiredCount++;
+        revokedSessions += result.modifiedCount;
+        
+        await AuditLog.logEvent('key_expired', {
+          licenseKey: license.keyHash,
+          ipAddress: 'system',
+          message: 'Licence expirée',
+          severity: 'info',
+          details: {
+            expiresAt: license.expiresAt,
+            licenseType: license.licenseType,
+            revokedSessions: result.modifiedCount
+          }
+        });
+        
+        await LicenseEvent.record(license, 'status_changed', {
+          actor: EXPIRY_ACTOR,
+          reason: 'expired',
+          before: { status: 'active', expiresAt: license.expiresAt },
+          after: { status: 'expired', expiresAt: license.expiresAt },
+          ipAddress: 'system'
+        });
+        
+        await notificationService.notifyLicense('license_expired', license);
+      }
+      
+      const resumedCount = await this.resumeScheduledSuspensions();
+      
+      // Les demandes de transfert non traitées expirent aussi
+      const transferResult = await LicenseTransfer.expirePending();
+      
+      const upcoming = await this.getUpcomingExpirations();
+      
+      // Rappels aux clients dont la licence arrive à échéance
+      const reminders = await notificationService.sendExpiryReminders();
+      
+      if (expiredCount > 0 || resumedCount > 0 || transferResult.modifiedCount > 0 || reminders > 0) {
+        logger.info('Licences expirées traitées', {
+          expiredCount,
+          revokedSessions,
+          resumedCount,
+          expiredTransfers: transferResult.modifiedCount,
+          reminders,
+          upcoming
+        });
+      }
+      
+      return {
+        expired: expiredCount,
+        revokedSessions,
+        resumed: resumedCount,
+        expiredTransfers: transferResult.modifiedCount,
+        reminders,
+        hasMore: candidates.length === this.batchSize,
+        upcoming
+      };
+    } catch (error) {
+      logger.error('❌ Erreur balayage des licences expirées:', error);
+      return null;
+    } finally {
+      this.isSweeping = false;
+    }
+  }
+
+  // Réactive les licences suspendues dont la date de réactivation est passée
+  async resumeScheduledSuspensions() {
+    const now = new Date();
+    let resumedCount = 0;
+    
+    const licenses = await License.find({
+      status: 'suspended',
+      'suspension.resumeAt': { $ne: null, $lte: now }
+    }).limit(this.batchSize);
+    
+    for (const license of licenses) {
+      const before = license.getTimelineState();
+      const { previousExpiresAt } = await license.resume();
+      resumedCount++;
+      
+      await AuditLog.logEvent('license_resumed', {
+        licenseKey: license.keyHash,
+        ipAddress: 'system',
+        message: 'Licence réactivée automatiquement',
+        severity: 'info',
+        details: {
+          oldStatus: 'suspended',
+          newStatus: 'active',
+          previousExpiresAt,
+          expiresAt: license.expiresAt,
+          scheduled: true
+        }
+      });
+      
+      await LicenseEvent.record(license, 'status_changed', {
+        actor: EXPIRY_ACTOR,
+        reason: 'scheduled_resume',
+        before,
+        after: license.getTimelineState(),
+        ipAddress: 'system'
+      });
+      
+      await notificationService.notifyLicense('license_reactivated', license);
+    }
+    
+    return resumedCount;
+  }
+
+  // Nombre de licences actives expirant dans les prochains jours
+  async getUpcomingExpirations(horizons = [1, 3, 7]) {
+    const now = new Date();
+    const counts = await Promise.all(horizons.map(days => License.countDocuments({
+      status: 'active',
+      expiresAt: { $gt: now, $lte: new Date(now.getTime() + days * DAY_MS) }
+    })));
+    
+    return horizons.reduce((report, days, index) => {
+      report[`${days}d`] = counts[index];
+      return report;
+    }, {});
+  }
+
+  // Licences actives expirant dans les prochains jours (pour relance)
+  getExpiringLicenses(days = 7, limit = 200) {
+    const now = new Date();
+    
+    return License.find({
+      status: 'active',
+      expiresAt: { $gt: now, $lte: new Date(now.getTime() + days * DAY_MS) }
+    })
+      .sort({ expiresAt: 1 })
+      .limit(limit)
+      .select('keyHash keyPrefix licenseType expiresAt hwid metadata.orderId');
+  }
+
+  stop() {
+    if (this.sweepInterval) {
+      clearInterval(this.sweepInterval);
+      this.sweepInterval = null;
+      logger.info('🛑 Balayage périodique des licences expirées arrêté');
+    }
+  }
+}
+
+module.exports = new LicenseExpiryService();
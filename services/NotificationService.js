@@ -0,0 +1,299 @@
+const License = require('../models/License');
+const Customer = require('../models/Customer');
+const Product = require('../models/Product');
+const Notification = require('../models/Notification');
+const SmtpTransport = require('./SmtpTransport');
+const WebhookNotificationTransport = require('./WebhookNotificationTransport');
+const notificationTemplates = require('./notificationTemplates');
+const logger = require('../config/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Notification envoyée selon le nouveau statut d'une licence
+const STATUS_NOTIFICATIONS = {
+  banned: 'license_banned',
+  suspended: 'license_suspended',
+  active: 'license_reactivated'
+};
+
+class NotificationService {
+  constructor() {
+    this.transports = {};
+    this.dispatchInterval = null;
+    this.isDispatching = false;
+    this.intervalMs = (parseInt(process.env.NOTIFICATION_DISPATCH_INTERVAL_SECONDS) || 60) * 1000;
+    this.batchSize = 50;
+    
+    this.registerTransport(new SmtpTransport());
+    this.registerTransport(new WebhookNotificationTransport());
+  }
+
+  // Un transport expose: channel, isConfigured(), send(notification)
+  registerTransport(transport) {
+    this.transports[transport.channel] = transport;
+  }
+
+  isChannelEnabled(channel) {
+    const transport = this.transports[channel];
+    return Boolean(transport && transport.isConfigured());
+  }
+
+  async initialize() {
+    try {
+      this.startPeriodicDispatch();
+      
+      const channels = Object.keys(this.transports).filter(channel => this.isChannelEnabled(channel));
+      logger.info(`✅ Service de notifications initialisé (${channels.join(', ') || 'aucun transport configuré'})`);
+    } catch (error) {
+      logger.error('❌ Erreur initialisation service de notifications:', error);
+    }
+  }
+
+  startPeriodicDispatch() {
+    this.dispatch();
+    
+    this.dispatchInterval = setInterval(() => {
+      this.dispatch();
+    }, this.intervalMs);
+  }
+
+  // Jours avant échéance auxquels un rappel est envoyé: NOTIFICATION_REMINDER_DAYS=7,3,1
+  getReminderDays() {
+    const days = String(process.env.NOTIFICATION_REMINDER_DAYS || '3')
+      .split(',')
+      .map(value => parseInt(value))
+      .filter(value => value > 0);
+      
+    return [...new Set(days)].sort((a, b) => a - b);
+  }
+
+  // Destinataire email: client rattaché, sinon propriétaire s'il s'agit d'une adresse
+  async resolveRecipient(license) {
+    const customer = license.customer ? await Customer.findById(license.customer).select('email locale') : null;
+    
+    if (customer) {
+      return { email: customer.email, locale: customer.locale, customer: customer._id };
+    }
+    
+    const owner = license.metadata && license.metadata.owner;
+    return { email: owner && EMAIL_PATTERN.test(owner) ? owner : null, locale: null, customer: null };
+  }
+
+  // Met en file une notification par transport configuré; le message est rendu dès maintenant
+  async enqueue(type, { email = null, locale = null, variables = {}, data = {}, licenseKey = null, customer = null, dedupeKey = null }) {
+    const rendered = notificationTemplates.render(type, locale, variables);
+    const recipients = [];
+    
+    if (email && this.isChannelEnabled('email')) {
+      recipients.push({ channel: 'email', recipient: email });
+    }
+    
+    if (this.isChannelEnabled('webhook')) {
+      recipients.push({ channel: 'webhook', recipient: this.transports.webhook.getUrl() });
+    }
+    
+    const notifications = [];
+    
+    for (const { channel, recipient } of recipients) {
+      const notification = await Notification.enqueue({
+        type,
+        channel,
+        recipient,
+        locale: rendered.locale,
+        subject: rendered.subject,
+        text: rendered.text,
+        data: { ...data, email },
+        licenseKey,
+        customer,
+        dedupeKey: dedupeKey ? `${dedupeKey}:${channel}` : undefined
+      });
+      
+      if (notification) notifications.push(notification);
+    }
+    
+    // Envoi sans attendre le prochain passage périodique
+    if (notifications.length > 0 && this.dispatchInterval) {
+      setImmediate(() => this.dispatch());
+    }
+    
+    return notifications;
+  }
+
+  // Notifie un événement de licence (expiration, renouvellement, reset HWID, changement de statut).
+  // Ne lève jamais d'erreur: un échec de notification ne doit pas faire échouer l'opération.
+  async notifyLicense(type, license, variables = {}, { dedupeKey = null } = {}) {
+    try {
+      if (!this.isChannelEnabled('email') && !this.isChannelEnabled('webhook')) {
+        return [];
+      }
+      
+      const [recipient, product] = await Promise.all([
+        this.resolveRecipient(license),
+        Product.findBySlug(license.product)
+      ]);
+      
+      const context = {
+        maskedKey: license.maskedKey,
+        licenseType: license.licenseType,
+        expiresAt: license.expiresAt,
+        productName: product ? product.displayName : license.product,
+        ...variables
+      };
+      
+      return await this.enqueue(type, {
+        email: recipient.email,
+        locale: recipient.locale,
+        variables: context,
+        data: { ...context, product: license.product, status: license.status },
+        licenseKey: license.keyHash,
+        customer: recipient.customer,
+        dedupeKey
+      });
+    } catch (error) {
+      logger.error('Erreur mise en file notification:', { type, error: error.message });
+      return [];
+    }
+  }
+
+  // Changement de statut (bannie, suspendue, réactivée); rien si le statut n'a pas changé
+  async notifyStatusChange(license, oldStatus, { reason = '' } = {}) {
+    const type = STATUS_NOTIFICATIONS[license.status];
+    
+    if (!type || license.status === oldStatus) {
+      return [];
+    }
+    
+    return this.notifyLicense(type, license, {
+      reason,
+      resumeAt: license.suspension ? license.suspension.resumeAt : null
+    });
+  }
+
+  // Envoie immédiatement une notification de test (vérification de la configuration SMTP)
+  async sendTest(email, locale = null) {
+    const rendered = notificationTemplates.render('test', locale, {
+      productName: process.env.NOTIFICATION_SENDER_NAME || 'Nizua',
+      sentAt: new Date()
+    });
+    
+    const notification = await Notification.enqueue({
+      type: 'test',
+      channel: 'email',
+      recipient: email,
+      locale: rendered.locale,
+      subject: rendered.subject,
+      text: rendered.text,
+      status: 'sending',
+      attempts: 1
+    });
+    
+    await this.deliver(notification);
+    return notification;
+  }
+
+  // Envoie une notification réservée; en cas d'échec, nouvel essai planifié ou abandon
+  async deliver(notification) {
+    const transport = this.transports[notification.channel];
+    
+    try {
+      if (!transport || !transport.isConfigured()) {
+        throw new Error(`Transport non configuré: ${notification.channel}`);
+      }
+      
+      await transport.send(notification);
+      await notification.markSent();
+      return true;
+    } catch (error) {
+      await notification.markFailed(error);
+      
+      logger[notification.status === 'failed' ? 'error' : 'warn'](`Échec envoi notification ${notification.type}`, {
+        id: notification._id.toString(),
+        channel: notification.channel,
+        attempts: notification.attempts,
+        status: notification.status,
+        nextAttemptAt: notification.status === 'pending' ? notification.nextAttemptAt : null,
+        error: notification.lastError
+      });
+      return false;
+    }
+  }
+
+  // Traite la file d'envoi (les échecs sont repris avec backoff)
+  async dispatch() {
+    if (this.isDispatching) {
+      return null;
+    }
+    
+    this.isDispatching = true;
+    
+    try {
+      let sent = 0;
+      let failed = 0;
+      
+      for (let i = 0; i < this.batchSize; i++) {
+        const notification = await Notification.claimNext();
+        if (!notification) break;
+        
+        if (await this.deliver(notification)) {
+          sent++;
+        } else {
+          failed++;
+        }
+      }
+      
+      if (sent > 0 || failed > 0) {
+        logger.info('File de notifications traitée', { sent, failed });
+      }
+      
+      return { sent, failed };
+    } catch (error) {
+      logger.error('❌ Erreur traitement file de notifications:', error);
+      return null;
+    } finally {
+      this.isDispatching = false;
+    }
+  }
+
+  // Rappels avant échéance: un seul rappel par palier et par date d'expiration
+  // (une licence prolongée puis de nouveau proche de l'échéance est relancée)
+  async sendExpiryReminders(limit = 500) {
+    const reminderDays = this.getReminderDays();
+    
+    if (reminderDays.length === 0 || (!this.isChannelEnabled('email') && !this.isChannelEnabled('webhook'))) {
+      return 0;
+    }
+    
+    const now = new Date();
+    const licenses = await License.find({
+      status: 'active',
+      expiresAt: { $gt: now, $lte: new Date(now.getTime() + reminderDays[reminderDays.length - 1] * DAY_MS) }
+    })
+      .sort({ expiresAt: 1 })
+      .limit(limit);
+      
+    let queued = 0;
+    
+    for (const license of licenses) {
+      const daysLeft = Math.ceil((license.expiresAt.getTime() - now.getTime()) / DAY_MS);
+      const tier = reminderDays.find(days => days >= daysLeft);
+      
+      const notifications = await this.notifyLicense('license_expiring', license, { days: daysLeft }, {
+        dedupeKey: `license_expiring:${license.keyHash}:${license.expiresAt.getTime()}:${tier}`
+      });
+      queued += notifications.length;
+    }
+    
+    return queued;
+  }
+
+  stop() {
+    if (this.dispatchInterval) {
+      clearInterval(this.dispatchInterval);
+      this.dispatchInterval = null;
+      logger.info('🛑 Envoi périodique des notifications arrêté');
+    }
+  }
+}
+
+module.exports = new NotificationService();
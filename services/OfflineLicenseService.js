@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const SigningKey = require('../models/SigningKey');
+
+// Identifiant d'une clé de signature (kid): 16 caractères hexadécimaux, voir SigningKey.generate
+const KID_PATTERN = /^[a-f0-9]{16}$/;
+
+class OfflineLicenseService {
+  constructor() {
+    this.version = 1;
+  }
+
+  // Durée maximale d'utilisation hors-ligne d'un document
+  getGracePeriodMs() {
+    return (parseInt(process.env.OFFLINE_GRACE_HOURS) || 72) * 60 * 60 * 1000;
+  }
+
+  // Émet un document de licence signé pour une machine (licence retrouvée par sa clé: le client la connaît déjà).
+  // En période de grâce, validUntil (fin de la grâce) et les fonctionnalités réduites remplacent celles de la licence.
+  async issue(license, hwid, { features = license.features, validUntil = license.expiresAt } = {}) {
+    const signingKey = await SigningKey.getActiveKey();
+    
+    if (!signingKey) {
+      throw new Error('Aucune clé de signature active');
+    }
+    
+    const now = new Date();
+    const graceEnd = now.getTime() + this.getGracePeriodMs();
+    const offlineUntil = new Date(validUntil ? Math.min(graceEnd, validUntil.getTime()) : graceEnd);
+    
+    const payload = {
+      v: this.version,
+      kid: signingKey._id,
+      key: license.plainKey,
+      hwid,
+      licenseType: license.licenseType,
+      features,
+      expiresAt: license.expiresAt ? license.expiresAt.toISOString() : null,
+      offlineUntil: offlineUntil.toISOString(),
+      issuedAt: now.toISOString()
+    };
+    
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.sign(null, Buffer.from(encodedPayload), signingKey.privateKey);
+    
+    return {
+      document: `${encodedPayload}.${signature.toString('base64url')}`,
+      kid: signingKey._id,
+      algorithm: signingKey.algorithm,
+      offlineUntil: payload.offlineUntil
+    };
+  }
+
+  // Vérifie un document avec les clés publiées (même logique que le client)
+  async verify(document) {
+    const [encodedPayload, encodedSignature] = String(document).split('.');
+    
+    if (!encodedPayload || !encodedSignature) {
+      return { valid: false, reason: 'malformed' };
+    }
+    
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return { valid: false, reason: 'malformed' };
+    }
+    
+    if (!payload || typeof payload.kid !== 'string' || !KID_PATTERN.test(payload.kid)) {
+      return { valid: false, reason: 'malformed' };
+    }
+    
+    const signingKey = await SigningKey.findById(payload.kid);
+    
+    if (!signingKey) {
+      return { valid: false, reason: 'unknown_kid' };
+    }
+    
+    const valid = crypto.verify(
+      null,
+      Buffer.from(encodedPayload),
+      signingKey.publicKey,
+      Buffer.from(encodedSignature, 'base64url')
+    );
+    
+    if (!valid) {
+      return { valid: false, reason: 'signature_invalid' };
+    }
+    
+    if (new Date() > new Date(payload.offlineUntil)) {
+      return { valid: false, reason: 'offline_expired', payload };
+    }
+    
+    return { valid: true, payload };
+  }
+
+  async getPublicKeys() {
+    const keys = await SigningKey.getPublishedKeys(this.getGracePeriodMs());
+    
+    return keys.map(key => ({
+      kid: key._id,
+      algorithm: key.algorithm,
+      publicKey: key.publicKey,
+      status: key.status,
+      createdAt: key.createdAt,
+      retiredAt: key.retiredAt
+    }));
+  }
+}
+
+module.exports = new OfflineLicenseService();
@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const License = require('../models/License');
+const Plan = require('../models/Plan');
+const Product = require('../models/Product');
+const Customer = require('../models/Customer');
+const Session = require('../models/Session');
+const HwidFlag = require('../models/HwidFlag');
+const WebhookEvent = require('../models/WebhookEvent');
+const AuditLog = require('../models/AuditLog');
+const LicenseEvent = require('../models/LicenseEvent');
+const notificationService = require('./NotificationService');
+
+// Erreur de traitement portant un code renvoyé à l'émetteur
+const webhookError = (reason, message, status = 422) => {
+  const error = new Error(message);
+  error.reason = reason;
+  error.status = status;
+  return error;
+};
+
+class OrderWebhookService {
+  constructor() {
+    this.supportedEvents = ['order.paid', 'order.refunded', 'order.chargeback'];
+    
+    // Statut appliqué par défaut à la licence d'une commande annulée
+    this.defaultReversalActions = {
+      refund: 'suspended',
+      chargeback: 'banned'
+    };
+  }
+
+  getSecret() {
+    return process.env.WEBHOOK_SECRET || null;
+  }
+
+  // Écart toléré entre l'horodatage signé et la réception (anti-rejeu)
+  getToleranceMs() {
+    return (parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300) * 1000;
+  }
+
+  // Correspondance produit (sku) -> plan, ex: {"nizua-premium-30":"premium"}
+  getPlanMapping() {
+    try {
+      return JSON.parse(process.env.WEBHOOK_PLAN_MAP || '{}');
+    } catch (error) {
+      return {};
+    }
+  }
+
+  // Politique configurable: WEBHOOK_REFUND_ACTION / WEBHOOK_CHARGEBACK_ACTION = banned | suspended
+  getReversalAction(reason) {
+    const configured = process.env[`WEBHOOK_${reason.toUpperCase()}_ACTION`];
+    return ['banned', 'suspended'].includes(configured) ? configured : this.defaultReversalActions[reason];
+  }
+
+  isSupported(eventType) {
+    return this.supportedEvents.includes(eventType);
+  }
+
+  // En-tête de signature: "t=<timestamp>,v1=<HMAC-SHA256 hex de `${t}.${corps}`>"
+  sign(rawBody, timestamp = Math.floor(Date.now() / 1000), secret = this.getSecret()) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+  }
+
+  verifySignature(rawBody, header) {
+    const secret = this.getSecret();
+    
+    if (!secret) {
+      return { valid: false, reason: 'webhook_not_configured' };
+    }
+    
+    const parts = String(header || '').split(',').map(part => part.trim().split('='));
+    const timestamp = parseInt((parts.find(([name]) => name === 't') || [])[1]);
+    const signatures = parts.filter(([name]) => name === 'v1').map(([, value]) => value);
+    
+    if (!Number.isInteger(timestamp) || signatures.length === 0) {
+      return { valid: false, reason: 'signature_missing' };
+    }
+    
+    if (Math.abs(Date.now() - timestamp * 1000) > this.getToleranceMs()) {
+      return { valid: false, reason: 'timestamp_out_of_window' };
+    }
+    
+    const expected = Buffer.from(this.sign(rawBody, timestamp, secret).split('v1=')[1], 'hex');
+    const valid = signatures.some(signature => {
+      const received = Buffer.from(signature, 'hex');
+      return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    });
+    
+    return valid ? { valid: true } : { valid: false, reason: 'signature_invalid' };
+  }
+
+  resolvePlan(data) {
+    const planName = (data.sku && this.getPlanMapping()[data.sku]) || data.plan;
+    return planName ? Plan.findActiveByName(planName) : Promise.resolve(null);
+  }
+
+  // Enregistre un événement reçu; une nouvelle livraison du même événement est un doublon
+  async record(rawBody, payload, { signature = null, ipAddress = null } = {}) {
+    const idempotencyKey = WebhookEvent.buildIdempotencyKey(payload.type, payload.data.orderId);
+    
+    try {
+      const event = await new WebhookEvent({
+        eventType: payload.type,
+        eventId: payload.id || null,
+        orderId: payload.data.orderId,
+        idempotencyKey,
+        rawBody,
+        signature,
+        ipAddress
+      }).save();
+      
+      return { event, duplicate: false };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      
+      const event = await WebhookEvent.findOneAndUpdate(
+        { idempotencyKey },
+        { $inc: { deliveries: 1 } },
+        { new: true }
+      );
+      return { event, duplicate: true };
+    }
+  }
+
+  // Traite un événement réservé par WebhookEvent.claimForProcessing (réception ou rejeu)
+  async process(event, { ipAddress = 'system' } = {}) {
+    try {
+      const payload = event.getPayload();
+      const result = payload.type === 'order.paid'
+        ? await this.handleOrderPaid(payload, { ipAddress })
+        : await this.handleOrderReversed(payload, { ipAddress });
+      
+      event.status = 'processed';
+      event.licenseKey = result.license.keyHash;
+      event.error = null;
+      event.processedAt = new Date();
+      await event.save();
+      
+      return result;
+    } catch (error) {
+      event.status = 'failed';
+      event.error = error.reason || error.message;
+      await event.save();
+      throw error;
+    }
+  }
+
+  async handleOrderPaid(payload, { ipAddress }) {
+    const data = payload.data;
+    
+    // Licence déjà créée pour cette commande (traitement précédent interrompu)
+    const existing = await License.findOne({ 'metadata.orderId': data.orderId, 'metadata.source': 'webhook' });
+    if (existing) {
+      return { license: existing, created: false };
+    }
+    
+    const plan = await this.resolvePlan(data);
+    if (!plan) {
+      throw webhookError('plan_unmapped', `Aucun plan actif pour ce produit (${data.sku || data.plan || 'non précisé'})`);
+    }
+    
+    // Produit vendu (produit par défaut si la commande ne le précise pas)
+    const product = await Product.resolve(data.product);
+    if (!product) {
+      throw webhookError('product_unknown', `Produit inconnu ou inactif (${data.product})`);
+    }
+    
+    const customer = data.email ? await Customer.findOrCreateByEmail(data.email) : null;
+    const durationDays = plan.defaultDurationDays;
+    
+    const license = await License.createWithUniqueKey({
+      product: product.slug,
+      expiresAt: new Date(Date.now() + durationDays * 24 * 60 * 60 * 1000),
+      durationDays,
+      licenseType: plan.name,
+      features: plan.features,
+      maxDevices: plan.maxDevices,
+      customer: customer ? customer._id : null,
+      metadata: {
+        source: 'webhook',
+        owner: customer ? customer.email : null,
+        orderId: data.orderId
+      }
+    });
+    
+    await AuditLog.logEvent('key_created', {
+      licenseKey: license.keyHash,
+      ipAddress,
+      actor: { type: 'system', name: 'order_webhook' },
+      message: `Clé créée pour la commande ${data.orderId}`,
+      severity: 'info',
+      details: {
+        orderId: data.orderId,
+        eventId: payload.id || null,
+        sku: data.sku || null,
+        product: product.slug,
+        licenseType: plan.name,
+        durationDays,
+        amount: data.amount,
+        currency: data.currency
+      }
+    });
+    
+    await LicenseEvent.recordCreated(license, {
+      actor: { type: 'system', name: 'order_webhook' },
+      reason: `Commande ${data.orderId}`,
+      ipAddress
+    });
+    
+    return { license, created: true };
+  }
+
+  // Remboursement ou rétrofacturation: coupe l'accès et signale les machines liées.
+  // Si la commande n'a pas encore été traitée, l'événement échoue et peut être rejoué ensuite.
+  async handleOrderReversed(payload, { ipAddress }) {
+    const data = payload.data;
+    const reason = payload.type === 'order.chargeback' ? 'chargeback' : 'refund';
+    const action = this.getReversalAction(reason);
+    
+    const license = await License.findOne({ 'metadata.orderId': data.orderId, 'metadata.source': 'webhook' });
+    if (!license) {
+      throw webhookError('order_not_found', `Aucune licence pour la commande ${data.orderId}`, 404);
+    }
+    
+    const oldStatus = license.status;
+    const before = license.getTimelineState();
+    const note = `${reason === 'chargeback' ? 'Rétrofacturation' : 'Remboursement'} de la commande ${data.orderId}`;
+    
+    // Une licence bannie le reste; une suspension existante n'est pas réécrite
+    if (action === 'banned' && oldStatus !== 'banned') {
+      license.status = 'banned';
+      await license.save();
+    } else if (action === 'suspended' && !['banned', 'suspended'].includes(oldStatus)) {
+      await license.suspend({ reason: note, by: 'system' });
+    }
+    
+    const revoked = await Session.revokeForLicense(license.keyHash, null, reason);
+    const flaggedHwids = await HwidFlag.flagLicenseDevices(license, { reason, orderId: data.orderId, note });
+    const actor = { type: 'system', name: 'order_webhook' };
+    
+    await AuditLog.logEvent(license.status === 'banned' ? 'key_banned' : 'license_suspended', {
+      licenseKey: license.keyHash,
+      ipAddress,
+      actor,
+      message: `${note}: licence ${oldStatus} → ${license.status}`,
+      severity: license.status === 'banned' ? 'critical' : 'warning',
+      details: {
+        orderId: data.orderId,
+        eventId: payload.id || null,
+        reason,
+        oldStatus,
+        newStatus: license.status,
+        revokedSessions: revoked.modifiedCount,
+        amount: data.amount,
+        currency: data.currency
+      }
+    });
+    
+    if (license.status !== oldStatus) {
+      await LicenseEvent.record(license, 'status_changed', {
+        actor,
+        reason: note,
+        before,
+        after: license.getTimelineState(),
+        ipAddress
+      });
+    }
+    
+    await notificationService.notifyStatusChange(license, oldStatus, { reason: note });
+    
+    if (flaggedHwids.length > 0) {
+      await AuditLog.logEvent('hwid_flagged', {
+        licenseKey: license.keyHash,
+        ipAddress,
+        actor,
+        message: `${flaggedHwids.length} machine(s) signalée(s) pour examen`,
+        severity: 'warning',
+        details: { orderId: data.orderId, reason, hwids: flaggedHwids }
+      });
+    }
+    
+    return { license, created: false, action: license.status, flaggedHwids };
+  }
+}
+
+module.exports = new OrderWebhookService();
@@ -0,0 +1,205 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+// Connexion SMTP minimale: une réponse (éventuellement multi-lignes) par commande
+class SmtpConnection {
+  constructor(socket, timeoutMs) {
+    this.timeoutMs = timeoutMs;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    this.buffer = '';
+    this.lines = [];
+    this.waiting = null;
+    this.error = null;
+    
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error('Timeout SMTP')));
+    socket.on('data', chunk => {
+      this.buffer += chunk;
+      this.flush();
+    });
+    socket.on('error', error => this.fail(error));
+    socket.on('close', () => this.fail(new Error('Connexion SMTP fermée')));
+  }
+
+  fail(error) {
+    this.error = this.error || error;
+    if (this.waiting) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(this.error);
+    }
+  }
+
+  // Une réponse est complète quand une ligne "XYZ " (code suivi d'un espace) est reçue
+  flush() {
+    let index;
+    while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+      const line = this.buffer.slice(0, index);
+      this.buffer = this.buffer.slice(index + 2);
+      this.lines.push(line);
+      
+      if (/^\d{3}(?: |$)/.test(line) && this.waiting) {
+        const { resolve } = this.waiting;
+        const lines = this.lines;
+        this.waiting = null;
+        this.lines = [];
+        resolve({ code: parseInt(line.slice(0, 3)), lines });
+      }
+    }
+  }
+
+  read() {
+    if (this.error) return Promise.reject(this.error);
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.flush();
+    });
+  }
+
+  // Envoie une commande et vérifie le code de réponse attendu
+  async command(line, expected) {
+    if (line !== null) this.socket.write(`${line}\r\n`);
+    const response = await this.read();
+    
+    if (!expected.includes(response.code)) {
+      const command = line ? line.split(' ')[0] : 'CONNECT';
+      throw new Error(`SMTP ${command}: ${response.lines.join(' | ')}`);
+    }
+    return response;
+  }
+
+  // Passe la connexion en TLS après STARTTLS
+  upgrade(servername) {
+    return new Promise((resolve, reject) => {
+      const plain = this.socket;
+      plain.removeAllListeners('data');
+      plain.removeAllListeners('close');
+      plain.removeAllListeners('error');
+      
+      const secure = tls.connect({ socket: plain, servername }, () => resolve());
+      secure.once('error', reject);
+      this.attach(secure);
+    });
+  }
+
+  close() {
+    this.socket.removeAllListeners('close');
+    this.socket.end();
+  }
+}
+
+// Adresse seule d'un expéditeur "Nom <adresse>"
+const extractAddress = (value) => value.replace(/^.*<|>.*$/g, '').trim();
+
+// Encodage des en-têtes non ASCII (RFC 2047)
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value)
+  ? value
+  : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`);
+
+class SmtpTransport {
+  constructor() {
+    this.channel = 'email';
+  }
+
+  // SMTP_HOST, SMTP_PORT (587), SMTP_SECURE (TLS implicite, port 465), SMTP_STARTTLS, SMTP_USER/SMTP_PASSWORD, SMTP_FROM
+  getConfig() {
+    const secure = process.env.SMTP_SECURE === 'true';
+    
+    return {
+      host: process.env.SMTP_HOST || null,
+      port: parseInt(process.env.SMTP_PORT) || (secure ? 465 : 587),
+      secure,
+      startTls: process.env.SMTP_STARTTLS !== 'false',
+      user: process.env.SMTP_USER || null,
+      password: process.env.SMTP_PASSWORD || '',
+      from: process.env.SMTP_FROM || process.env.SMTP_USER || null,
+      timeoutMs: (parseInt(process.env.SMTP_TIMEOUT_SECONDS) || 15) * 1000
+    };
+  }
+
+  isConfigured() {
+    const config = this.getConfig();
+    return Boolean(config.host && config.from);
+  }
+
+  buildMessage(config, { to, subject, text }) {
+    const body = Buffer.from(text.replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+    const domain = extractAddress(config.from).split('@')[1] || os.hostname();
+    
+    return [
+      `From: ${config.from}`,
+      `To: ${to}`,
+      `Subject: ${encodeHeader(subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      body
+    ].join('\r\n');
+  }
+
+  connect(config) {
+    return new Promise((resolve, reject) => {
+      const options = { host: config.host, port: config.port };
+      const socket = config.secure
+        ? tls.connect({ ...options, servername: config.host }, () => resolve(socket))
+        : net.connect(options, () => resolve(socket));
+        
+      socket.once('error', reject);
+      socket.setTimeout(config.timeoutMs, () => socket.destroy(new Error('Timeout connexion SMTP')));
+    });
+  }
+
+  // Envoie une notification { recipient, subject, text } par email
+  async send(notification) {
+    const config = this.getConfig();
+    
+    if (!config.host || !config.from) {
+      throw new Error('SMTP non configuré (SMTP_HOST, SMTP_FROM)');
+    }
+    
+    const connection = new SmtpConnection(await this.connect(config), config.timeoutMs);
+    const hostname = os.hostname();
+    
+    try {
+      await connection.command(null, [220]);
+      let ehlo = await connection.command(`EHLO ${hostname}`, [250]);
+      
+      if (!config.secure && config.startTls && ehlo.lines.some(line => /STARTTLS/i.test(line))) {
+        await connection.command('STARTTLS', [220]);
+        await connection.upgrade(config.host);
+        ehlo = await connection.command(`EHLO ${hostname}`, [250]);
+      }
+      
+      if (config.user) {
+        const credentials = Buffer.from(`\0${config.user}\0${config.password}`, 'utf8').toString('base64');
+        await connection.command(`AUTH PLAIN ${credentials}`, [235]);
+      }
+      
+      await connection.command(`MAIL FROM:<${extractAddress(config.from)}>`, [250]);
+      await connection.command(`RCPT TO:<${notification.recipient}>`, [250, 251]);
+      await connection.command('DATA', [354]);
+      
+      // Le corps est encodé en base64: aucune ligne ne commence par un point
+      const message = this.buildMessage(config, {
+        to: notification.recipient,
+        subject: notification.subject,
+        text: notification.text
+      });
+      await connection.command(`${message}\r\n.`, [250]);
+      await connection.command('QUIT', [221]).catch(() => {});
+    } finally {
+      connection.close();
+    }
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+
+class WebhookNotificationTransport {
+  constructor() {
+    this.channel = 'webhook';
+  }
+
+  getUrl() {
+    return process.env.NOTIFICATION_WEBHOOK_URL || null;
+  }
+
+  getSecret() {
+    return process.env.NOTIFICATION_WEBHOOK_SECRET || null;
+  }
+
+  getTimeoutMs() {
+    return (parseInt(process.env.NOTIFICATION_WEBHOOK_TIMEOUT_SECONDS) || 10) * 1000;
+  }
+
+  isConfigured() {
+    return Boolean(this.getUrl());
+  }
+
+  // Même format que les webhooks de commande reçus: "t=<timestamp>,v1=<HMAC-SHA256 hex de `${t}.${corps}`>"
+  sign(rawBody, secret, timestamp = Math.floor(Date.now() / 1000)) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+  }
+
+  // POST JSON de la notification vers son destinataire; tout statut hors 2xx est un échec
+  async send(notification) {
+    const rawBody = JSON.stringify({
+      id: notification._id,
+      type: notification.type,
+      locale: notification.locale,
+      subject: notification.subject,
+      text: notification.text,
+      data: notification.data,
+      createdAt: notification.createdAt
+    });
+    
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Nizua-Notification-Service'
+    };
+    
+    const secret = this.getSecret();
+    if (secret) {
+      headers['X-Notification-Signature'] = this.sign(rawBody, secret);
+    }
+    
+    const response = await fetch(notification.recipient, {
+      method: 'POST',
+      headers,
+      body: rawBody,
+      signal: AbortSignal.timeout(this.getTimeoutMs())
+    });
+    
+    if (!response.ok) {
+      throw new Error(`Webhook HTTP ${response.status}`);
+    }
+  }
+}
+
+module.exports = WebhookNotificationTransport;
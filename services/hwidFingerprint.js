@@ -0,0 +1,105 @@
+// Poids par défaut des composants de l'empreinte matérielle (les plus stables pèsent le plus)
+const DEFAULT_WEIGHTS = {
+  board: 4,
+  cpu: 3,
+  bios: 2,
+  disk: 2,
+  gpu: 1,
+  nic: 1,
+  ram: 1
+};
+
+// Poids d'un composant non listé
+const UNKNOWN_COMPONENT_WEIGHT = 1;
+
+// Similarité minimale pour reconnaître la même machine malgré un composant changé
+const DEFAULT_THRESHOLD = 0.7;
+
+const COMPONENT_NAME_PATTERN = /^[a-z0-9_]{1,32}$/;
+const MAX_COMPONENTS = 16;
+
+// Poids configurables: HWID_COMPONENT_WEIGHTS={"board":4,"disk":2,...}
+function getWeights() {
+  try {
+    return { ...DEFAULT_WEIGHTS, ...JSON.parse(process.env.HWID_COMPONENT_WEIGHTS || '{}') };
+  } catch (error) {
+    return DEFAULT_WEIGHTS;
+  }
+}
+
+// Seuil configurable: HWID_MATCH_THRESHOLD (entre 0 et 1)
+function getThreshold() {
+  const threshold = parseFloat(process.env.HWID_MATCH_THRESHOLD);
+  return threshold > 0 && threshold <= 1 ? threshold : DEFAULT_THRESHOLD;
+}
+
+// Vérifie l'empreinte envoyée par le client: { composant: valeur hachée, ... }
+function isValidFingerprint(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  
+  const entries = Object.entries(value);
+  return entries.length > 0 && entries.length <= MAX_COMPONENTS && entries.every(([name, component]) =>
+    COMPONENT_NAME_PATTERN.test(name) && typeof component === 'string' && component.length > 0 && component.length <= 128
+  );
+}
+
+// Empreinte stockée (Map Mongoose) ou envoyée (objet) sous forme d'objet simple
+function toObject(fingerprint) {
+  if (!fingerprint) return {};
+  return fingerprint instanceof Map ? Object.fromEntries(fingerprint) : { ...fingerprint };
+}
+
+// Similarité pondérée entre deux empreintes: poids des composants identiques sur le poids
+// de tous les composants connus d'un côté ou de l'autre (un composant absent compte comme changé)
+function computeSimilarity(stored, submitted) {
+  const a = toObject(stored);
+  const b = toObject(submitted);
+  const weights = getWeights();
+  const components = [...new Set([...Object.keys(a), ...Object.keys(b)])];
+  
+  let total = 0;
+  let matched = 0;
+  const changed = [];
+  
+  for (const component of components) {
+    const weight = weights[component] ?? UNKNOWN_COMPONENT_WEIGHT;
+    total += weight;
+    
+    if (a[component] !== undefined && a[component] === b[component]) {
+      matched += weight;
+    } else {
+      changed.push(component);
+    }
+  }
+  
+  return {
+    score: total > 0 ? Math.round((matched / total) * 1000) / 1000 : 0,
+    changed
+  };
+}
+
+// Machine liée la plus proche de l'empreinte, si elle atteint le seuil
+function findClosestDevice(devices, submitted, threshold = getThreshold()) {
+  let best = null;
+  
+  for (const device of devices) {
+    if (!device.fingerprint || device.fingerprint.size === 0) continue;
+    
+    const similarity = computeSimilarity(device.fingerprint, submitted);
+    if (similarity.score >= threshold && (!best || similarity.score > best.score)) {
+      best = { device, ...similarity };
+    }
+  }
+  
+  return best;
+}
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  getWeights,
+  getThreshold,
+  isValidFingerprint,
+  toObject,
+  computeSimilarity,
+  findClosestDevice
+};
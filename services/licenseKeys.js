@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+
+// Alphabet Crockford base32 (sans I, L, O, U pour éviter les confusions de saisie)
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+// Ancien format: KEY-XXXX-XXXX-XXXX-XXXX (sans contrôle)
+const LEGACY_KEY_PATTERN = /^KEY-[A-Z0-9]{4}-[A-Z0-9]{4}-[A-Z0-9]{4}-[A-Z0-9]{4}$/;
+
+// Format par défaut des clés: préfixe et groupes, le dernier caractère est le caractère de contrôle
+const DEFAULT_KEY_FORMAT = { prefix: 'KEY', groups: 4, groupLength: 5 };
+
+// Toute clé de produit (PREFIXE-XXXX-...): le format exact est vérifié par le produit
+const KEY_PATTERN = /^[A-Z][A-Z0-9]{1,7}(?:-[A-Z0-9]{4,8}){2,8}$/;
+
+// Format exact d'un produit: PREFIXE suivi de `groups` groupes de `groupLength` caractères
+function buildKeyPattern({ prefix, groups, groupLength } = DEFAULT_KEY_FORMAT) {
+  return new RegExp(`^${prefix}(?:-[A-Z0-9]{${groupLength}}){${groups}}$`);
+}
+
+// Somme Luhn mod N sur les caractères, de droite à gauche
+function luhnSum(chars, startFactor) {
+  const n = ALPHABET.length;
+  let factor = startFactor;
+  let sum = 0;
+  
+  for (let i = chars.length - 1; i >= 0; i--) {
+    const codePoint = ALPHABET.indexOf(chars[i]);
+    if (codePoint === -1) return null;
+    
+    let addend = factor * codePoint;
+    factor = factor === 2 ? 1 : 2;
+    addend = Math.floor(addend / n) + (addend % n);
+    sum += addend;
+  }
+  
+  return sum;
+}
+
+// Calcule le caractère de contrôle (Luhn mod 32) d'un corps de clé
+function computeCheckCharacter(body) {
+  const sum = luhnSum(body, 2);
+  if (sum === null) return null;
+  
+  const n = ALPHABET.length;
+  return ALPHABET[(n - (sum % n)) % n];
+}
+
+function isLegacyKey(key) {
+  return LEGACY_KEY_PATTERN.test(key);
+}
+
+// Vérifie le caractère de contrôle sans accès à la base (les anciennes clés n'en ont pas)
+function hasValidChecksum(key) {
+  if (isLegacyKey(key)) return true;
+  if (!KEY_PATTERN.test(key)) return false;
+  
+  const chars = key.substring(key.indexOf('-') + 1).replace(/-/g, '');
+  const sum = luhnSum(chars, 1);
+  return sum !== null && sum % ALPHABET.length === 0;
+}
+
+// Génère une clé avec un CSPRNG et un caractère de contrôle final
+function generateKey({ prefix, groups, groupLength } = DEFAULT_KEY_FORMAT) {
+  let body = '';
+  for (let i = 0; i < groups * groupLength - 1; i++) {
+    body += ALPHABET[crypto.randomInt(ALPHABET.length)];
+  }
+  
+  const chars = body + computeCheckCharacter(body);
+  return `${prefix}-${chars.match(new RegExp(`.{${groupLength}}`, 'g')).join('-')}`;
+}
+
+// Génère un code cadeau/activation (GIFT-XXXX-XXXX-XXXX), distinct des clés de licence
+function generateRedeemCode() {
+  let chars = '';
+  for (let i = 0; i < 12; i++) {
+    chars += ALPHABET[crypto.randomInt(ALPHABET.length)];
+  }
+  
+  return `GIFT-${chars.match(/.{4}/g).join('-')}`;
+}
+
+const REDEEM_CODE_PATTERN = /^GIFT-[A-Z0-9]{4}-[A-Z0-9]{4}-[A-Z0-9]{4}$/;
+
+// Empreinte d'une clé telle que stockée en base (HMAC-SHA256 hex)
+const KEY_HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+function normalizeKey(key) {
+  return String(key).toUpperCase().trim();
+}
+
+// Empreinte HMAC de la clé: sans LICENSE_KEY_SECRET, un dump de la base ne permet pas de retrouver les clés
+function hashKey(key) {
+  const secret = process.env.LICENSE_KEY_SECRET;
+  if (!secret) {
+    throw new Error('LICENSE_KEY_SECRET non défini');
+  }
+  
+  return crypto.createHmac('sha256', secret).update(normalizeKey(key)).digest('hex');
+}
+
+// Préfixe conservé en clair pour l'affichage: préfixe produit et premier groupe (KEY-XXXXX)
+function getDisplayPrefix(key) {
+  return normalizeKey(key).split('-').slice(0, 2).join('-');
+}
+
+// Nombre de groupes d'une clé, préfixe produit exclu (KEY-XXXXX-XXXXX-XXXXX-XXXXX: 4)
+function countKeyGroups(key) {
+  return normalizeKey(key).split('-').length - 1;
+}
+
+// Clé masquée à partir de son préfixe et de son nombre de groupes: KEY-XXXXX-*****-*****-*****
+// (format par défaut pour les licences créées avant l'enregistrement du nombre de groupes)
+function maskKey(prefix, groups = DEFAULT_KEY_FORMAT.groups) {
+  const groupLength = prefix.split('-').pop().length;
+  return [prefix, ...Array(Math.max(0, groups - 1)).fill('*'.repeat(groupLength))].join('-');
+}
+
+module.exports = {
+  ALPHABET,
+  KEY_PATTERN,
+  LEGACY_KEY_PATTERN,
+  DEFAULT_KEY_FORMAT,
+  buildKeyPattern,
+  computeCheckCharacter,
+  hasValidChecksum,
+  isLegacyKey,
+  generateKey,
+  REDEEM_CODE_PATTERN,
+  generateRedeemCode,
+  KEY_HASH_PATTERN,
+  normalizeKey,
+  hashKey,
+  getDisplayPrefix,
+  countKeyGroups,
+  maskKey
+};
@@ -0,0 +1,138 @@
+// Modèles des notifications envoyées aux clients, par type et par langue.
+// Variables: {{maskedKey}}, {{licenseType}}, {{expiresAt}}, {{days}}, {{reason}}, {{resumeAt}}, {{productName}}, {{sentAt}}
+const TEMPLATES = {
+  license_expiring: {
+    fr: {
+      subject: 'Votre licence {{productName}} expire dans {{days}} jour(s)',
+      text: 'Bonjour,\n\nVotre licence {{maskedKey}} ({{licenseType}}) expire le {{expiresAt}}.\nPensez à la renouveler pour ne pas perdre l\'accès.\n\nL\'équipe {{productName}}'
+    },
+    en: {
+      subject: 'Your {{productName}} license expires in {{days}} day(s)',
+      text: 'Hello,\n\nYour license {{maskedKey}} ({{licenseType}}) expires on {{expiresAt}}.\nRenew it to keep your access.\n\nThe {{productName}} team'
+    }
+  },
+  license_expired: {
+    fr: {
+      subject: 'Votre licence {{productName}} a expiré',
+      text: 'Bonjour,\n\nVotre licence {{maskedKey}} ({{licenseType}}) a expiré le {{expiresAt}}.\nRenouvelez-la pour retrouver l\'accès.\n\nL\'équipe {{productName}}'
+    },
+    en: {
+      subject: 'Your {{productName}} license has expired',
+      text: 'Hello,\n\nYour license {{maskedKey}} ({{licenseType}}) expired on {{expiresAt}}.\nRenew it to regain access.\n\nThe {{productName}} team'
+    }
+  },
+  license_renewed: {
+    fr: {
+      subject: 'Votre licence {{productName}} a été renouvelée',
+      text: 'Bonjour,\n\nVotre licence {{maskedKey}} a été renouvelée.\nNouvelle date d\'expiration: {{expiresAt}}.\n\nMerci de votre confiance,\nL\'équipe {{productName}}'
+    },
+    en: {
+      subject: 'Your {{productName}} license has been renewed',
+      text: 'Hello,\n\nYour license {{maskedKey}} has been renewed.\nNew expiry date: {{expiresAt}}.\n\nThank you,\nThe {{productName}} team'
+    }
+  },
+  hwid_reset: {
+    fr: {
+      subject: 'Une machine a été retirée de votre licence {{productName}}',
+      text: 'Bonjour,\n\nUne machine a été retirée de votre licence {{maskedKey}}. La clé peut être activée sur une nouvelle machine.\nSi vous n\'êtes pas à l\'origine de cette opération, contactez le support.\n\nL\'équipe {{productName}}'
+    },
+    en: {
+      subject: 'A device was removed from your {{productName}} license',
+      text: 'Hello,\n\nA device was removed from your license {{maskedKey}}. The key can now be activated on a new device.\nIf you did not request this, please contact support.\n\nThe {{productName}} team'
+    }
+  },
+  license_banned: {
+    fr: {
+      subject: 'Votre licence {{productName}} a été révoquée',
+      text: 'Bonjour,\n\nVotre licence {{maskedKey}} a été révoquée et ne peut plus être utilisée.\nMotif: {{reason}}\n\nPour toute question, contactez le support.\nL\'équipe {{productName}}'
+    },
+    en: {
+      subject: 'Your {{productName}} license has been revoked',
+      text: 'Hello,\n\nYour license {{maskedKey}} has been revoked and can no longer be used.\nReason: {{reason}}\n\nPlease contact support if you have any questions.\nThe {{productName}} team'
+    }
+  },
+  license_suspended: {
+    fr: {
+      subject: 'Votre licence {{productName}} est suspendue',
+      text: 'Bonjour,\n\nVotre licence {{maskedKey}} est temporairement suspendue.\nMotif: {{reason}}\nRéactivation prévue: {{resumeAt}}\n\nLe temps restant de votre licence est conservé.\nL\'équipe {{productName}}'
+    },
+    en: {
+      subject: 'Your {{productName}} license is suspended',
+      text: 'Hello,\n\nYour license {{maskedKey}} is temporarily suspended.\nReason: {{reason}}\nScheduled reactivation: {{resumeAt}}\n\nThe remaining time on your license is preserved.\nThe {{productName}} team'
+    }
+  },
+  license_reactivated: {
+    fr: {
+      subject: 'Votre licence {{productName}} est de nouveau active',
+      text: 'Bonjour,\n\nVotre licence {{maskedKey}} est de nouveau active.\nDate d\'expiration: {{expiresAt}}.\n\nL\'équipe {{productName}}'
+    },
+    en: {
+      subject: 'Your {{productName}} license is active again',
+      text: 'Hello,\n\nYour license {{maskedKey}} is active again.\nExpiry date: {{expiresAt}}.\n\nThe {{productName}} team'
+    }
+  },
+  test: {
+    fr: {
+      subject: 'Notification de test {{productName}}',
+      text: 'Ceci est une notification de test envoyée le {{sentAt}}.'
+    },
+    en: {
+      subject: '{{productName}} test notification',
+      text: 'This is a test notification sent on {{sentAt}}.'
+    }
+  }
+};
+
+const SUPPORTED_LOCALES = ['fr', 'en'];
+
+// Valeurs absentes affichées selon la langue
+const FALLBACKS = {
+  fr: { reason: 'non précisé', resumeAt: 'non planifiée', expiresAt: 'jamais' },
+  en: { reason: 'not specified', resumeAt: 'not scheduled', expiresAt: 'never' }
+};
+
+function getDefaultLocale() {
+  const locale = process.env.NOTIFICATION_DEFAULT_LOCALE;
+  return SUPPORTED_LOCALES.includes(locale) ? locale : 'fr';
+}
+
+function resolveLocale(locale) {
+  return SUPPORTED_LOCALES.includes(locale) ? locale : getDefaultLocale();
+}
+
+function formatValue(value, locale) {
+  if (value instanceof Date) {
+    return value.toLocaleDateString(locale === 'en' ? 'en-GB' : 'fr-FR', { timeZone: 'UTC' });
+  }
+  return String(value);
+}
+
+// Rend le sujet et le texte d'une notification; une variable absente prend sa valeur de repli
+function render(type, locale, variables = {}) {
+  const template = TEMPLATES[type];
+  if (!template) {
+    throw new Error(`Modèle de notification inconnu: ${type}`);
+  }
+  
+  const lang = resolveLocale(locale);
+  const values = { ...FALLBACKS[lang], ...Object.fromEntries(
+    Object.entries(variables).filter(([, value]) => value !== null && value !== undefined && value !== '')
+  ) };
+  const interpolate = text => text.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+    values[name] !== undefined ? formatValue(values[name], lang) : ''
+  );
+  
+  return {
+    locale: lang,
+    subject: interpolate(template[lang].subject),
+    text: interpolate(template[lang].text)
+  };
+}
+
+module.exports = {
+  TEMPLATES,
+  SUPPORTED_LOCALES,
+  getDefaultLocale,
+  resolveLocale,
+  render
+};